@@ -6,6 +6,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { roles } = require('./auth-roles');
 
 class EnvironmentConfig {
   constructor(environment = 'dev') {
@@ -34,7 +35,8 @@ class EnvironmentConfig {
    * @returns {string} Auth endpoint path
    */
   getAuthEndpoint() {
-    return process.env.AUTH_ENDPOINT || 'api/v1/auth/test/verify-login';
+    // Relative to the API base URL
+    return process.env.AUTH_ENDPOINT || '/auth/test/verify-login';
   }
 
   /**
@@ -61,6 +63,42 @@ class EnvironmentConfig {
     };
   }
 
+  /**
+   * Get login credentials for a user type (role)
+   * 'admin' and 'enduser' are built in; further roles come from api-tests/config/auth-roles.js
+   * @param {string} userType - Role name
+   * @returns {Object} Phone, password, and OTP for login
+   * @throws {Error} If the role is unknown or its credentials are missing or invalid
+   */
+  getAuthCredentials(userType = 'admin') {
+    let credentials;
+    if (userType === 'admin') {
+      credentials = this.getAdminAuthCredentials();
+    } else if (userType === 'enduser') {
+      credentials = this.getEndUserAuthCredentials();
+    } else if (roles[userType]) {
+      const variables = roles[userType];
+      const missing = ['phone', 'password', 'otp'].filter(field => !process.env[variables[field]]);
+      if (missing.length > 0) {
+        throw new Error(
+          `Missing credentials for ${userType}: set ${missing.map(field => variables[field]).join(', ')}`
+        );
+      }
+      credentials = {
+        phone: process.env[variables.phone],
+        password: process.env[variables.password],
+        otp: process.env[variables.otp],
+      };
+    } else {
+      throw new Error(
+        `Unknown user type: ${userType}. Available: ${this.getAvailableUserTypes().join(', ')}`
+      );
+    }
+
+    this.validateCredentials(credentials, userType);
+    return credentials;
+  }
+
   /**
    * Validate authentication credentials format
    * @param {Object} credentials - Credentials object with phone, password, otp
@@ -100,7 +138,7 @@ class EnvironmentConfig {
    * @returns {Array<string>} List of supported user types
    */
   getAvailableUserTypes() {
-    return ['admin', 'enduser'];
+    return ['admin', 'enduser', ...Object.keys(roles)];
   }
 
   /**
@@ -0,0 +1,14 @@
+/**
+ * Auth Roles
+ * Roles the suite can log in as, besides the built-in 'admin' and 'enduser'
+ *
+ * Each role names the environment variables holding its login credentials. Specs and fixtures
+ * pick a role with apiHelper.asRole('<role>') or "role": "<role>"; TokenManager logs in lazily
+ * and shares the token across workers.
+ */
+
+module.exports = {
+  roles: {
+    // merchant: { phone: 'MERCHANT_PHONE', password: 'MERCHANT_PASSWORD', otp: 'MERCHANT_OTP' },
+  },
+};
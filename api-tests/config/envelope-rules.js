@@ -0,0 +1,27 @@
+/**
+ * Envelope Rules
+ * The standard Yobo response envelope, checked on every response by EnvelopeValidator
+ *
+ *   { success, statusCode, message, data, meta: { apiVersion, requestId, timestamp } }
+ *   { success: false, statusCode, message, error: { code, category, message, retryable, errors[] }, meta }
+ *
+ * `categories` are the known error.category values; another one is a warning, not a failure.
+ * `members` are the envelope members each kind of response should carry; a service that leaves
+ * some out is reported as drift.
+ */
+
+module.exports = {
+  // Only categories seen in real responses; add one here once a service is observed sending it
+  categories: [
+    'VALIDATION_ERROR',
+  ],
+
+  members: {
+    success: ['success', 'statusCode', 'message', 'data', 'meta.apiVersion', 'meta.requestId', 'meta.timestamp'],
+    error: [
+      'success', 'statusCode', 'message',
+      'error.code', 'error.category', 'error.message', 'error.retryable',
+      'meta.apiVersion', 'meta.requestId', 'meta.timestamp',
+    ],
+  },
+};
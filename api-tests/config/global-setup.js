@@ -0,0 +1,20 @@
+/**
+ * Playwright Global Setup
+ * Clears run-scoped artifacts left over from a previous run
+ */
+
+const LatencyTracker = require('../utils/LatencyTracker');
+const CassetteRecorder = require('../utils/CassetteRecorder');
+const AuthMatrix = require('../utils/AuthMatrix');
+const EnvelopeValidator = require('../utils/EnvelopeValidator');
+const RateLimitHarness = require('../utils/RateLimitHarness');
+
+module.exports = async () => {
+  LatencyTracker.reset();
+  AuthMatrix.reset();
+  EnvelopeValidator.reset();
+  RateLimitHarness.reset();
+  if (CassetteRecorder.isRecording()) {
+    CassetteRecorder.reset();
+  }
+};
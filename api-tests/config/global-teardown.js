@@ -0,0 +1,20 @@
+/**
+ * Playwright Global Teardown
+ * Summarises run-scoped artifacts collected by all workers
+ */
+
+const LatencyTracker = require('../utils/LatencyTracker');
+const CassetteRecorder = require('../utils/CassetteRecorder');
+const AuthMatrix = require('../utils/AuthMatrix');
+const EnvelopeValidator = require('../utils/EnvelopeValidator');
+const RateLimitHarness = require('../utils/RateLimitHarness');
+
+module.exports = async () => {
+  LatencyTracker.writeSummary();
+  AuthMatrix.writeSummary();
+  EnvelopeValidator.writeSummary();
+  RateLimitHarness.writeSummary();
+  if (CassetteRecorder.isRecording()) {
+    CassetteRecorder.writeCassettes();
+  }
+};
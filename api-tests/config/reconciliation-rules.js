@@ -0,0 +1,92 @@
+/**
+ * Reconciliation Rules
+ * Accounting invariants between the aggregates of one response, checked by ReconciliationValidator
+ *
+ * A fixture opts in with "reconciliation": "<rule set>" (or an inline { sources, rules, tolerance }).
+ *
+ * Terms (anything a rule adds up):
+ *   'data.bankWallet.credit'                 value at a path in the fixture's response
+ *   { path, optional: true }                 same, but counts as 0 when the response leaves it out
+ *   { source, sum: 'amount' }                sum of a field over the items of a source
+ *   { source, count: true }                  number of items of a source
+ *   0                                        literal (rupees for amount rules)
+ *
+ * Rules: { name, actual: term, expected: term | { add: [terms], subtract: [terms] },
+ *          type: 'amount' (default) | 'count', operator: '=' (default) | '>=' | '<=', tolerance }
+ * Amounts are compared in paise; tolerance is in rupees (default: the rule set's, else 0).
+ *
+ * Sources are listing endpoints to cross-check against: { fixture, items, where, pageParam, firstPage, maxPages }.
+ * `items` is the path of the item array, `where` filters items by field values, and with `pageParam`
+ * pages are fetched until one comes back empty. A rule whose source cannot be read (e.g. the service
+ * has no such fixture) fails. No listing fixture exists yet, so the rule sets below only use the
+ * overview itself; once one does, add its source with the listing's real item path, status and
+ * amount fields, e.g.
+ *   sources: { successfulPayouts: { fixture: 'List payouts', items: '<item array path>', where: { <status field>: '<success status>' }, pageParam: 'page' } }
+ *   { name: 'System successes = listing', actual: 'data.systemStatusUpdate.success.amount', expected: { source: 'successfulPayouts', sum: '<amount field>' } }
+ *
+ * Rules marked "(assumed)" encode how we believe the ledger books payouts, not a documented
+ * invariant. Confirm them against the ledger before trusting a failure, and fix or drop them if
+ * the ledger works differently.
+ */
+
+module.exports = {
+  'payout-overview': {
+    rules: [
+      {
+        name: 'Bank wallet total = credit - debit',
+        actual: 'data.bankWallet.total',
+        expected: { add: ['data.bankWallet.credit'], subtract: ['data.bankWallet.debit'] },
+      },
+      {
+        name: 'Admin wallet total = credit - debit',
+        actual: 'data.adminWallet.total',
+        expected: { add: ['data.adminWallet.credit'], subtract: ['data.adminWallet.debit'] },
+      },
+      {
+        name: 'Bank wallet credit = successful deposits',
+        actual: 'data.bankWallet.credit',
+        expected: 'data.deposit.success',
+      },
+      {
+        name: 'Bank wallet credit count = successful deposit count',
+        type: 'count',
+        actual: 'data.bankWallet.creditCount',
+        expected: 'data.deposit.successCount',
+      },
+      {
+        // Assumes the bank wallet is debited only for successful payouts plus fees. The fees are not
+        // reported today, so bankWallet.fees is optional
+        name: 'Bank wallet debit = successful payouts + fees (assumed)',
+        actual: 'data.bankWallet.debit',
+        expected: {
+          add: ['data.systemStatusUpdate.success.amount', 'data.manualStatusUpdate.success.amount', { path: 'data.bankWallet.fees', optional: true }],
+        },
+      },
+      {
+        name: 'Bank wallet debit count = successful payout count',
+        type: 'count',
+        actual: 'data.bankWallet.debitCount',
+        expected: { add: ['data.systemStatusUpdate.success.count', 'data.manualStatusUpdate.success.count'] },
+      },
+      {
+        // Assumes the admin wallet is credited one commission per successful payout
+        name: 'Admin wallet credit count = successful payout count (assumed)',
+        type: 'count',
+        actual: 'data.adminWallet.creditCount',
+        expected: { add: ['data.systemStatusUpdate.success.count', 'data.manualStatusUpdate.success.count'] },
+      },
+      {
+        name: 'Bank wallet is not overdrawn',
+        actual: 'data.bankWallet.total',
+        operator: '>=',
+        expected: 0,
+      },
+      {
+        name: 'Admin wallet is not overdrawn',
+        actual: 'data.adminWallet.total',
+        operator: '>=',
+        expected: 0,
+      },
+    ],
+  },
+};
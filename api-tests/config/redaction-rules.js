@@ -0,0 +1,56 @@
+/**
+ * Redaction Rules
+ * Secrets and PII that must never reach console output, report attachments or exported files
+ *
+ * Each rule can match by key name (object keys, JSON "key": value pairs) and/or by a regex on
+ * free text. `keepLast` keeps the last N characters so values stay distinguishable in logs.
+ * `secret` marks credentials; cassettes keep the PII in recorded responses but never secrets.
+ * Set API_REDACTION=off to see raw values while debugging locally.
+ */
+
+module.exports = {
+  replacement: '[REDACTED]',
+
+  rules: [
+    {
+      name: 'token',
+      secret: true,
+      key: /(token|authorization|cookie|api[-_]?key|secret)$/i,
+      // JWTs (also truncated ones) and bearer credentials in free text
+      pattern: /\beyJ[\w-]*(?:\.[\w-]*){0,2}|(?<=\bBearer\s)[\w.~+/-]+=*/g,
+    },
+    {
+      name: 'password',
+      secret: true,
+      key: /pass(word|wd)?$/i,
+    },
+    {
+      name: 'otp',
+      secret: true,
+      // Also prefixed names such as AUTH_OTP or env.AUTH_OTP
+      key: /(^|[._-])(otp|mpin|pin)$/i,
+    },
+    {
+      name: 'phone',
+      key: /(phone|mobile)(number|no)?$/i,
+      pattern: /(?<![\w])(?:\+?91[- ]?)?[6-9]\d{9}(?!\d)/g,
+      keepLast: 4,
+    },
+    {
+      name: 'pan',
+      key: /^pan(number|no)?$/i,
+      pattern: /\b[A-Z]{5}\d{4}[A-Z]\b/g,
+    },
+    {
+      name: 'account number',
+      key: /^(account|acc|acct|beneficiaryAccount|bankAccount)[-_]?(number|no|num)?$/i,
+      keepLast: 4,
+    },
+    {
+      name: 'aadhaar',
+      key: /aadhaar/i,
+      pattern: /\b\d{4}\s?\d{4}\s?\d{4}\b/g,
+      keepLast: 4,
+    },
+  ],
+};
@@ -0,0 +1,24 @@
+/**
+ * Retry Policy
+ * Default retry settings for every makeApiRequest call (see RetryPolicy)
+ *
+ * A fixture overrides any of them with "retryPolicy": { ... }, or turns retries off with
+ * "retryPolicy": false. API_RETRY_MAX overrides maxRetries for the whole run (0 = no retries).
+ */
+
+module.exports = {
+  maxRetries: 2,
+  baseDelayMs: 500, // Doubled on every retry
+  maxDelayMs: 8000,
+  jitter: 0.5, // Up to half of each delay is randomised, so parallel workers do not retry in step
+  maxRetryAfterMs: 30000, // Longest Retry-After the suite is willing to wait
+
+  // Responses retried unless the body says error.retryable: false (retryable: true is always retried)
+  retryOnStatus: [429, 502, 503, 504],
+  // Network errors (error.code) worth another attempt
+  retryOnErrors: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN'],
+
+  // Other methods are only retried when the request carries the idempotency header
+  idempotentMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  idempotencyHeader: 'Idempotency-Key',
+};
@@ -0,0 +1,29 @@
+/**
+ * State Machines
+ * Status lifecycles per product, used by StatusPoller to judge the statuses it observes
+ *
+ *   statusPath  - where the status sits in the status endpoint's response
+ *   terminal    - statuses that end polling; they have no outgoing transitions
+ *   transitions - status → statuses it may move to directly
+ *
+ * Polling can miss short-lived statuses, so an observed change passes when the new status is
+ * reachable from the old one through these transitions. A status that is not listed here fails.
+ *
+ * Only the payout lifecycle is known. Add a machine for another product (e.g. deposits or refunds)
+ * once its statuses and transitions are confirmed, not guessed.
+ */
+
+module.exports = {
+  // Statuses as counted in the payout overview's systemStatusUpdate (initiate, pending, processing, success, failed)
+  payout: {
+    statusPath: 'data.status',
+    terminal: ['SUCCESS', 'FAILED'],
+    transitions: {
+      INITIATE: ['PENDING', 'PROCESSING', 'FAILED'],
+      PENDING: ['PROCESSING', 'SUCCESS', 'FAILED'],
+      PROCESSING: ['SUCCESS', 'FAILED'],
+      SUCCESS: [],
+      FAILED: [],
+    },
+  },
+};
@@ -1,100 +1,9 @@
 /**
- * Payment Service API Tests - Sequential with Data Sharing
- * Tests run in sequence to allow sharing response data between tests
- * Example: POST creates payment → GET uses payment ID → PUT updates it → DELETE removes it
+ * Auth Service API Tests
+ * One test per entry in fixtures/<env>/auth-service-<env>.json, registered by FixtureRunner
+ * Add a test by adding a fixture entry; chain tests with dependsOn and {{stored.*}} placeholders
  */
 
-const { test } = require('@playwright/test');
-const FintechApiHelper = require('../utils/FintechApiHelper');
-const EnvironmentConfig = require('../config/EnvironmentConfig');
-const fs = require('fs');
-const path = require('path');
+const FixtureRunner = require('../utils/FixtureRunner');
 
-test.describe('🏦 Auth Service API Tests', () => {
-  let apiHelper;
-  let config;
-  let testData;
-  const serviceName = 'auth-service';
-  let otpSession;
-
-  // Shared context to store response data from each test
-  const context = {
-    paymentId: null,
-    accountBalance: null,
-    transactionId: null,
-    response: {}
-  };
-
-  test.beforeAll(async () => {
-    // 1. CLEAN THE ENVIRONMENT VARIABLE
-    // .trim() removes hidden Windows carriage returns (\r)
-    // .toLowerCase() fixes any Case Sensitivity issues on Linux
-    const rawEnv = (process.env.TEST_ENV || 'dev').trim().toLowerCase();
-
-    // 2. BUILD THE PATH
-    // process.cwd() ensures we start from /var/lib/jenkins/workspace/Yobo-API-Testing
-    const fixtureFile = path.join(process.cwd(), 'api-tests', 'fixtures', rawEnv, `auth-service-${rawEnv}.json`);
-
-    console.log(`[DEBUG] Final Resolved Path: "${fixtureFile}"`);
-
-    // 3. CHECK IF FILE EXISTS BEFORE READING
-    if (!fs.existsSync(fixtureFile)) {
-      // This will print the exact folder content if it fails, so we can see the mistake
-      const dirPath = path.join(process.cwd(), 'api-tests', 'fixtures', rawEnv);
-      console.error(`❌ FOLDER CONTENT FOR ${dirPath}:`);
-      try { console.error(fs.readdirSync(dirPath)); } catch (e) { console.error("Folder itself not found"); }
-      throw new Error(`File Not Found at: ${fixtureFile}`);
-    }
-
-    const rawData = fs.readFileSync(fixtureFile, 'utf8');
-    testData = JSON.parse(rawData);
-
-    apiHelper = new FintechApiHelper(rawEnv);
-    config = new EnvironmentConfig(rawEnv);
-  });
-
-  // Validate send otp functionality with valid data
-  //YOBO-T4
-  test('1️⃣Validate send otp functionality with valid data', async () => {
-    console.log(`\n${'='.repeat(80)}`);
-    console.log(`🧪 TEST 1: Validate send otp functionality with valid data`);
-    console.log(`${'='.repeat(80)}`);
-
-    const mobileNumber = apiHelper.generateMobileNumber();
-    const requestPayload = JSON.parse(
-      JSON.stringify(testData['Validate send otp functionality with valid data'])
-    );
-
-    // Step 3: Update phone field
-    requestPayload.requestBody.identifier.phone = mobileNumber;
-    requestPayload.expectedBody.data.phone = "+91" + mobileNumber;
-    console.log(`📱 Using Mobile Number: ${mobileNumber}`);
-    const response = await apiHelper.makeApiRequest(requestPayload, "");
-
-    otpSession = response?.data?.otpSession;
-    console.log(`\n✅ [PASSED] OTP Session Retrieved: ${otpSession}`);
-    console.log(`📌 Stored in otpSession for use in next tests`);
-    console.log(`${'='.repeat(80)}\n`);
-  });
-
-  test('Validate Send OTP_with_Invalid_Channel', async () => {
-    console.log(`\n${'='.repeat(80)}`);
-    console.log(`🧪 TEST 2: Validate Send OTP_with_Invalid_Channel`);
-    console.log(`${'='.repeat(80)}`);
-
-    const response = await apiHelper.makeApiRequest(testData['Validate Send OTP_with_Invalid_Channel'], "");
-
-    console.log(`${'='.repeat(80)}\n`);
-  });
-
-  test('Validate Send OTP with Invalid phone number', async () => {
-    console.log(`\n${'='.repeat(80)}`);
-    console.log(`🧪 TEST 2: Validate Send OTP with Invalid phone number`);
-    console.log(`${'='.repeat(80)}`);
-
-    const response = await apiHelper.makeApiRequest(testData['Validate Send OTP with Invalid phone number'], "");
-
-    console.log(`${'='.repeat(80)}\n`);
-  });
-
-});
+FixtureRunner.register('auth-service', { title: '🏦 Auth Service API Tests' });
@@ -0,0 +1,9 @@
+/**
+ * API Journey Tests
+ * One test per scenario in api-tests/scenarios, registered by ScenarioRunner
+ * Each step of a scenario is reported as a Playwright test.step
+ */
+
+const ScenarioRunner = require('../utils/ScenarioRunner');
+
+ScenarioRunner.register({ title: '🧭 API Journeys' });
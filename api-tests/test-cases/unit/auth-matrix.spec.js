@@ -0,0 +1,74 @@
+/**
+ * AuthMatrix Tests
+ * Offline checks of matrix cells, the tokens they use and how outcomes are reported
+ */
+
+const { test, expect } = require('@playwright/test');
+const AuthMatrix = require('../../utils/AuthMatrix');
+
+const jwt = payload => ['eyJhbGciOiJIUzI1NiJ9', Buffer.from(JSON.stringify(payload)).toString('base64url'), 'sig'].join('.');
+const decode = token => JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+
+test.describe('🛂 AuthMatrix @unit', () => {
+  test('normalises the matrix and rejects unknown roles or missing statuses', () => {
+    expect(AuthMatrix.normalize({ admin: 200, enduser: { status: 403, errorCode: 'FORBIDDEN' }, anonymous: 401 }, ['admin', 'enduser'])).toEqual([
+      { role: 'admin', status: 200, errorCode: null },
+      { role: 'enduser', status: 403, errorCode: 'FORBIDDEN' },
+      { role: 'anonymous', status: 401, errorCode: null },
+    ]);
+    expect(() => AuthMatrix.normalize({ merchant: 200 }, ['admin']))
+      .toThrow("authMatrix: unknown role 'merchant'. Available: admin, anonymous, expired, malformed");
+    expect(() => AuthMatrix.normalize({ admin: { errorCode: 'X' } }, ['admin'])).toThrow("authMatrix: 'admin' needs a status code");
+  });
+
+  test('builds each cell from the fixture request with the cell expectations', () => {
+    const fixture = {
+      testName: 'Get payout overview',
+      method: 'GET',
+      url: 'payout/private/payout/overview',
+      params: { from: '2024-01-01' },
+      expectedStatus: 200,
+      expectedBody: { success: true },
+      capture: { total: 'data.total' },
+    };
+
+    expect(AuthMatrix.buildRequest(fixture, { role: 'enduser', status: 403, errorCode: 'FORBIDDEN' })).toEqual({
+      testName: 'Get payout overview as enduser',
+      expectedStatus: 403,
+      method: 'GET',
+      url: 'payout/private/payout/overview',
+      params: { from: '2024-01-01' },
+      subsetExpectedBody: { error: { code: 'FORBIDDEN' } },
+    });
+    expect(AuthMatrix.buildRequest(fixture, { role: 'anonymous', status: 401, errorCode: null }).auth).toBe(false);
+  });
+
+  test('picks the token of each role and pseudo role', async () => {
+    const admin = jwt({ sub: 'admin', exp: Math.floor(Date.now() / 1000) + 3600 });
+    const apiHelper = { getAccessToken: async (role = 'admin') => (role === 'admin' ? admin : `${role}-token`) };
+    const saved = process.env.API_EXPIRED_TOKEN;
+    delete process.env.API_EXPIRED_TOKEN;
+    try {
+      expect(await AuthMatrix.getToken(apiHelper, 'anonymous')).toBeNull();
+      expect(await AuthMatrix.getToken(apiHelper, 'malformed')).toBe('malformed.token.value');
+      expect(await AuthMatrix.getToken(apiHelper, 'enduser')).toBe('enduser-token');
+
+      const expired = await AuthMatrix.getToken(apiHelper, 'expired');
+      expect(decode(expired).sub).toBe('admin');
+      expect(decode(expired).exp * 1000).toBeLessThan(Date.now());
+      expect(() => AuthMatrix.expire('opaque')).toThrow('set API_EXPIRED_TOKEN');
+    } finally {
+      if (saved !== undefined) {
+        process.env.API_EXPIRED_TOKEN = saved;
+      }
+    }
+  });
+
+  test('formats expected and actual outcomes', () => {
+    expect(AuthMatrix.formatCell({ status: 403, errorCode: 'FORBIDDEN', actualStatus: 200, actualErrorCode: null, passed: false }))
+      .toEqual({ expected: '403 FORBIDDEN', actual: '200', result: '❌' });
+    expect(AuthMatrix.formatCell({ status: 401, errorCode: null, actualStatus: null, actualErrorCode: null, passed: false }).actual).toBe('-');
+    expect(AuthMatrix.readErrorCode('{"error":{"code":"UNAUTHORIZED"}}')).toBe('UNAUTHORIZED');
+    expect(AuthMatrix.readErrorCode('<html>')).toBeNull();
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Cassette Tests
+ * Offline checks of recording interactions and replaying them from a local cassette server
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { test, expect } = require('@playwright/test');
+const CassetteRecorder = require('../../utils/CassetteRecorder');
+const CassetteServer = require('../../utils/CassetteServer');
+const Redactor = require('../../utils/Redactor');
+
+const jwt = payload => ['eyJhbGciOiJIUzI1NiJ9', Buffer.from(JSON.stringify(payload)).toString('base64url'), 'sig'].join('.');
+
+test.describe('📼 CassetteRecorder @unit', () => {
+  test('hashes sensitive request values, templates echoes and keeps PII in the response', () => {
+    const token = jwt({ sub: '+918147752744', exp: Math.floor(Date.now() / 1000) + 3600 });
+    const interaction = CassetteRecorder.buildInteraction({
+      response: {
+        config: { method: 'post', url: 'https://dev.yobope.com/api/v1/auth/test/verify-login?lang=en', headers: {} },
+        status: 200,
+        headers: { 'content-type': 'application/json', 'x-request-id': 'req-1', 'set-cookie': 'session=1', connection: 'close' },
+        data: { access_token: token, data: { phone: '+918147752744', reference: 'REF12345', otp: '123456' } },
+      },
+      params: {},
+      requestBody: { phone: '+918147752744', password: 'Secret@1', reference: 'REF12345' },
+      templateBody: { phone: '+918147752744', password: 'Secret@1', reference: '{{gen.string}}' },
+    });
+
+    expect(interaction.request).toEqual({
+      method: 'POST',
+      path: '/api/v1/auth/test/verify-login',
+      query: { lang: 'en' },
+      body: { phone: Redactor.hash('+918147752744'), password: Redactor.hash('Secret@1') },
+      auth: 'none',
+    });
+    expect(interaction.response).toEqual({
+      status: 200,
+      headers: { 'content-type': 'application/json', 'x-request-id': 'req-1' },
+      body: {
+        access_token: '[REDACTED]',
+        data: { phone: '+918147752744', reference: '{{request.body.reference}}', otp: '[REDACTED]' },
+      },
+      auth: `bearer:${Redactor.hash('+918147752744')}`,
+    });
+  });
+
+  test('describes Authorization headers without storing the token', () => {
+    expect(CassetteRecorder.describeAuth(undefined)).toBe('none');
+    expect(CassetteRecorder.describeAuth('Bearer not-a-jwt')).toBe('malformed');
+    expect(CassetteRecorder.describeAuth(`Bearer ${jwt({ sub: 'a', exp: 1 })}`)).toBe('expired');
+    expect(CassetteRecorder.describeAuth(`Bearer ${jwt({ exp: Math.floor(Date.now() / 1000) + 60 })}`)).toBe('bearer');
+    expect(CassetteRecorder.describeAuth(`Bearer ${jwt({ sub: 'sha256:abc' })}`)).toBe('bearer:sha256:abc');
+    expect(CassetteRecorder.getAuthorization({ authorization: 'Bearer x' })).toBe('Bearer x');
+  });
+});
+
+test.describe('📼 CassetteServer @unit', () => {
+  let directory;
+  let server;
+  let baseUrl;
+
+  test.beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+    const status = value => ({
+      request: { method: 'GET', path: '/api/v1/payout/status/TXN1', query: {}, auth: 'none' },
+      response: { status: 200, headers: {}, body: { data: { status: value } } },
+    });
+    fs.writeFileSync(path.join(directory, 'payment-service.json'), JSON.stringify({
+      interactions: [
+        status('PENDING'),
+        status('SUCCESS'),
+        {
+          request: { method: 'POST', path: '/api/v1/auth/authenticate', query: {}, body: { phone: Redactor.hash('8147752744') }, auth: 'none' },
+          response: { status: 200, headers: { 'x-request-id': 'req-1' }, body: { data: { phone: '+918147752744', reference: '{{request.body.reference}}' } } },
+        },
+        {
+          request: { method: 'POST', path: '/api/v1/auth/test/verify-login', query: {}, body: {}, auth: 'none' },
+          response: { status: 200, headers: {}, body: { access_token: '[REDACTED]' }, auth: 'bearer:sha256:admin' },
+        },
+      ],
+    }));
+
+    server = new CassetteServer({ directory });
+    baseUrl = `http://127.0.0.1:${await server.start(0)}/api/v1`;
+  });
+
+  test.afterAll(async () => {
+    await server.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('replays recorded sequences in order and repeats the last one', async () => {
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await axios.get(`${baseUrl}/payout/status/TXN1`)).data.data.status);
+    }
+    expect(statuses).toEqual(['PENDING', 'SUCCESS', 'SUCCESS']);
+  });
+
+  test('matches hashed request values and fills request templates', async () => {
+    const response = await axios.post(`${baseUrl}/auth/authenticate`, { phone: '8147752744', reference: 'NEW-REF' });
+
+    expect(response.headers['x-request-id']).toBe('req-1');
+    expect(response.data).toEqual({ data: { phone: '+918147752744', reference: 'NEW-REF' } });
+
+    const unmatched = await axios.post(`${baseUrl}/auth/authenticate`, { phone: '9000000000' }, { validateStatus: () => true });
+    expect(unmatched.status).toBe(501);
+  });
+
+  test('hands out a replay token with the recorded subject', async () => {
+    const { data } = await axios.post(`${baseUrl}/auth/test/verify-login`, { phone: '+919648181964' });
+
+    expect(CassetteRecorder.describeAuth(`Bearer ${data.access_token}`)).toBe('bearer:sha256:admin');
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * ConcurrencyHarness Tests
+ * Offline checks of the start barrier and the invariants over simultaneous requests
+ */
+
+const { test, expect } = require('@playwright/test');
+const ConcurrencyHarness = require('../../utils/ConcurrencyHarness');
+const FintechApiHelper = require('../../utils/FintechApiHelper');
+const StartBarrier = require('../../utils/StartBarrier');
+
+const payout = {
+  testName: 'Initiate payout',
+  method: 'POST',
+  url: '/payout/initiate',
+  auth: false,
+  requestBody: { amount: 400 },
+  expectedStatus: 201,
+  concurrency: {
+    requests: 3,
+    transactionIdPath: 'data.transactionId',
+    balance: { fixture: 'Get payout overview', path: 'data.total' },
+  },
+};
+const fixtures = { 'Get payout overview': { method: 'GET', url: '/payout/overview', auth: false } };
+
+// Helper whose wallet holds ₹1,000; a racy wallet checks the balance before the barrier opens
+const createHelper = ({ racy = false, sameTransactionId = false } = {}) => {
+  const helper = new FintechApiHelper('dev');
+  let balance = 100000;
+  let transactions = 0;
+  helper.releasedAt = [];
+  helper.makeApiRequest = async () => ({ data: { total: (balance / 100).toFixed(2) } });
+  helper.sendApiRequest = async (request, token, { barrier }) => {
+    const seen = balance;
+    await barrier.arrive();
+    helper.releasedAt.push(barrier.releasedAt);
+
+    const debit = request.requestBody.amount * 100;
+    if ((racy ? seen : balance) < debit) {
+      return { status: 422, data: { error: { code: 'INSUFFICIENT_FUNDS' } }, duration: 1 };
+    }
+    balance -= debit;
+    const transactionId = sameTransactionId ? 'TXN1' : `TXN${++transactions}`;
+    return { status: 201, data: { data: { transactionId } }, duration: 1 };
+  };
+  return helper;
+};
+
+test.describe('🏁 StartBarrier @unit', () => {
+  test('releases every party at once when the last one arrives', async () => {
+    const barrier = new StartBarrier(3);
+    const released = [];
+    const parties = [1, 2].map(number => barrier.arrive().then(() => released.push(number)));
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(released).toEqual([]);
+    expect(barrier.releasedAt).toBeNull();
+
+    barrier.arrive();
+    await Promise.all(parties);
+    expect(released).toEqual([1, 2]);
+    expect(barrier.releasedAt).not.toBeNull();
+  });
+
+  test('stops waiting for parties that leave, but not after opening', async () => {
+    const barrier = new StartBarrier(3);
+    const waiting = barrier.arrive();
+    barrier.leave();
+    barrier.leave();
+    await waiting;
+    expect(barrier.parties).toBe(1);
+
+    barrier.leave();
+    expect(barrier.parties).toBe(1);
+  });
+});
+
+test.describe('⚡ ConcurrencyHarness @unit', () => {
+  test('passes when the wallet serialises the debits', async () => {
+    const helper = createHelper();
+    const report = await new ConcurrencyHarness(helper, fixtures).run(payout);
+
+    expect(report).toMatchObject({
+      requests: 3,
+      successes: 2,
+      transactionIds: ['TXN1', 'TXN2'],
+      balance: { before: '₹1,000.00', after: '₹200.00', amount: '₹400.00', debited: '₹800.00', expectedAfter: '₹200.00' },
+      findings: [],
+    });
+    expect(report.outcomes.map(outcome => outcome.status)).toEqual([201, 201, 422]);
+    expect(new Set(helper.releasedAt).size).toBe(1);
+  });
+
+  test('reports double spending, shared transaction ids and too many successes', async () => {
+    const racy = createHelper({ racy: true, sameTransactionId: true });
+
+    await expect(new ConcurrencyHarness(racy, fixtures).run({ ...payout, concurrency: { ...payout.concurrency, maxSuccesses: 2 } }))
+      .rejects.toThrow([
+        'Concurrency check failed for Initiate payout:',
+        '  ✗ 3 requests succeeded, at most 2 may',
+        '  ✗ transaction id TXN1 returned to requests #1, #2, #3',
+        '  ✗ 3 successes debited ₹1,200.00, more than the starting balance ₹1,000.00',
+        '  ✗ balance went negative: -₹200.00',
+      ].join('\n'));
+  });
+
+  test('reports failed requests and rejects a missing balance fixture', async () => {
+    const helper = createHelper();
+    helper.sendApiRequest = async (request, token, { barrier }) => {
+      barrier.leave();
+      throw new Error('connect ECONNREFUSED\n    at stack');
+    };
+
+    const report = await new ConcurrencyHarness(helper).runCopies({ ...payout, concurrency: undefined }, { requests: 2 });
+    expect(report.findings).toEqual(['request #1 failed: connect ECONNREFUSED', 'request #2 failed: connect ECONNREFUSED']);
+
+    await expect(new ConcurrencyHarness(helper, {}).run(payout)).rejects.toThrow("concurrency: balance fixture 'Get payout overview' not found");
+  });
+});
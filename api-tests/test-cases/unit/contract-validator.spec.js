@@ -0,0 +1,101 @@
+/**
+ * ContractValidator Tests
+ * Offline checks of operation matching, status/header/body validation and the contract mode
+ */
+
+const { test, expect } = require('@playwright/test');
+const ContractValidator = require('../../utils/ContractValidator');
+const FintechApiHelper = require('../../utils/FintechApiHelper');
+
+const document = {
+  openapi: '3.0.3',
+  'x-yobo-envelope': true,
+  servers: [{ url: 'https://dev.example.com/api/v1' }],
+  paths: {
+    '/payout/{id}': {
+      get: {
+        responses: {
+          200: {
+            headers: { 'x-request-id': { required: true, schema: { type: 'string' } } },
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Payout' } } },
+          },
+          '4XX': { content: { 'application/json': { schema: { type: 'object', required: ['error'] } } } },
+        },
+      },
+    },
+    '/payout/overview': {
+      get: {
+        'x-yobo-envelope': false,
+        responses: { 200: { description: 'No schema' } },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Payout: {
+        type: 'object',
+        required: ['id', 'status'],
+        properties: { id: { type: 'string' }, status: { type: 'string', enum: ['PENDING', 'SUCCESS'] } },
+      },
+    },
+  },
+};
+
+test.describe('📜 ContractValidator @unit', () => {
+  const contract = new ContractValidator(document, 'payout');
+  const json = { 'content-type': 'application/json', 'x-request-id': 'req-1' };
+
+  test('matches operations by method and path, preferring literal segments', () => {
+    expect(contract.findOperation('get', 'https://dev.example.com/api/v1/payout/overview').template).toBe('/payout/overview');
+    expect(contract.findOperation('GET', '/api/v1/payout/TXN1?expand=true').template).toBe('/payout/{id}');
+    expect(contract.findOperation('POST', '/payout/TXN1')).toBeNull();
+    expect(() => new ContractValidator({ swagger: '2.0' }, 'old')).toThrow("Contract 'old' is not an OpenAPI 3 document");
+  });
+
+  test('reports undeclared statuses, missing headers and body violations with pointers', () => {
+    expect(contract.validate({ method: 'GET', url: '/payout/TXN1', status: 500, headers: json, body: {} }).violations)
+      .toEqual([{ pointer: '/status', message: 'status 500 is not declared (declared: 200, 4XX)' }]);
+    expect(contract.validate({ method: 'GET', url: '/payout/TXN1', status: 404, headers: json, body: { error: {} } }))
+      .toEqual({ operation: 'GET /payout/{id}', violations: [] });
+
+    const result = contract.validate({
+      method: 'GET', url: '/payout/TXN1', status: 200, headers: { 'content-type': 'application/json' }, body: { status: 'DONE' },
+    });
+    expect(result.violations).toEqual([
+      { pointer: '/headers/x-request-id', message: 'required header is missing' },
+      { pointer: '/body/id', message: "must have required property 'id'" },
+      { pointer: '/body/status', message: 'must be equal to one of the allowed values (PENDING, SUCCESS)' },
+    ]);
+
+    expect(contract.validate({ method: 'GET', url: '/payout/TXN1', status: 200, headers: { ...json, 'content-type': 'text/html' }, body: '' }).violations)
+      .toEqual([{ pointer: '/headers/content-type', message: 'expected application/json, got text/html' }]);
+    expect(contract.validate({ method: 'DELETE', url: '/payout/TXN1', status: 200 })).toBeNull();
+  });
+
+  test('reads the envelope declaration from the operation, else the document', () => {
+    expect(contract.declaresEnvelope('GET', '/payout/TXN1')).toBe(true);
+    expect(contract.declaresEnvelope('GET', '/payout/overview')).toBe(false);
+    expect(contract.declaresEnvelope('GET', '/unknown')).toBe(false);
+  });
+
+  test('warns by default for provisional contracts and fails for the rest', () => {
+    const helper = new FintechApiHelper('dev');
+    const saved = process.env.API_CONTRACT_MODE;
+    delete process.env.API_CONTRACT_MODE;
+    try {
+      expect(ContractValidator.forService('auth-service').provisional).toBe(true);
+      expect(ContractValidator.forService('no-such-service')).toBeNull();
+      expect(helper.getContractMode(ContractValidator.forService('auth-service'))).toBe('soft');
+      expect(helper.getContractMode(contract)).toBe('hard');
+
+      process.env.API_CONTRACT_MODE = 'Hard';
+      expect(helper.getContractMode(ContractValidator.forService('auth-service'))).toBe('hard');
+    } finally {
+      if (saved === undefined) {
+        delete process.env.API_CONTRACT_MODE;
+      } else {
+        process.env.API_CONTRACT_MODE = saved;
+      }
+    }
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * EnvelopeValidator Tests
+ * Offline checks of the standard envelope rules, the warning-only rules and drift detection
+ */
+
+const { test, expect } = require('@playwright/test');
+const EnvelopeValidator = require('../../utils/EnvelopeValidator');
+const FintechApiHelper = require('../../utils/FintechApiHelper');
+
+const meta = { apiVersion: 'v1', requestId: 'req-1', timestamp: '2025-01-01T10:00:00Z' };
+const errorBody = (status, category) => ({
+  success: false,
+  statusCode: status,
+  message: 'Failed',
+  error: { code: 'FAILED', category, message: 'Failed', retryable: false },
+  meta,
+});
+
+test.describe('🧾 EnvelopeValidator @unit', () => {
+  test('accepts standard success and error envelopes', () => {
+    expect(EnvelopeValidator.validate(200, { success: true, statusCode: 200, message: 'OK', data: {}, meta })).toEqual([]);
+    expect(EnvelopeValidator.validate(400, {
+      ...errorBody(400, 'VALIDATION_ERROR'),
+      error: { ...errorBody(400, 'VALIDATION_ERROR').error, errors: [{ field: 'phone', code: 'VALIDATION_FAILED' }] },
+    })).toEqual([]);
+    expect(EnvelopeValidator.validate(204, '')).toEqual([]);
+  });
+
+  test('reports broken envelopes with JSON pointers', () => {
+    expect(EnvelopeValidator.validate(200, '<html>')).toEqual([{ pointer: '/body', message: 'response is not a JSON envelope (string)' }]);
+    expect(EnvelopeValidator.validate(500, {
+      success: true,
+      error: { code: '', retryable: 'no', errors: [{ field: 'phone' }] },
+      meta: { requestId: '', timestamp: 'yesterday' },
+    })).toEqual([
+      { pointer: '/body/success', message: 'is true on a 500 response' },
+      { pointer: '/body/error/code', message: 'must be a non-empty string' },
+      { pointer: '/body/error/category', message: 'must be a non-empty string' },
+      { pointer: '/body/error/retryable', message: 'must be a boolean' },
+      { pointer: '/body/error/errors/0/code', message: 'must be a string' },
+      { pointer: '/body/meta/requestId', message: 'must be a non-empty string' },
+      { pointer: '/body/meta/timestamp', message: 'must be an ISO date, got "yesterday"' },
+    ]);
+  });
+
+  test('only warns about unknown categories and a statusCode that differs from the HTTP status', () => {
+    [401, 403, 429].forEach(status => {
+      expect(EnvelopeValidator.validate(status, errorBody(status, 'AUTHENTICATION_ERROR'))).toEqual([{
+        pointer: '/body/error/category',
+        message: '"AUTHENTICATION_ERROR" is not a known category (VALIDATION_ERROR)',
+        warning: true,
+      }]);
+    });
+    expect(EnvelopeValidator.validate(200, { success: true, statusCode: 300, message: 'OK', data: {}, meta })).toEqual([
+      { pointer: '/body/statusCode', message: 'is 300 but the HTTP status is 200', warning: true },
+    ]);
+  });
+
+  test('fails hard mode on violations but not on warnings', () => {
+    const helper = new FintechApiHelper('dev');
+    const saved = process.env.API_ENVELOPE_MODE;
+    process.env.API_ENVELOPE_MODE = 'hard';
+    try {
+      const response = (status, data) => ({ status, data, config: { method: 'post', url: 'https://dev.example.com/auth/authenticate' } });
+
+      expect(() => helper.validateEnvelope(response(200, { success: true, statusCode: 300, data: {} }), {})).not.toThrow();
+      expect(() => helper.validateEnvelope(response(401, errorBody(401, 'AUTHENTICATION_ERROR')), {})).not.toThrow();
+      expect(() => helper.validateEnvelope(response(401, { success: true, statusCode: 300 }), {}))
+        .toThrow('Envelope violation (401):\n  ✗ /body/success: is true on a 401 response');
+    } finally {
+      if (saved === undefined) {
+        delete process.env.API_ENVELOPE_MODE;
+      } else {
+        process.env.API_ENVELOPE_MODE = saved;
+      }
+    }
+  });
+
+  test('reports services whose envelopes leave out standard members', () => {
+    expect(EnvelopeValidator.shapeOf(200, { success: true, statusCode: 200, message: 'OK', data: {} }))
+      .toEqual({ kind: 'success', missing: ['meta.apiVersion', 'meta.requestId', 'meta.timestamp'] });
+
+    expect(EnvelopeValidator.detectDrift([
+      { service: 'auth', endpoint: 'POST /auth/authenticate', kind: 'success', missing: ['meta.apiVersion'] },
+      { service: 'auth', endpoint: 'POST /auth/mpin', kind: 'success', missing: ['meta.apiVersion'] },
+      { service: 'auth', endpoint: 'POST /auth/mpin', kind: 'error', missing: [] },
+    ])).toEqual({
+      'auth (success)': { responses: 2, missing: { 'meta.apiVersion': ['POST /auth/authenticate', 'POST /auth/mpin'] } },
+    });
+  });
+});
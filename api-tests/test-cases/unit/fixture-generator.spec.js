@@ -0,0 +1,122 @@
+/**
+ * FixtureGenerator Tests
+ * Offline checks of the fixture entries scaffolded from an OpenAPI document
+ */
+
+const { test, expect } = require('@playwright/test');
+const FixtureGenerator = require('../../utils/FixtureGenerator');
+
+const document = {
+  openapi: '3.0.3',
+  paths: {
+    '/payouts': {
+      post: {
+        summary: 'Create payout',
+        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/PayoutRequest' } } } },
+        responses: {
+          201: {
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['success', 'data'],
+                  properties: {
+                    success: { type: 'boolean' },
+                    data: {
+                      type: 'object',
+                      required: ['payoutId', 'status', 'createdAt'],
+                      properties: {
+                        payoutId: { type: 'string', pattern: '^PO_' },
+                        status: { type: 'string', enum: ['PENDING', 'SUCCESS'] },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        note: { type: 'string' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/payouts/{payoutId}': {
+      get: {
+        operationId: 'getPayout',
+        parameters: [
+          { in: 'path', name: 'payoutId', required: true, schema: { type: 'string' } },
+          { in: 'query', name: 'view', required: true, schema: { type: 'string', enum: ['FULL', 'SHORT'] } },
+          { in: 'query', name: 'page', schema: { type: 'integer' } },
+        ],
+        responses: { 200: { content: { 'application/json': { schema: { type: 'object', properties: { data: { type: 'object' } } } } } } },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      PayoutRequest: {
+        allOf: [
+          {
+            type: 'object',
+            required: ['beneficiaryId', 'amount'],
+            properties: { beneficiaryId: { type: 'string', format: 'uuid' }, amount: { type: 'number', minimum: 1 } },
+          },
+          {
+            type: 'object',
+            required: ['mode'],
+            properties: { mode: { type: 'string', enum: ['IMPS', 'NEFT'] }, remarks: { type: 'string', example: 'Test' } },
+          },
+        ],
+      },
+    },
+  },
+};
+
+test.describe('🏗️ FixtureGenerator @unit', () => {
+  const fixtures = new FixtureGenerator(document, 'payout').generate();
+
+  test('builds a happy-path entry from schema examples and response matchers', () => {
+    expect(fixtures['Validate Create payout with valid data']).toEqual({
+      tags: ['generated'],
+      method: 'POST',
+      url: '/payouts',
+      params: {},
+      requestBody: { beneficiaryId: '{{gen.uuid}}', amount: 1, mode: 'IMPS', remarks: 'Test' },
+      expectedBody: {
+        success: '@boolean',
+        data: { payoutId: '@regex:^PO_', status: '@oneOf:PENDING,SUCCESS', createdAt: '@isoDate' },
+      },
+      expectedStatus: 201,
+      expectedResponseTime: 1000,
+    });
+  });
+
+  test('adds one negative entry per required body field and enum', () => {
+    expect(Object.keys(fixtures).filter(name => name.startsWith('Validate Create payout with'))).toEqual([
+      'Validate Create payout with valid data',
+      'Validate Create payout with missing beneficiaryId',
+      'Validate Create payout with missing amount',
+      'Validate Create payout with missing mode',
+      'Validate Create payout with invalid mode',
+    ]);
+
+    const missing = fixtures['Validate Create payout with missing amount'];
+    expect(missing.requestBody).toEqual({ beneficiaryId: '{{gen.uuid}}', mode: 'IMPS', remarks: 'Test' });
+    expect(missing.expectedStatus).toBe(400);
+    expect(missing.tags).toEqual(['generated', 'negative']);
+    expect(missing.expectedBody.statusCode).toBe(400);
+    expect(missing.expectedBody.error.errors).toEqual([{ field: 'amount', code: '@string', message: '@string' }]);
+
+    expect(fixtures['Validate Create payout with invalid mode'].requestBody.mode).toBe('INVALID_VALUE');
+  });
+
+  test('fills path parameters with stored placeholders and covers required query parameters', () => {
+    const valid = fixtures['Validate getPayout with valid data'];
+    expect(valid.url).toBe('/payouts/{{stored.payoutId}}');
+    expect(valid.params).toEqual({ view: 'FULL' });
+    expect(valid.expectedBody).toEqual({});
+
+    expect(fixtures['Validate getPayout with missing view'].params).toEqual({});
+    expect(fixtures['Validate getPayout with invalid view'].params).toEqual({ view: 'INVALID_VALUE' });
+  });
+});
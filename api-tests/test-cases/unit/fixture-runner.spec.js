@@ -0,0 +1,49 @@
+/**
+ * FixtureRunner Tests
+ * Offline checks of fixture loading, dependency ordering and test metadata
+ */
+
+const { test, expect } = require('@playwright/test');
+const FixtureRunner = require('../../utils/FixtureRunner');
+
+test.describe('🗂️ FixtureRunner @unit', () => {
+  test('orders dependencies before their dependents and keeps file order otherwise', () => {
+    const fixtures = {
+      'Get payout status': { dependsOn: 'Create payout' },
+      'Get overview': {},
+      'Create payout': { dependsOn: ['Add beneficiary'] },
+      'Add beneficiary': {},
+    };
+
+    expect(FixtureRunner.orderByDependencies(fixtures)).toEqual(['Add beneficiary', 'Create payout', 'Get payout status', 'Get overview']);
+    expect(FixtureRunner.getDependencies(fixtures['Get payout status'])).toEqual(['Create payout']);
+    expect(FixtureRunner.getDependencies(fixtures['Get overview'])).toEqual([]);
+  });
+
+  test('rejects unknown and circular dependencies', () => {
+    expect(() => FixtureRunner.orderByDependencies({ A: { dependsOn: 'Missing' } }))
+      .toThrow("Fixture 'A' depends on unknown fixture 'Missing'");
+    expect(() => FixtureRunner.orderByDependencies({ A: { dependsOn: 'B' }, B: { dependsOn: 'A' } }))
+      .toThrow('Circular dependsOn: A → B → A');
+  });
+
+  test('turns fixture metadata into tags and annotations', () => {
+    expect(FixtureRunner.getTestDetails({ tags: ['smoke', '@otp'], jiraKey: 'YOBO-T4', skip: 'OTP provider down', dependsOn: 'Send OTP' })).toEqual({
+      tag: ['@smoke', '@otp'],
+      annotation: [
+        { type: 'jira', description: 'YOBO-T4' },
+        { type: 'skip', description: 'OTP provider down' },
+        { type: 'dependsOn', description: 'Send OTP' },
+      ],
+    });
+    expect(FixtureRunner.getTestDetails({ skip: true }).annotation).toEqual([{ type: 'skip', description: 'Skipped in fixture' }]);
+  });
+
+  test('loads the fixture file of a service and environment', () => {
+    const fixtures = FixtureRunner.loadFixtures('auth-service', 'dev');
+
+    expect(Object.keys(fixtures).length).toBeGreaterThan(0);
+    Object.values(fixtures).forEach(fixture => expect(fixture.url).toEqual(expect.any(String)));
+    expect(() => FixtureRunner.loadFixtures('no-such-service', 'dev')).toThrow('File Not Found at:');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * IdempotencyTester Tests
+ * Offline checks of the response comparison, the transaction id and the balance check
+ */
+
+const { test, expect } = require('@playwright/test');
+const IdempotencyTester = require('../../utils/IdempotencyTester');
+
+const options = { ignore: ['meta.requestId', 'meta.timestamp'] };
+const compare = (...bodies) => {
+  const report = { findings: [] };
+  const responses = bodies.map((data, index) => ({ number: index + 1, response: { status: 201, data } }));
+  new IdempotencyTester({}).compareResponses(responses, options, report);
+  return report.findings;
+};
+
+// Helper whose payout debits the wallet once per key, or on every submission with `duplicates`
+const createHelper = ({ duplicates = false } = {}) => {
+  let balance = 100000;
+  let transactions = 0;
+  const seen = {};
+  return {
+    step: (name, body) => body(),
+    attachToReport: async () => {},
+    makeApiRequest: async () => ({ data: { total: (balance / 100).toFixed(2) } }),
+    sendApiRequest: async request => {
+      const key = request.headers['Idempotency-Key'];
+      if (!seen[key] || duplicates) {
+        balance -= 15050;
+        seen[key] = { transactionId: `TXN${++transactions}`, status: 'PENDING' };
+      }
+      return { status: 201, data: { success: true, data: seen[key], meta: { requestId: `req-${transactions}-${Math.random()}` } } };
+    },
+  };
+};
+
+const payout = {
+  testName: 'Initiate payout',
+  method: 'POST',
+  url: '/payout/initiate',
+  requestBody: { amount: 150.5 },
+  idempotency: {
+    submissions: 3,
+    transactionIdPath: 'data.transactionId',
+    balance: { fixture: 'Get payout overview', path: 'data.total' },
+  },
+};
+const fixtures = { 'Get payout overview': { method: 'GET', url: '/payout/overview' } };
+
+test.describe('🔁 IdempotencyTester @unit', () => {
+  test('accepts responses that are strictly equal apart from the ignored paths', () => {
+    expect(compare(
+      { data: { id: 'TXN1', createdAt: '@isoDate' }, meta: { requestId: 'req-1', timestamp: '2025-01-01T10:00:00Z' } },
+      { data: { id: 'TXN1', createdAt: '@isoDate' }, meta: { requestId: 'req-2', timestamp: '2025-01-01T10:00:01Z' } },
+    )).toEqual([]);
+  });
+
+  test('reports values, types, extra keys and matcher-like strings that differ', () => {
+    expect(compare(
+      { data: { id: 'TXN1', amount: 150.5, createdAt: '@isoDate', tags: ['a'] } },
+      { data: { id: 'TXN1', amount: '150.50', createdAt: '2025-01-01T10:00:00Z', tags: ['a', 'b'], retry: true } },
+    )).toEqual([
+      'response #2 differs from #1:\n' +
+      '    $.data.amount: 150.5 → "150.50"\n' +
+      '    $.data.createdAt: "@isoDate" → "2025-01-01T10:00:00Z"\n' +
+      '    $.data.tags[1]: undefined → "b"\n' +
+      '    $.data.retry: undefined → true',
+    ]);
+    expect(compare({ data: null }, { data: {} })).toEqual(['response #2 differs from #1:\n    $.data: null → {}']);
+  });
+
+  test('passes when the key makes the request take effect once', async () => {
+    const reports = await new IdempotencyTester(createHelper(), fixtures).run(payout);
+
+    expect(reports.map(report => report.mode)).toEqual(['sequential', 'concurrent']);
+    expect(reports[0]).toMatchObject({
+      statuses: [201, 201, 201],
+      transactionIds: ['TXN1'],
+      balance: { before: '₹1,000.00', after: '₹849.50', amount: '₹150.50', expectedAfter: '₹849.50' },
+      findings: [],
+    });
+    expect(reports[0].key).not.toBe(reports[1].key);
+  });
+
+  test('fails on duplicate transactions and debits', async () => {
+    const tester = new IdempotencyTester(createHelper({ duplicates: true }), fixtures);
+
+    await expect(tester.run({ ...payout, idempotency: { ...payout.idempotency, modes: ['sequential'] } }))
+      .rejects.toThrow(/sequential: expected one transaction at data\.transactionId, got \["TXN1","TXN2","TXN3"\][\s\S]*observed 3\.00 debits/);
+  });
+
+  test('rejects unknown modes and missing balance fixtures', async () => {
+    const tester = new IdempotencyTester(createHelper(), {});
+    await expect(tester.run({ ...payout, idempotency: { modes: ['parallel'] } }))
+      .rejects.toThrow('idempotency: unknown mode(s) parallel. Available: sequential, concurrent');
+    await expect(tester.run(payout)).rejects.toThrow("idempotency: balance fixture 'Get payout overview' not found");
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * LatencyHistogram Tests
+ * Offline checks of the bucketed percentiles against the exact nearest-rank values
+ */
+
+const { test, expect } = require('@playwright/test');
+const LatencyHistogram = require('../../utils/LatencyHistogram');
+const LatencyTracker = require('../../utils/LatencyTracker');
+
+test.describe('🪣 LatencyHistogram @unit', () => {
+  test('stays within 1% of the exact percentiles, with exact count, mean and maximum', () => {
+    const values = [...Array(5000).keys()].map(index => (index * 7919) % 30000);
+    const histogram = new LatencyHistogram();
+    values.forEach(value => histogram.add(value));
+    const exact = LatencyTracker.summarizeValues([...values].sort((a, b) => a - b));
+
+    [50, 95, 99].forEach(percentile => {
+      const estimate = histogram.percentile(percentile);
+      const value = exact[`p${percentile}`];
+      expect(estimate).toBeGreaterThanOrEqual(value);
+      expect(estimate).toBeLessThanOrEqual(value * 1.01);
+    });
+    expect(histogram.summarize()).toMatchObject({ count: 5000, max: exact.max });
+    expect(histogram.mean()).toBe(Math.round(values.reduce((sum, value) => sum + value, 0) / values.length));
+    expect(histogram.buckets.size).toBeLessThan(700);
+  });
+
+  test('is exact up to 100ms, never reports above the maximum and is empty without values', () => {
+    const histogram = new LatencyHistogram();
+    expect(histogram.summarize()).toEqual({ count: 0, p50: null, p95: null, p99: null, max: null });
+    expect(histogram.mean()).toBeNull();
+
+    [3, 42.4, -5, 99].forEach(value => histogram.add(value));
+    expect(histogram.summarize()).toEqual({ count: 4, p50: 3, p95: 99, p99: 99, max: 99 });
+
+    histogram.add(1234);
+    expect(histogram.percentile(100)).toBe(1234);
+    expect(histogram.percentile(0)).toBe(0);
+  });
+});
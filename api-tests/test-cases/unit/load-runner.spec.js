@@ -0,0 +1,77 @@
+/**
+ * LoadRunner Tests
+ * Offline checks of the aggregated summary and the per-iteration HAR recorders (local HTTP server only)
+ */
+
+const http = require('http');
+const { test, expect } = require('@playwright/test');
+const LoadRunner = require('../../utils/LoadRunner');
+
+test.describe('📈 LoadRunner @unit', () => {
+  let server;
+  let baseUrl;
+
+  test.beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const delay = req.url === '/slow' ? 30 : 0;
+      setTimeout(() => {
+        res.writeHead(req.url === '/fail' ? 500 : 200, { 'content-type': 'application/json' });
+        res.end('{}');
+      }, delay);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('counts iterations, statuses and endpoints without mixing concurrent exchanges', async () => {
+    const runner = new LoadRunner({ service: 'payment-service', fixture: 'Get payout overview', duration: 1, thresholds: { errorRate: 50 } });
+    const seen = [];
+    let iterations = 0;
+    runner.target = {
+      name: 'unit',
+      iterate: async helper => {
+        const failing = ++iterations % 3 === 0;
+        await helper.http.get(`${baseUrl}/slow`);
+        await helper.http.get(`${baseUrl}/${failing ? 'fail' : 'ok'}`).catch(() => null);
+        seen.push(helper.har.entries.map(entry => new URL(entry.request.url).pathname));
+        if (failing) {
+          throw new Error('Expected status 200, got 500\n    at stack');
+        }
+      },
+    };
+
+    runner.startedAt = Date.now();
+    await Promise.all([...Array(6).keys()].map(() => runner.iterate()));
+    runner.finishedAt = runner.startedAt + 1000;
+    const summary = runner.summarize();
+
+    expect(seen).toHaveLength(6);
+    seen.forEach(paths => expect(paths[0]).toBe('/slow'));
+    seen.forEach(paths => expect(paths).toHaveLength(2));
+    expect(runner.apiHelper.har.entries).toEqual([]);
+
+    expect(summary.iterations).toEqual({ total: 6, passed: 4, failed: 2, dropped: 0, errorRate: 33.33, perSecond: 6 });
+    expect(summary.statuses).toEqual({ 200: 10, 500: 2 });
+    expect(Object.keys(summary.endpoints)).toEqual(['GET /fail', 'GET /ok', 'GET /slow']);
+    expect(summary.endpoints['GET /fail']).toMatchObject({ count: 2, errors: 2 });
+    expect(summary.endpoints['GET /slow'].count).toBe(6);
+    expect(summary.endpoints['GET /slow'].p50).toBeGreaterThanOrEqual(25);
+    expect(summary.errors).toEqual([{ error: 'Expected status 200, got 500', count: 2 }]);
+    expect(summary.latency.count).toBe(6);
+    expect(summary.histogram.reduce((total, bucket) => total + bucket.count, 0)).toBe(6);
+    expect(summary.intervals).toEqual([{ from: '0s', iterations: 6, failed: 2, p95: summary.latency.p95 }]);
+    expect(summary.passed).toBe(true);
+  });
+
+  test('puts latencies into the reported histogram buckets', () => {
+    expect(LoadRunner.bucketIndex(50)).toBe(0);
+    expect(LoadRunner.bucketIndex(51)).toBe(1);
+    expect(LoadRunner.bucketIndex(5000)).toBe(8);
+    expect(LoadRunner.bucketIndex(5001)).toBe(9);
+    expect(LoadRunner.topErrors({ a: 1, b: 3, c: 2 }, 2)).toEqual([{ error: 'b', count: 3 }, { error: 'c', count: 2 }]);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Money Tests
+ * Offline checks of parsing, arithmetic and formatting of amounts in paise
+ */
+
+const { test, expect } = require('@playwright/test');
+const Money = require('../../utils/Money');
+
+test.describe('💰 Money @unit', () => {
+  test('parses rupee strings and numbers into paise', () => {
+    expect(Money.parse('80024148.00')).toBe(8002414800);
+    expect(Money.parse('0.1')).toBe(10);
+    expect(Money.parse(12.5)).toBe(1250);
+    expect(Money.parse('-5.05')).toBe(-505);
+    expect(Money.parse(' 7 ')).toBe(700);
+  });
+
+  test('rejects values that are not exact amounts', () => {
+    expect(() => Money.parse('10.005')).toThrow('more than 2 decimal places');
+    expect(() => Money.parse('1e3')).toThrow('Not an amount');
+    expect(() => Money.parse('')).toThrow('Not an amount');
+    expect(() => Money.parse(null)).toThrow('Not an amount');
+    expect(() => Money.parse('99999999999999999')).toThrow('too large');
+    expect(Money.isValid('12.34')).toBe(true);
+    expect(Money.isValid('12.345')).toBe(false);
+  });
+
+  test('adds, subtracts and compares without floating point drift', () => {
+    expect(Money.add(Money.parse('0.1'), Money.parse('0.2'))).toBe(Money.parse('0.3'));
+    expect(Money.subtract(8002414800, 1050)).toBe(8002413750);
+    expect(Money.multiply(1999, 3)).toBe(5997);
+    expect(Money.compare(100, 200)).toBeLessThan(0);
+    expect(Money.equals(1000, 1001, 1)).toBe(true);
+    expect(Money.equals(1000, 1002, 1)).toBe(false);
+  });
+
+  test('formats paise with lakh/crore grouping and as API decimals', () => {
+    expect(Money.format(8002414800)).toBe('₹8,00,24,148.00');
+    expect(Money.format(99999)).toBe('₹999.99');
+    expect(Money.format(-175185200)).toBe('-₹17,51,852.00');
+    expect(Money.format(12345600, { symbol: false })).toBe('1,23,456.00');
+    expect(Money.toDecimal(8002414800)).toBe('80024148.00');
+    expect(Money.toDecimal(-5)).toBe('-0.05');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * MutationEngine Tests
+ * Offline checks of the negative variants derived from a fixture, with and without a contract
+ */
+
+const { test, expect } = require('@playwright/test');
+const ContractValidator = require('../../utils/ContractValidator');
+const MutationEngine = require('../../utils/MutationEngine');
+
+const fixture = {
+  testName: 'Send OTP',
+  method: 'POST',
+  url: '/auth/send-otp',
+  auth: false,
+  requestBody: { phone: '9876543210', channel: 'SMS', attempts: 1, device: { deviceId: 'abc' } },
+  expectedStatus: 200,
+  capture: { nextStep: 'data.nextStep' },
+};
+
+const contract = new ContractValidator({
+  openapi: '3.0.3',
+  paths: {
+    '/auth/send-otp': {
+      post: {
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['phone'],
+                properties: {
+                  phone: { type: 'string', maxLength: 13 },
+                  channel: { type: 'string', enum: ['SMS', 'WHATSAPP'] },
+                  attempts: { type: 'integer', minimum: 1, maximum: 3 },
+                  device: { type: 'object', properties: { deviceId: { type: 'string' } } },
+                },
+              },
+            },
+          },
+        },
+        responses: { 200: { description: 'Sent' } },
+      },
+    },
+  },
+}, 'auth');
+
+const names = variants => variants.map(variant => variant.name);
+
+test.describe('🧬 MutationEngine @unit', () => {
+  test('breaks every field without a contract, keeping the request and replacing expectations', () => {
+    const variants = new MutationEngine(fixture, { kinds: ['missing', 'empty', 'outOfRange', 'unknownField'] }).generate();
+
+    expect(names(variants)).toEqual([
+      'mutation: missing phone',
+      'mutation: empty phone',
+      'mutation: missing channel',
+      'mutation: empty channel',
+      'mutation: missing attempts',
+      'mutation: out of range attempts (-1)',
+      'mutation: missing device',
+      'mutation: missing device.deviceId',
+      'mutation: empty device.deviceId',
+      'mutation: unknown field unexpectedField',
+    ]);
+
+    const nested = variants.find(variant => variant.field === 'device.deviceId');
+    expect(nested.testData).toEqual({
+      method: 'POST',
+      url: '/auth/send-otp',
+      auth: false,
+      requestBody: { phone: '9876543210', channel: 'SMS', attempts: 1, device: {} },
+      tags: ['mutation', 'negative'],
+      expectedStatus: '4xx',
+      subsetExpectedBody: { error: { category: 'VALIDATION_ERROR' } },
+      customValidations: [{ type: 'containsItem', field: 'error.errors', expectedValue: { field: '@oneOf:deviceId,device.deviceId' } }],
+    });
+    expect(fixture.requestBody.device).toEqual({ deviceId: 'abc' });
+  });
+
+  test('takes required fields, enums and bounds from the contract', () => {
+    const variants = MutationEngine.forFixture({ ...fixture, mutations: { skip: ['device.deviceId'] } }, [contract]).generate();
+
+    expect(names(variants)).toEqual([
+      'mutation: missing phone',
+      'mutation: wrong type phone (number instead of string)',
+      'mutation: empty phone',
+      'mutation: oversize phone (14 chars)',
+      'mutation: wrong type channel (number instead of string)',
+      'mutation: empty channel',
+      'mutation: oversize channel (10001 chars)',
+      'mutation: invalid enum channel',
+      'mutation: wrong type attempts (string instead of number)',
+      'mutation: out of range attempts (0)',
+      'mutation: out of range attempts (4)',
+      'mutation: wrong type device (string instead of object)',
+      'mutation: unknown field unexpectedField',
+    ]);
+  });
+
+  test('rejects unknown kinds', () => {
+    expect(() => new MutationEngine(fixture, { kinds: ['missing', 'typo'] }))
+      .toThrow('Unknown mutation kind(s): typo. Available: missing, wrongType, empty, oversize, outOfRange, invalidEnum, unknownField');
+  });
+
+  test('registers variants only with API_MUTATIONS=on', () => {
+    const saved = process.env.API_MUTATIONS;
+    try {
+      delete process.env.API_MUTATIONS;
+      expect(MutationEngine.isEnabled()).toBe(false);
+      process.env.API_MUTATIONS = 'ON';
+      expect(MutationEngine.isEnabled()).toBe(true);
+    } finally {
+      if (saved === undefined) {
+        delete process.env.API_MUTATIONS;
+      } else {
+        process.env.API_MUTATIONS = saved;
+      }
+    }
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * RateLimitHarness Tests
+ * Offline checks of burst outcomes, rate limit headers and recovery against a fake limiter
+ */
+
+const { test, expect } = require('@playwright/test');
+const FintechApiHelper = require('../../utils/FintechApiHelper');
+const RateLimitHarness = require('../../utils/RateLimitHarness');
+
+const testData = { testName: 'Send OTP', method: 'POST', url: '/auth/authenticate', requestBody: { phone: '9876543210' } };
+const options = (overrides = {}) => ({
+  burst: 5,
+  limitStatus: 429,
+  requiredHeaders: ['retry-after', 'x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset'],
+  window: 0,
+  maxWait: 1,
+  ...overrides,
+});
+
+// Harness against a limiter that allows `limit` requests; the window resets after 200ms without requests
+const createHarness = ({ limit = 3, headers = true, retryAfter = '0', resets = true } = {}) => {
+  const helper = new FintechApiHelper('dev');
+  let used = 0;
+  let lastRequestAt = 0;
+  helper.requests = [];
+  helper.sendApiRequest = async request => {
+    helper.requests.push(request);
+    if (resets && Date.now() - lastRequestAt >= 200) {
+      used = 0;
+    }
+    lastRequestAt = Date.now();
+    used += 1;
+
+    const limitHeaders = headers
+      ? { 'x-ratelimit-limit': String(limit), 'x-ratelimit-remaining': String(Math.max(0, limit - used)), 'x-ratelimit-reset': '0' }
+      : {};
+    return used > limit
+      ? { status: 429, headers: { ...limitHeaders, ...(headers ? { 'retry-after': retryAfter } : {}) }, data: {} }
+      : { status: 200, headers: limitHeaders, data: {} };
+  };
+  return new RateLimitHarness(helper);
+};
+
+test.describe('🚦 RateLimitHarness @unit', () => {
+  test('finds the throttle point in both modes and checks recovery', async () => {
+    for (const mode of ['sequential', 'concurrent']) {
+      const harness = createHarness();
+      const report = await harness.runMode(testData, options(), mode);
+
+      expect(report).toMatchObject({
+        mode,
+        burst: 5,
+        allowed: 3,
+        throttledAt: 4,
+        headers: { retryAfter: '0', limit: 3, remaining: 0, reset: '0' },
+        recovery: { status: 200, recovered: true },
+        findings: [],
+      });
+      expect(harness.apiHelper.requests).toHaveLength(6);
+      expect(harness.apiHelper.requests[0]).toEqual({ ...testData, testName: 'Send OTP #1', retryPolicy: false });
+    }
+  });
+
+  test('reports missing headers, a wrong limit and a limit that does not reset', async () => {
+    const report = await createHarness({ headers: false, resets: false }).runMode(testData, options({ expectedLimit: 2 }), 'sequential');
+
+    expect(report.findings).toEqual([
+      '3 requests allowed, expected 2',
+      'throttled response has no retry-after header',
+      'throttled response has no x-ratelimit-limit header',
+      'throttled response has no x-ratelimit-remaining header',
+      'throttled response has no x-ratelimit-reset header',
+      'request after waiting 250ms got 429; the limit did not reset',
+    ]);
+  });
+
+  test('reports bursts that are never throttled and windows longer than maxWait', async () => {
+    expect((await createHarness({ limit: 10 }).runMode(testData, options(), 'sequential')).findings)
+      .toEqual(['not throttled after 5 requests (5 allowed)']);
+
+    const report = await createHarness({ retryAfter: '600' }).runMode(testData, options(), 'sequential');
+    expect(report.findings).toEqual(['window resets in 600s, more than maxWait 1s; recovery not checked']);
+    expect(report.recovery).toBeNull();
+  });
+
+  test('reads the reset time from Retry-After, X-RateLimit-Reset or the window', () => {
+    const harness = createHarness();
+    const inTenSeconds = Math.floor(Date.now() / 1000) + 10;
+
+    expect(harness.getResetDelay({ headers: { 'retry-after': '5', 'x-ratelimit-reset': '60' } }, options())).toBe(5000);
+    expect(harness.getResetDelay({ headers: { 'x-ratelimit-reset': '60' } }, options())).toBe(60000);
+    expect(harness.getResetDelay({ headers: { 'x-ratelimit-reset': String(inTenSeconds) } }, options())).toBeLessThanOrEqual(10000);
+    expect(harness.getResetDelay({ headers: {} }, options({ window: 30 }))).toBe(30000);
+  });
+
+  test('rejects unknown modes', async () => {
+    await expect(createHarness().run({ ...testData, rateLimit: { modes: ['parallel'] } }))
+      .rejects.toThrow('rateLimit: unknown mode(s) parallel. Available: sequential, concurrent');
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * ReconciliationValidator Tests
+ * Offline checks of the rule evaluation and of the built-in payout-overview rule set
+ */
+
+const { test, expect } = require('@playwright/test');
+const ReconciliationValidator = require('../../utils/ReconciliationValidator');
+const reconciliationRules = require('../../config/reconciliation-rules');
+
+test.describe('📒 ReconciliationValidator @unit', () => {
+  const validator = new ReconciliationValidator(null);
+  const body = {
+    data: {
+      bankWallet: { total: '90.00', credit: '150.00', debit: '60.00', creditCount: 3 },
+      deposit: { successCount: '3' },
+    },
+  };
+
+  test('evaluates add/subtract expressions exactly in paise', () => {
+    const result = validator.evaluateRule({
+      name: 'Bank wallet total = credit - debit',
+      actual: 'data.bankWallet.total',
+      expected: { add: ['data.bankWallet.credit'], subtract: ['data.bankWallet.debit'] },
+    }, body, {});
+
+    expect(result.passed).toBe(true);
+    expect(result.detail).toBe('data.bankWallet.total ₹90.00 = ₹150.00 (data.bankWallet.credit) - ₹60.00 (data.bankWallet.debit) = ₹90.00');
+  });
+
+  test('reports the difference, honours tolerance, operators and optional terms', () => {
+    const broken = validator.evaluateRule({ name: 'total', actual: 'data.bankWallet.total', expected: 'data.bankWallet.credit' }, body, {});
+    expect(broken.passed).toBe(false);
+    expect(broken.detail).toBe('data.bankWallet.total ₹90.00 ≠ ₹150.00 (data.bankWallet.credit); off by -₹60.00');
+
+    expect(validator.evaluateRule({ name: 'near', actual: 'data.bankWallet.total', expected: 90.01 }, body, {}, '0.01').passed).toBe(true);
+    expect(validator.evaluateRule({ name: 'overdrawn', actual: 'data.bankWallet.total', operator: '>=', expected: 0 }, body, {}).passed).toBe(true);
+    expect(validator.evaluateRule({
+      name: 'fees',
+      actual: 'data.bankWallet.debit',
+      expected: { add: ['data.bankWallet.debit', { path: 'data.bankWallet.fees', optional: true }] },
+    }, body, {}).passed).toBe(true);
+  });
+
+  test('compares counts and source sums, and explains missing values', () => {
+    expect(validator.evaluateRule({ name: 'count', type: 'count', actual: 'data.bankWallet.creditCount', expected: 'data.deposit.successCount' }, body, {}).passed).toBe(true);
+
+    const sources = { deposits: [{ amount: '100.00' }, { amount: '50.00' }] };
+    expect(validator.evaluateRule({ name: 'sum', actual: 'data.bankWallet.credit', expected: { source: 'deposits', sum: 'amount' } }, body, sources).passed).toBe(true);
+    expect(validator.evaluateRule({ name: 'items', type: 'count', actual: 'data.bankWallet.creditCount', expected: { source: 'deposits', count: true } }, body, sources).detail)
+      .toBe('data.bankWallet.creditCount 3 ≠ 2 (count of deposits); off by 1');
+
+    expect(validator.evaluateRule({ name: 'missing', actual: 'data.adminWallet.total', expected: 0 }, body, {}).detail)
+      .toBe('data.adminWallet.total is missing from the response');
+    expect(() => validator.evaluateRule({ name: 'bad', actual: 'data.bankWallet.total', operator: '!=', expected: 0 }, body, {}))
+      .toThrow("unknown operator '!='");
+  });
+
+  test('passes the payout-overview rules on a consistent overview and labels the assumed ones', () => {
+    const overview = {
+      data: {
+        bankWallet: { total: '700.00', credit: '1000.00', debit: '300.00', creditCount: 2, debitCount: 3 },
+        adminWallet: { total: '15.00', credit: '15.00', debit: '0.00', creditCount: 3 },
+        deposit: { success: '1000.00', successCount: 2 },
+        systemStatusUpdate: { success: { amount: '200.00', count: 2 } },
+        manualStatusUpdate: { success: { amount: '100.00', count: 1 } },
+      },
+    };
+    const { rules } = reconciliationRules['payout-overview'];
+
+    expect(rules.map(rule => validator.evaluateRule(rule, overview, {})).filter(result => !result.passed)).toEqual([]);
+    expect(rules.filter(rule => rule.name.endsWith('(assumed)')).map(rule => rule.name)).toEqual([
+      'Bank wallet debit = successful payouts + fees (assumed)',
+      'Admin wallet credit count = successful payout count (assumed)',
+    ]);
+  });
+});
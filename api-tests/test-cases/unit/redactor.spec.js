@@ -0,0 +1,75 @@
+/**
+ * Redactor Tests
+ * Offline checks of masking secrets and PII in objects, free text and JSON text
+ */
+
+const { test, expect } = require('@playwright/test');
+const Redactor = require('../../utils/Redactor');
+
+test.describe('🙈 Redactor @unit', () => {
+  test('masks values under sensitive keys, keeping the last digits where configured', () => {
+    expect(Redactor.redact({
+      access_token: 'abc.def',
+      password: 'Secret@1',
+      otp: '123456',
+      AUTH_OTP: '123456',
+      'env.AUTH_OTP': '123456',
+      topt: 'kept',
+      phone: '+919876543210',
+      accountNumber: 50100123456789,
+      panNumber: 'ABCDE1234F',
+      nested: [{ mobile: '9876543210' }],
+      channel: 'WEB',
+    })).toEqual({
+      access_token: '[REDACTED]',
+      password: '[REDACTED]',
+      otp: '[REDACTED]',
+      AUTH_OTP: '[REDACTED]',
+      'env.AUTH_OTP': '[REDACTED]',
+      topt: 'kept',
+      phone: '*********3210',
+      accountNumber: '**********6789',
+      panNumber: '[REDACTED]',
+      nested: [{ mobile: '******3210' }],
+      channel: 'WEB',
+    });
+  });
+
+  test('masks patterns and JSON pairs in free text, but not placeholders or matchers', () => {
+    expect(Redactor.redactText('Bearer abc.def-ghi sent to 9876543210 for PAN ABCDE1234F'))
+      .toBe('Bearer [REDACTED] sent to ******3210 for PAN [REDACTED]');
+    expect(Redactor.redactText('token eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiIxIn0.sig')).toBe('token [REDACTED]');
+    expect(Redactor.redactText('{"otp": 123456, "password":"x", "channel": "WEB"}'))
+      .toBe('{"otp": "[REDACTED]", "password":"[REDACTED]", "channel": "WEB"}');
+
+    expect(Redactor.redact({ phone: '{{gen.mobile}}', otp: '@regex:^\\d{6}$' })).toEqual({ phone: '{{gen.mobile}}', otp: '@regex:^\\d{6}$' });
+    expect(Redactor.redactText(Redactor.redactText('9876543210'))).toBe('******3210');
+  });
+
+  test('masks only secrets when PII has to be kept', () => {
+    expect(Redactor.redactSecrets({ token: 'abc', mpin: '1357', phone: '+919876543210', note: 'call 9876543210' }))
+      .toEqual({ token: '[REDACTED]', mpin: '[REDACTED]', phone: '+919876543210', note: 'call 9876543210' });
+  });
+
+  test('handles cycles, hashes stably and can be switched off', () => {
+    const cyclic = { phone: '9876543210' };
+    cyclic.self = cyclic;
+    expect(Redactor.redact(cyclic)).toEqual({ phone: '******3210', self: '[Circular]' });
+
+    expect(Redactor.hash('9876543210')).toBe(Redactor.hash(9876543210));
+    expect(Redactor.hash('9876543210')).toMatch(/^sha256:[0-9a-f]{64}$/);
+
+    const saved = process.env.API_REDACTION;
+    process.env.API_REDACTION = 'off';
+    try {
+      expect(Redactor.redact({ otp: '123456' })).toEqual({ otp: '123456' });
+      expect(Redactor.isSensitiveKey('otp')).toBe(false);
+    } finally {
+      if (saved === undefined) {
+        delete process.env.API_REDACTION;
+      } else {
+        process.env.API_REDACTION = saved;
+      }
+    }
+  });
+});
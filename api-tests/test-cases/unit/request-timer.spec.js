@@ -0,0 +1,83 @@
+/**
+ * RequestTimer and Latency Tests
+ * Offline checks of response timing, latency budgets and the latency summary (local HTTP server only)
+ */
+
+const http = require('http');
+const axios = require('axios');
+const { test, expect } = require('@playwright/test');
+const RequestTimer = require('../../utils/RequestTimer');
+const LatencyTracker = require('../../utils/LatencyTracker');
+const FintechApiHelper = require('../../utils/FintechApiHelper');
+
+test.describe('⏱️ RequestTimer @unit', () => {
+  let server;
+  let baseUrl;
+
+  test.beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      setTimeout(() => {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+      }, 50);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('stamps duration and phase timings on every response', async () => {
+    const client = RequestTimer.install(axios.create());
+    const response = await client.get(`${baseUrl}/slow`);
+
+    expect(response.duration).toBe(response.timings.total);
+    expect(response.timings.total).toBeGreaterThanOrEqual(45);
+    expect(response.timings.ttfb).toBeGreaterThanOrEqual(45);
+    expect(response.timings.ttfb).toBeLessThanOrEqual(response.timings.total);
+    expect(response.timings.connect).not.toBeNull();
+    expect(response.timings.dns).toBeNull(); // An IP address needs no lookup
+    expect(response.timings.tls).toBeNull(); // Plain http
+  });
+
+  test('times requests that fail without a response', async () => {
+    const client = RequestTimer.install(axios.create());
+    const error = await client.get('http://127.0.0.1:1/', { timeout: 2000 }).catch(caught => caught);
+
+    expect(error.response).toBeUndefined();
+    expect(error.timings.total).not.toBeNull();
+    expect(error.timings.ttfb).toBeNull();
+  });
+
+  test('computes phases from raw marks', () => {
+    expect(RequestTimer.computeTimings({ start: 0, socket: 1, lookup: 3, connect: 7, secureConnect: 12, firstByte: 30 }, 41.6))
+      .toEqual({ dns: 2, connect: 4, tls: 5, ttfb: 30, total: 42 });
+  });
+});
+
+test.describe('⏱️ Latency budgets and summary @unit', () => {
+  const helper = new FintechApiHelper('dev');
+  const response = { timings: { dns: null, connect: 1, tls: null, ttfb: 400, total: 900 } };
+
+  test('warns in soft mode and fails in hard mode', () => {
+    expect(() => helper.validateResponseTime(response, { expectedResponseTime: 500, latencyBudget: { mode: 'soft' } })).not.toThrow();
+    expect(() => helper.validateResponseTime(response, { expectedResponseTime: 500, latencyBudget: { mode: 'hard' } }))
+      .toThrow('Response time budget exceeded: total 900ms > 500ms');
+    expect(() => helper.validateResponseTime(response, { latencyBudget: { ttfb: 300, mode: 'hard' } }))
+      .toThrow('ttfb 400ms > 300ms');
+    expect(() => helper.validateResponseTime(response, { expectedResponseTime: 1000, latencyBudget: { mode: 'hard' } })).not.toThrow();
+  });
+
+  test('summarises nearest-rank percentiles per endpoint', () => {
+    const samples = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100].map(total => ({ endpoint: 'GET /a', total, ttfb: total / 2 }));
+    samples.push({ endpoint: 'GET /b', total: null, ttfb: null });
+
+    expect(LatencyTracker.percentile([], 95)).toBeNull();
+    expect(LatencyTracker.summarize(samples)).toEqual({
+      'GET /a': { count: 10, p50: 50, p95: 100, p99: 100, max: 100, ttfbP95: 50 },
+      'GET /b': { count: 1, p50: null, p95: null, p99: null, max: null, ttfbP95: null },
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * ResponseDiff Tests
+ * Offline checks of the collect-all response body diff
+ */
+
+const { test, expect } = require('@playwright/test');
+const ResponseDiff = require('../../utils/ResponseDiff');
+
+test.describe('🔍 ResponseDiff @unit', () => {
+  const expected = {
+    data: {
+      id: '@uuid',
+      status: 'SUCCESS',
+      wallet: { total: '@amount' },
+      items: [{ amount: '@amount>0' }],
+    },
+  };
+
+  test('reports every difference with its JSON path', () => {
+    const differences = ResponseDiff.compare({
+      data: {
+        id: 'not-a-uuid',
+        status: 'FAILED',
+        wallet: 'gone',
+        items: [{ amount: '1.00' }, { amount: '0.00' }],
+        extra: true,
+      },
+    }, expected);
+
+    expect(differences.map(({ path, kind }) => `${kind} ${path}`)).toEqual([
+      'mismatch $.data.id',
+      'mismatch $.data.status',
+      'type $.data.wallet',
+      'mismatch $.data.items[1].amount',
+      'extra $.data.extra',
+    ]);
+  });
+
+  test('ignores extra keys in subset mode and skips non-empty fields', () => {
+    const actual = { data: { id: '123e4567-e89b-42d3-a456-426614174000', status: 'PENDING', wallet: { total: '1.00' }, items: [], extra: 1 } };
+
+    expect(ResponseDiff.compare(actual, expected, { subset: true, nonEmptyFields: ['data.status'] })).toEqual([]);
+    expect(ResponseDiff.compare({ data: {} }, { data: { id: 'x' } }).map(({ path, kind }) => `${kind} ${path}`)).toEqual(['missing $.data.id']);
+  });
+
+  test('treats extra keys as warnings unless strict, and formats a readable report', () => {
+    const differences = ResponseDiff.compare({ a: 2, b: true }, { a: 1 });
+
+    expect(ResponseDiff.classify(differences).failures.map(difference => difference.path)).toEqual(['$.a']);
+    expect(ResponseDiff.classify(differences).warnings.map(difference => difference.path)).toEqual(['$.b']);
+    expect(ResponseDiff.classify(differences, true).failures).toHaveLength(2);
+    expect(ResponseDiff.format(differences, { color: false }).split('\n')).toEqual([
+      '  ✗ $.a  value mismatch (value differs)',
+      '      - expected: 1',
+      '      + actual:   2',
+      '  ⚠ $.b  extra key (key not in expected body)',
+      '      + actual:   true',
+    ]);
+  });
+});
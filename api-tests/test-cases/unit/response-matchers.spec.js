@@ -0,0 +1,41 @@
+/**
+ * ResponseMatchers Tests
+ * Offline checks of the expectedBody matcher DSL
+ */
+
+const { test, expect } = require('@playwright/test');
+const ResponseMatchers = require('../../utils/ResponseMatchers');
+
+test.describe('🎯 ResponseMatchers @unit', () => {
+  test('matches types and formats', () => {
+    expect(ResponseMatchers.match('abc', '@string').pass).toBe(true);
+    expect(ResponseMatchers.match(1, '@string').pass).toBe(false);
+    expect(ResponseMatchers.match(3, '@integer').pass).toBe(true);
+    expect(ResponseMatchers.match(3.5, '@integer').pass).toBe(false);
+    expect(ResponseMatchers.match('', '@nonEmpty').pass).toBe(false);
+    expect(ResponseMatchers.match('123e4567-e89b-42d3-a456-426614174000', '@uuid').pass).toBe(true);
+    expect(ResponseMatchers.match('2026-10-19T10:00:00Z', '@isoDate').pass).toBe(true);
+    expect(ResponseMatchers.match('2026-13-45', '@isoDate').pass).toBe(false);
+    expect(ResponseMatchers.match('req-42', '@regex:^req-').pass).toBe(true);
+    expect(ResponseMatchers.match('APP', '@oneOf:WEB, APP').pass).toBe(true);
+  });
+
+  test('applies numeric and amount comparisons', () => {
+    expect(ResponseMatchers.match(5, '@number>0').pass).toBe(true);
+    expect(ResponseMatchers.match(0, '@number>0').pass).toBe(false);
+    expect(ResponseMatchers.match(100, '@integer<=100').pass).toBe(true);
+    expect(ResponseMatchers.match('1000.50', '@amount<=1000.50').pass).toBe(true);
+    expect(ResponseMatchers.match('1000.51', '@amount<=1000.50').pass).toBe(false);
+    expect(ResponseMatchers.match('0.10', '@amount>=0.1').pass).toBe(true);
+    expect(ResponseMatchers.match('10.005', '@amount').pass).toBe(false);
+  });
+
+  test('rejects unknown or incomplete matchers and unescapes @@', () => {
+    expect(() => ResponseMatchers.parse('@nope')).toThrow('Unknown matcher');
+    expect(() => ResponseMatchers.parse('@regex')).toThrow('requires an argument');
+    expect(() => ResponseMatchers.parse('@string>1')).toThrow('Invalid comparison');
+    expect(ResponseMatchers.isMatcher('@@handle')).toBe(false);
+    expect(ResponseMatchers.unescape('@@handle')).toBe('@handle');
+  });
+});
+
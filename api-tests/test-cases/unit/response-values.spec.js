@@ -0,0 +1,35 @@
+/**
+ * ResponseValues Tests
+ * Offline checks of reading values by dot path and balances through a balance fixture
+ */
+
+const { test, expect } = require('@playwright/test');
+const ResponseValues = require('../../utils/ResponseValues');
+
+test.describe('🔎 ResponseValues @unit', () => {
+  test('reads values by dot path and stops at missing steps', () => {
+    const body = { data: { bankWallet: { total: '10.00' }, items: [{ id: 'A' }], empty: null } };
+
+    expect(ResponseValues.get(body, 'data.bankWallet.total')).toBe('10.00');
+    expect(ResponseValues.get(body, 'data.items.0.id')).toBe('A');
+    expect(ResponseValues.get(body, 'data.empty.total')).toBeUndefined();
+    expect(ResponseValues.get(undefined, 'data')).toBeUndefined();
+  });
+
+  test('reads balances in paise through the balance fixture', async () => {
+    const fixtures = { 'Get payout overview': { method: 'GET', url: '/payout/overview' } };
+    const requests = [];
+    const apiHelper = {
+      makeApiRequest: async request => {
+        requests.push(request);
+        return { data: { total: requests.length === 1 ? '80024148.50' : 'n/a' } };
+      },
+    };
+    const balance = { fixture: 'Get payout overview', path: 'data.total' };
+
+    expect(await ResponseValues.readBalance(apiHelper, fixtures, balance, 'concurrency')).toBe(8002414850);
+    expect(requests[0]).toEqual({ testName: 'Get payout overview', method: 'GET', url: '/payout/overview' });
+    await expect(ResponseValues.readBalance(apiHelper, fixtures, balance, 'idempotency'))
+      .rejects.toThrow('idempotency: balance at data.total is not an amount: "n/a"');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * RetryPolicy Tests
+ * Offline checks of which attempts are retried, the retry count and the delays
+ */
+
+const { test, expect } = require('@playwright/test');
+const RetryPolicy = require('../../utils/RetryPolicy');
+
+const response = (status, data = {}, headers = {}) => ({ status, data, headers });
+
+// Run a check with API_RETRY_MAX set (or unset with undefined), restoring it afterwards
+const withRetryMax = (value, check) => {
+  const saved = process.env.API_RETRY_MAX;
+  if (value === undefined) {
+    delete process.env.API_RETRY_MAX;
+  } else {
+    process.env.API_RETRY_MAX = value;
+  }
+  try {
+    check();
+  } finally {
+    if (saved === undefined) {
+      delete process.env.API_RETRY_MAX;
+    } else {
+      process.env.API_RETRY_MAX = saved;
+    }
+  }
+};
+
+test.describe('🔄 RetryPolicy @unit', () => {
+  test('retries transient failures but not expected, final or unsafe ones', () => withRetryMax(undefined, () => {
+    const policy = new RetryPolicy({ jitter: 0 });
+
+    expect(policy.evaluate({ method: 'GET', response: response(503), attempt: 1 })).toEqual({ retry: true, reason: 'status 503', delayMs: 500 });
+    expect(policy.evaluate({ method: 'GET', error: { code: 'ECONNRESET' }, attempt: 2 })).toEqual({ retry: true, reason: 'network error ECONNRESET', delayMs: 1000 });
+    expect(policy.evaluate({ method: 'GET', response: response(400, { error: { retryable: true } }), attempt: 1 }).retry).toBe(true);
+
+    expect(policy.evaluate({ method: 'GET', response: response(503, { error: { retryable: false } }), attempt: 1 }).retry).toBe(false);
+    expect(policy.evaluate({ method: 'GET', response: response(503), attempt: 1, expected: true }).retry).toBe(false);
+    expect(policy.evaluate({ method: 'GET', response: response(503), attempt: 3 }))
+      .toEqual({ retry: false, reason: 'status 503; gave up after 3 attempts', delayMs: 0 });
+    expect(policy.evaluate({ method: 'POST', response: response(502), attempt: 1 }).reason)
+      .toBe('status 502; POST without Idempotency-Key is not retried');
+    expect(policy.evaluate({ method: 'POST', headers: { 'idempotency-key': 'k' }, response: response(502), attempt: 1 }).retry).toBe(true);
+  }));
+
+  test('waits for Retry-After, capped, before falling back to backoff', () => {
+    const policy = new RetryPolicy({ jitter: 0 });
+
+    expect(policy.getDelay(response(429, {}, { 'retry-after': '3' }), 1)).toBe(3000);
+    expect(policy.getDelay(response(429, {}, { 'retry-after': '120' }), 1)).toBe(30000);
+    expect(policy.getDelay(null, 6)).toBe(8000);
+    expect(RetryPolicy.parseRetryAfter(new Date(Date.now() - 1000).toUTCString())).toBe(0);
+    expect(RetryPolicy.parseRetryAfter('soon')).toBeNull();
+  });
+
+  test('takes the retry count from API_RETRY_MAX and the fixture', () => {
+    withRetryMax('0', () => {
+      expect(new RetryPolicy().evaluate({ method: 'GET', response: response(503), attempt: 1 }).retry).toBe(false);
+    });
+    withRetryMax(' 5 ', () => {
+      expect(new RetryPolicy().options.maxRetries).toBe(5);
+      expect(new RetryPolicy({ maxRetries: 1 }).options.maxRetries).toBe(1);
+      expect(new RetryPolicy(false).options.maxRetries).toBe(0);
+    });
+    withRetryMax('', () => {
+      expect(new RetryPolicy().options.maxRetries).toBe(2);
+    });
+  });
+
+  test('rejects retry counts that are not non-negative integers', () => {
+    ['abc', '-1', '1.5', 'Infinity'].forEach(value => withRetryMax(value, () => {
+      expect(() => new RetryPolicy()).toThrow(`API_RETRY_MAX must be a non-negative integer (0 = no retries), got ${JSON.stringify(value)}`);
+    }));
+    withRetryMax(undefined, () => {
+      expect(() => new RetryPolicy({ maxRetries: 'two' }))
+        .toThrow('retryPolicy.maxRetries must be a non-negative integer (0 = no retries), got "two"');
+    });
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * RunRecorder Tests
+ * Offline checks of the per-worker NDJSON records and the summary file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const RunRecorder = require('../../utils/RunRecorder');
+
+const REPORTS_DIR = path.join(__dirname, '../../reports');
+
+test.describe('🗂️ RunRecorder @unit', () => {
+  const recorder = new RunRecorder(`unit-${process.pid}`, 'samples');
+
+  test.afterEach(() => {
+    recorder.reset();
+  });
+
+  test('appends records per worker and reads them back, grouped by name', () => {
+    expect(recorder.read()).toEqual([]);
+
+    recorder.record({ n: 1 });
+    recorder.record({ n: 2 });
+    recorder.record({ n: 3 }, 'auth-service');
+    fs.writeFileSync(path.join(recorder.directory, 'samples.1.ndjson'), '{"n":0}\n\n');
+
+    expect(fs.readdirSync(recorder.directory).sort()).toEqual([`auth-service.${process.pid}.ndjson`, 'samples.1.ndjson', `samples.${process.pid}.ndjson`].sort());
+    expect(recorder.readByName()).toEqual({ 'auth-service': [{ n: 3 }], samples: [{ n: 0 }, { n: 1 }, { n: 2 }] });
+    expect(recorder.read()).toHaveLength(4);
+
+    recorder.reset();
+    expect(fs.existsSync(recorder.directory)).toBe(false);
+  });
+
+  test('writes a non-empty summary and removes a stale one', () => {
+    const file = `unit-${process.pid}.json`;
+    try {
+      expect(RunRecorder.writeSummary(file, 'UNIT SUMMARY', { 'GET /me': { count: 1 } })).toEqual({ 'GET /me': { count: 1 } });
+      expect(JSON.parse(fs.readFileSync(path.join(REPORTS_DIR, file), 'utf8'))).toEqual({ 'GET /me': { count: 1 } });
+
+      RunRecorder.writeSummary(file, 'UNIT SUMMARY', {});
+      expect(fs.existsSync(path.join(REPORTS_DIR, file))).toBe(false);
+    } finally {
+      fs.rmSync(path.join(REPORTS_DIR, file), { force: true });
+    }
+  });
+});
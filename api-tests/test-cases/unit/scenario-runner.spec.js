@@ -0,0 +1,73 @@
+/**
+ * ScenarioRunner Tests
+ * Offline checks of scenario loading, conditions, step building and the retry guard
+ */
+
+const { test, expect } = require('@playwright/test');
+const ScenarioRunner = require('../../utils/ScenarioRunner');
+const FintechApiHelper = require('../../utils/FintechApiHelper');
+
+test.describe('🧭 ScenarioRunner @unit', () => {
+  const apiHelper = new FintechApiHelper('dev');
+  Object.assign(apiHelper.getStoredTestData(), { isNewUser: false, user: { role: 'admin' } });
+  const context = {
+    environment: 'dev',
+    defaultService: 'auth-service',
+    fixturesByService: {},
+    lastResponse: { data: { status: 'PENDING' } },
+    apiHelper,
+  };
+
+  test('loads every scenario file with its name', () => {
+    const scenarios = ScenarioRunner.loadScenarios();
+
+    expect(scenarios.map(scenario => scenario.file)).toContain('otp-send-journey.json');
+    scenarios.forEach(scenario => expect(scenario.steps.length).toBeGreaterThan(0));
+    expect(ScenarioRunner.loadScenarios('/no/such/directory')).toEqual([]);
+  });
+
+  test('evaluates conditions on stored data and the last response', () => {
+    expect(ScenarioRunner.evaluateCondition({ stored: 'isNewUser', equals: false }, context)).toBe(true);
+    expect(ScenarioRunner.evaluateCondition({ stored: 'user.role', notEquals: 'admin' }, context)).toBe(false);
+    expect(ScenarioRunner.evaluateCondition({ path: 'data.status', in: ['PENDING', 'PROCESSING'] }, context)).toBe(true);
+    expect(ScenarioRunner.evaluateCondition({ path: 'data.payoutId', exists: false }, context)).toBe(true);
+    expect(() => ScenarioRunner.evaluateCondition({ path: 'data.status' }, context)).toThrow('needs equals, notEquals, in or exists');
+
+    expect(ScenarioRunner.describeCondition({ stored: 'isNewUser', equals: false })).toBe('stored.isNewUser == false');
+    expect(ScenarioRunner.describeCondition({ path: 'data.status', in: ['SUCCESS'] })).toBe('data.status in ["SUCCESS"]');
+    expect(ScenarioRunner.describeCondition({ path: 'data.id', exists: false })).toBe('data.id is absent');
+  });
+
+  test('deep-merges overrides without touching the base', () => {
+    const base = { requestBody: { channel: 'WEB', identifier: { phone: '1', countryCode: '+91' } }, tags: ['otp'] };
+    const merged = ScenarioRunner.deepMerge(base, { requestBody: { identifier: { phone: '2' } }, tags: ['smoke'] });
+
+    expect(merged).toEqual({ requestBody: { channel: 'WEB', identifier: { phone: '2', countryCode: '+91' } }, tags: ['smoke'] });
+    expect(base.requestBody.identifier.phone).toBe('1');
+  });
+
+  test('builds step data from a fixture with overrides, captures and role', () => {
+    const testData = ScenarioRunner.buildStepData({
+      fixture: 'Validate send otp functionality with valid data',
+      overrides: { requestBody: { channel: 'APP' } },
+      capture: { phone: 'data.phone' },
+      role: 'enduser',
+    }, context);
+
+    expect(testData.requestBody.channel).toBe('APP');
+    expect(testData.requestBody.authType).toBe('PHONE_OTP');
+    expect(testData.capture).toMatchObject({ otpSession: 'data.otpSession', phone: 'data.phone' });
+    expect(testData.role).toBe('enduser');
+
+    expect(() => ScenarioRunner.buildStepData({ fixture: 'No such fixture' }, context))
+      .toThrow("Fixture 'No such fixture' not found in auth-service-dev.json");
+    expect(() => ScenarioRunner.buildStepData({ name: 'Empty' }, context)).toThrow("Step 'Empty' needs either 'fixture' or 'request'");
+  });
+
+  test('refuses to retry requests that are not GET or HEAD', async () => {
+    const step = { name: 'Send OTP', request: { method: 'POST', url: '/auth/authenticate' }, retry: { attempts: 2 } };
+
+    await expect(ScenarioRunner.runStep(step, context))
+      .rejects.toThrow("Step 'Send OTP' retries a POST request; only GET and HEAD steps may retry");
+  });
+});
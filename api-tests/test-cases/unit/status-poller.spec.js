@@ -0,0 +1,32 @@
+/**
+ * StatusPoller Tests
+ * Offline checks of the state machine paths, transitions and observed histories
+ */
+
+const { test, expect } = require('@playwright/test');
+const StatusPoller = require('../../utils/StatusPoller');
+
+test.describe('🔄 StatusPoller @unit', () => {
+  const payout = StatusPoller.getMachine('payout');
+
+  test('finds the shortest path between statuses', () => {
+    expect(StatusPoller.findPath(payout, 'INITIATE', 'SUCCESS')).toEqual(['INITIATE', 'PENDING', 'SUCCESS']);
+    expect(StatusPoller.findPath(payout, 'PROCESSING', 'FAILED')).toEqual(['PROCESSING', 'FAILED']);
+    expect(StatusPoller.findPath(payout, 'SUCCESS', 'PENDING')).toBeNull();
+  });
+
+  test('checks single transitions and whole histories', () => {
+    expect(StatusPoller.checkTransition(payout, undefined, 'PENDING')).toEqual({ valid: true, path: ['PENDING'] });
+    expect(StatusPoller.checkTransition(payout, 'PENDING', 'PENDING').valid).toBe(true);
+    expect(StatusPoller.checkTransition(payout, 'SUCCESS', 'PENDING').message).toBe('invalid transition SUCCESS → PENDING');
+    expect(StatusPoller.checkTransition(payout, 'PENDING', 'DONE').message).toContain('unknown status "DONE"');
+
+    expect(StatusPoller.validateHistory('payout', ['INITIATE', 'PENDING', 'PENDING', 'SUCCESS'])).toEqual([]);
+    expect(StatusPoller.validateHistory('payout', ['INITIATE', 'SUCCESS', 'PENDING'])).toEqual(['invalid transition SUCCESS → PENDING']);
+  });
+
+  test('only knows the payout lifecycle', () => {
+    expect(() => StatusPoller.getMachine('loan')).toThrow("Unknown state machine 'loan'. Available: payout");
+    expect(() => StatusPoller.getMachine('refund')).toThrow("Unknown state machine 'refund'");
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * TemplateResolver Tests
+ * Offline checks of {{...}} placeholder resolution (no API calls)
+ */
+
+const { test, expect } = require('@playwright/test');
+const TemplateResolver = require('../../utils/TemplateResolver');
+
+test.describe('🧩 TemplateResolver @unit', () => {
+  test('resolves stored, env and generated placeholders', () => {
+    const resolver = new TemplateResolver({ stored: { payout: { id: 42 } }, env: { AUTH_OTP: '123456' } });
+    const resolved = resolver.resolve({
+      url: '/payout/{{stored.payout.id}}',
+      id: '{{stored.payout.id}}',
+      otp: '{{env.AUTH_OTP}}',
+      mobile: '{{gen.mobile}}',
+      again: '{{gen.mobile}}',
+    });
+
+    expect(resolved.url).toBe('/payout/42');
+    expect(resolved.id).toBe(42); // A lone placeholder keeps the stored type
+    expect(resolved.otp).toBe('123456');
+    expect(resolved.mobile).toMatch(/^9\d{9}$/);
+    expect(resolved.again).toBe(resolved.mobile);
+    expect(Object.keys(resolver.getResolvedValues())).toEqual(['stored.payout.id', 'gen.mobile']);
+  });
+
+  test('resolves time offsets and formats', () => {
+    const resolver = new TemplateResolver();
+    const before = Date.now();
+    const epoch = resolver.resolve('{{now+1h|epoch}}');
+
+    expect(epoch).toBeGreaterThanOrEqual(Math.floor((before + 3600 * 1000) / 1000));
+    expect(resolver.resolve('{{now|date}}')).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    expect(resolver.resolve('{{ now-1d }}')).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  test('reads the clock once per resolver, so the request and its expectation agree', async () => {
+    const resolver = new TemplateResolver();
+    const request = resolver.resolve({ createdAt: '{{now}}', expiresAt: '{{now+5m|epochMs}}' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const expectedBody = resolver.resolve({ createdAt: '{{now}}' });
+
+    expect(expectedBody.createdAt).toBe(request.createdAt);
+    expect(request.expiresAt - Date.parse(request.createdAt)).toBe(5 * 60 * 1000);
+  });
+
+  test('fails on unresolvable placeholders', () => {
+    const resolver = new TemplateResolver({ stored: {}, env: {} });
+
+    expect(() => resolver.resolve('{{stored.missing}}')).toThrow("no stored value at 'missing'");
+    expect(() => resolver.resolve('{{env.NOT_SET}}')).toThrow("environment variable 'NOT_SET' is not set");
+    expect(() => resolver.resolve('{{gen.nope}}')).toThrow('Unknown generator');
+    expect(() => resolver.resolve('{{now|weekday}}')).toThrow('Unknown time format');
+    expect(TemplateResolver.hasPlaceholders({ a: ['x', '{{now}}'] })).toBe(true);
+  });
+});
+
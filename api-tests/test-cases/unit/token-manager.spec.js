@@ -0,0 +1,162 @@
+/**
+ * TokenManager Tests
+ * Offline checks of token caching, invalidation and the 401 re-login (local HTTP server only)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const { test, expect } = require('@playwright/test');
+const TokenManager = require('../../utils/TokenManager');
+const FintechApiHelper = require('../../utils/FintechApiHelper');
+
+const jwt = payload => ['eyJhbGciOiJIUzI1NiJ9', Buffer.from(JSON.stringify(payload)).toString('base64url'), 'sig'].join('.');
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+test.describe('🔑 TokenManager @unit', () => {
+  const environment = `unit-${process.pid}`;
+  const created = [];
+
+  // Logs in with tokens issued in order, counting the logins
+  const createManager = (tokens, baseUrl = 'http://127.0.0.1') => {
+    const manager = new TokenManager({
+      environment,
+      baseUrl,
+      getCredentials: role => ({ phone: role }),
+      login: async () => {
+        manager.logins++;
+        return tokens.shift();
+      },
+    });
+    manager.logins = 0;
+    created.push(manager);
+    return manager;
+  };
+
+  test.afterEach(() => {
+    created.splice(0).forEach(manager => ['admin', 'enduser'].forEach(role => manager.invalidate(role)));
+  });
+
+  test('reads the expiry of JWTs and leaves opaque tokens to the default TTL', () => {
+    expect(TokenManager.getExpiry(`Bearer ${jwt({ exp: 1700000000 })}`)).toBe(1700000000000);
+    expect(TokenManager.getExpiry('opaque-token')).toBeNull();
+    expect(TokenManager.getExpiry(jwt({ sub: 'admin' }))).toBeNull();
+  });
+
+  test('logs in once per role and shares the token through the cache file', async () => {
+    const token = jwt({ sub: 'admin', exp: inOneHour(), n: 1 });
+    const first = createManager([token]);
+
+    expect(await first.getToken('admin')).toBe(token);
+    expect(await first.getToken('admin')).toBe(token);
+    expect(first.logins).toBe(1);
+    expect(fs.existsSync(first.getCacheFile('admin'))).toBe(true);
+
+    const otherWorker = createManager([]);
+    expect(await otherWorker.getToken('admin')).toBe(token);
+    expect(otherWorker.logins).toBe(0);
+
+    const otherBaseUrl = createManager([jwt({ sub: 'admin', exp: inOneHour(), n: 2 })], 'http://127.0.0.2');
+    expect(await otherBaseUrl.getToken('admin')).not.toBe(token);
+    expect(otherBaseUrl.logins).toBe(1);
+  });
+
+  test('renews tokens that are about to expire', async () => {
+    const manager = createManager([jwt({ sub: 'admin', exp: Math.floor(Date.now() / 1000) + 30 }), jwt({ sub: 'admin', exp: inOneHour() })]);
+
+    await manager.getToken('admin');
+    await manager.getToken('admin');
+    expect(manager.logins).toBe(2);
+  });
+
+  test('invalidates only the rejected token', async () => {
+    const rejected = jwt({ sub: 'admin', exp: inOneHour(), n: 1 });
+    const renewed = jwt({ sub: 'admin', exp: inOneHour(), n: 2 });
+    const manager = createManager([rejected, renewed]);
+    const otherWorker = createManager([]);
+
+    await manager.getToken('admin');
+    expect(await otherWorker.getToken('admin')).toBe(rejected);
+    manager.invalidate('admin', rejected);
+    expect(await manager.getToken('admin')).toBe(renewed);
+
+    // The other worker still holds the rejected token; its 401 must not drop the renewed one
+    otherWorker.invalidate('admin', rejected);
+    expect(await otherWorker.getToken('admin')).toBe(renewed);
+    expect(manager.logins).toBe(2);
+  });
+});
+
+test.describe('🔑 Role tokens in requests @unit', () => {
+  const environment = `unit-${process.pid}`;
+  let server;
+  let baseUrl;
+  let accepted;
+
+  test.beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const ok = req.headers.authorization === `Bearer ${accepted}`;
+      res.writeHead(ok ? 200 : 401, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ success: ok }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // Helper against the local server whose logins issue the given tokens (or fail when there are none)
+  const createHelper = tokens => {
+    const helper = new FintechApiHelper('dev');
+    helper.baseUrl = baseUrl;
+    helper.logins = 0;
+    helper.tokens = new TokenManager({
+      environment,
+      baseUrl,
+      getCredentials: role => ({ phone: role }),
+      login: async () => {
+        helper.logins++;
+        if (tokens.length === 0) {
+          throw new Error('Authentication failed. Status: 500');
+        }
+        return tokens.shift();
+      },
+    });
+    return helper;
+  };
+
+  test.afterEach(() => {
+    const manager = createHelper([]).tokens;
+    ['admin', 'enduser'].forEach(role => manager.invalidate(role));
+  });
+
+  test('logs in again and resends once when the role token is rejected', async () => {
+    const revoked = jwt({ sub: 'admin', exp: inOneHour(), n: 1 });
+    accepted = jwt({ sub: 'admin', exp: inOneHour(), n: 2 });
+    const helper = createHelper([revoked, accepted]);
+
+    const response = await helper.sendApiRequest({ method: 'GET', url: '/me', expectedStatus: 200 });
+    expect(response.status).toBe(200);
+    expect(helper.logins).toBe(2);
+
+    // An expected 401 is not renewed
+    accepted = 'nobody';
+    await helper.sendApiRequest({ method: 'GET', url: '/me', expectedStatus: 401 });
+    expect(helper.logins).toBe(2);
+  });
+
+  test('fails when a requested role cannot log in, and falls back only for the default role', async () => {
+    accepted = 'configured-token';
+    const helper = createHelper([]);
+    helper.apiToken = 'configured-token';
+
+    await expect(helper.sendApiRequest({ method: 'GET', url: '/me', role: 'enduser' }))
+      .rejects.toThrow('Could not log in as enduser: Authentication failed. Status: 500');
+    await expect(helper.asRole('admin').sendApiRequest({ method: 'GET', url: '/me' }))
+      .rejects.toThrow('Could not log in as admin');
+
+    const response = await helper.sendApiRequest({ method: 'GET', url: '/me', expectedStatus: 200 });
+    expect(response.status).toBe(200);
+  });
+});
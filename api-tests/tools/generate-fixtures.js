@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Generate fixture entries from an OpenAPI document
+ *
+ * Usage:
+ *   npm run fixtures:generate -- --spec api-tests/contracts/auth-service.openapi.json [options]
+ *
+ * Options:
+ *   --spec <file>      OpenAPI 3 JSON document (required)
+ *   --service <name>   Service name (default: spec file name without .openapi.json)
+ *   --env <envs>       Comma-separated environments (default: TEST_ENV or dev)
+ *   --overwrite        Replace entries that already exist (default: keep them)
+ *   --dry-run          Print the generated entries instead of writing files
+ *
+ * Entries are merged into api-tests/fixtures/<env>/<service>-<env>.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const FixtureGenerator = require('../utils/FixtureGenerator');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures');
+
+const { values: options } = parseArgs({
+  options: {
+    spec: { type: 'string' },
+    service: { type: 'string' },
+    env: { type: 'string', default: (process.env.TEST_ENV || 'dev').trim().toLowerCase() },
+    overwrite: { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+  },
+});
+
+if (!options.spec) {
+  console.error('❌ Missing --spec <openapi.json>');
+  process.exit(1);
+}
+
+const specPath = path.resolve(options.spec);
+const service = options.service || path.basename(specPath).replace(/(\.openapi)?\.json$/, '');
+const generated = new FixtureGenerator(JSON.parse(fs.readFileSync(specPath, 'utf8')), service).generate();
+
+console.log(`🧬 Generated ${Object.keys(generated).length} fixture entries for ${service}`);
+
+if (options['dry-run']) {
+  console.log(JSON.stringify(generated, null, 4));
+  process.exit(0);
+}
+
+options.env.split(',').map(env => env.trim()).filter(Boolean).forEach(env => {
+  const fixtureFile = path.join(FIXTURES_DIR, env, `${service}-${env}.json`);
+  const fixtures = fs.existsSync(fixtureFile) ? JSON.parse(fs.readFileSync(fixtureFile, 'utf8')) : {};
+
+  const added = [];
+  const kept = [];
+  Object.keys(generated).forEach(name => {
+    if (fixtures[name] && !options.overwrite) {
+      kept.push(name);
+      return;
+    }
+    fixtures[name] = generated[name];
+    added.push(name);
+  });
+
+  fs.mkdirSync(path.dirname(fixtureFile), { recursive: true });
+  fs.writeFileSync(fixtureFile, `${JSON.stringify(fixtures, null, 4)}\n`);
+
+  console.log(`\n📄 ${path.relative(process.cwd(), fixtureFile)}`);
+  added.forEach(name => console.log(`   ✅ ${name}`));
+  kept.forEach(name => console.log(`   ⏭️  ${name} (exists, use --overwrite to replace)`));
+});
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Drive one fixture or scenario under load and write a JSON + HTML summary
+ *
+ * Usage:
+ *   npm run api:load -- --service payment-service --fixture "Get payout overview" --concurrency 5 --duration 60
+ *   npm run api:load -- --scenario otp-send-journey --rate 2 --duration 1800 --p95 800 --error-rate 1
+ *
+ * Options:
+ *   --service <name>       Service of the fixture (e.g. payment-service)
+ *   --fixture <name>       Fixture to run (either --fixture or --scenario)
+ *   --scenario <name>      Scenario name or file name in api-tests/scenarios
+ *   --concurrency <n>      Virtual users, each looping over the target (default 1)
+ *   --rate <n>             Iterations per second instead, however long each takes
+ *   --max-in-flight <n>    With --rate: most iterations running at once (default rate × 10)
+ *   --duration <s>         Duration in seconds (default 60)
+ *   --interval <s>         Seconds per timeline line in the summary (default 10)
+ *   --p95 <ms>             Fail when the iteration p95 is above this
+ *   --error-rate <pct>     Fail when more than this percentage of iterations fail
+ *   --out <dir>            Output directory (default api-tests/reports/load)
+ *   --env <env>            Environment (default TEST_ENV or dev)
+ *   --verbose              Keep the per-request console output
+ *
+ * With API_CASSETTE_MODE=replay the load runs against the recorded cassettes, served locally on
+ * API_REPLAY_PORT like `npm run api:replay`. Exits with 1 when a threshold is not met.
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const Redactor = require('../utils/Redactor');
+
+// Mask secrets and PII in console output, as playwright.config.js does for the suite
+Redactor.installConsole();
+
+const { values: options } = parseArgs({
+  options: {
+    service: { type: 'string' },
+    fixture: { type: 'string' },
+    scenario: { type: 'string' },
+    concurrency: { type: 'string' },
+    rate: { type: 'string' },
+    'max-in-flight': { type: 'string' },
+    duration: { type: 'string', default: '60' },
+    interval: { type: 'string', default: '10' },
+    p95: { type: 'string' },
+    'error-rate': { type: 'string' },
+    out: { type: 'string' },
+    env: { type: 'string', default: (process.env.TEST_ENV || 'dev').trim().toLowerCase() },
+    verbose: { type: 'boolean', default: false },
+  },
+});
+
+const number = name => (options[name] === undefined ? undefined : Number(options[name]));
+
+const main = async () => {
+  let server = null;
+  if ((process.env.API_CASSETTE_MODE || '').trim().toLowerCase() === 'replay') {
+    // Same base URL rewrite as playwright.config.js, before any helper reads it
+    const EnvironmentConfig = require('../config/EnvironmentConfig');
+    const CassetteServer = require('../utils/CassetteServer');
+    const basePath = new URL(new EnvironmentConfig(options.env).getApiBaseUrl()).pathname.replace(/\/$/, '');
+    server = new CassetteServer();
+    const port = await server.start(Number(process.env.API_REPLAY_PORT || 4010));
+    process.env.API_BASE_URL = `http://127.0.0.1:${port}${basePath}`;
+    console.log(`🎞️  Replaying ${server.interactions.length} interactions on http://127.0.0.1:${port}`);
+  }
+
+  try {
+    const LoadRunner = require('../utils/LoadRunner');
+    const runner = new LoadRunner({
+      environment: options.env,
+      service: options.service,
+      fixture: options.fixture,
+      scenario: options.scenario,
+      concurrency: number('concurrency'),
+      rate: number('rate'),
+      maxInFlight: number('max-in-flight'),
+      duration: number('duration'),
+      interval: number('interval'),
+      thresholds: { p95: number('p95'), errorRate: number('error-rate') },
+      verbose: options.verbose,
+    });
+    const summary = await runner.run();
+    LoadRunner.writeReports(summary, options.out ? path.resolve(options.out) : undefined);
+    process.exitCode = summary.passed ? 0 : 1;
+  } finally {
+    if (server) {
+      await server.stop();
+    }
+  }
+};
+
+main().catch(error => {
+  console.error(`❌ Load run failed: ${error.message}`);
+  process.exit(1);
+});
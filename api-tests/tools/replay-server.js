@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/**
+ * Serve recorded cassettes as a local stand-in for the Yobo API
+ *
+ * Usage:
+ *   npm run api:replay:server -- [--port 4010] [--dir api-tests/cassettes]
+ *
+ * Then point the suite at it, keeping the recorded base path:
+ *   API_BASE_URL=http://127.0.0.1:4010/api/v1 npm run api
+ *
+ * `npm run api:replay` does both (Playwright starts this server through webServer).
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const CassetteServer = require('../utils/CassetteServer');
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: process.env.API_REPLAY_PORT || '4010' },
+    dir: { type: 'string' },
+  },
+});
+
+const server = new CassetteServer(options.dir ? { directory: path.resolve(options.dir) } : {});
+
+server.start(Number(options.port)).then(port => {
+  console.log(`🎞️  Replaying ${server.interactions.length} interactions on http://127.0.0.1:${port}`);
+  if (server.interactions.length === 0) {
+    console.warn('⚠️ No cassettes found; record some with `npm run api:record`');
+  }
+}).catch(error => {
+  console.error(`❌ Replay server failed to start: ${error.message}`);
+  process.exit(1);
+});
+
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => server.stop().then(() => process.exit(0))));
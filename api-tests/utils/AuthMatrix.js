@@ -0,0 +1,227 @@
+/**
+ * Auth Matrix
+ * Runs one fixture request once per role and checks who is allowed to call it
+ *
+ * Fixture format (a number is shorthand for { status }):
+ *   "authMatrix": {
+ *     "admin": 200,
+ *     "enduser": { "status": 403, "errorCode": "FORBIDDEN" },
+ *     "anonymous": 401,    // no Authorization header
+ *     "expired": 401,      // JWT whose exp lies in the past (API_EXPIRED_TOKEN, or derived from the helper's token)
+ *     "malformed": 401     // a token that is not a JWT
+ *   }
+ *
+ * Roles are those of EnvironmentConfig.getAvailableUserTypes() plus the pseudo roles above.
+ * errorCode is compared with error.code of the error envelope. Every cell runs even when an
+ * earlier one fails; the grid is attached to the test, and per-worker grids are merged by
+ * global teardown into api-tests/reports/auth-matrix.json.
+ */
+
+const RunRecorder = require('./RunRecorder');
+
+const grids = new RunRecorder('auth-matrix', 'grids');
+const PSEUDO_ROLES = ['anonymous', 'expired', 'malformed'];
+const MALFORMED_TOKEN = 'malformed.token.value';
+
+// Copied into every cell; the cell sets the role, the status and the error code
+const REQUEST_FIELDS = ['method', 'url', 'params', 'headers', 'requestBody', 'expectedResponseTime', 'contract', 'retryPolicy'];
+
+class AuthMatrix {
+  /**
+   * Remove grids from a previous run
+   */
+  static reset() {
+    grids.reset();
+  }
+
+  /**
+   * Normalise a fixture's authMatrix to a list of cells
+   * @param {Object} authMatrix - Role → status or { status, errorCode }
+   * @param {Array<string>} roles - Known roles
+   * @returns {Array<Object>} [{ role, status, errorCode }]
+   */
+  static normalize(authMatrix, roles) {
+    return Object.keys(authMatrix).map(role => {
+      if (!roles.includes(role) && !PSEUDO_ROLES.includes(role)) {
+        throw new Error(`authMatrix: unknown role '${role}'. Available: ${[...roles, ...PSEUDO_ROLES].join(', ')}`);
+      }
+      const expected = typeof authMatrix[role] === 'number' ? { status: authMatrix[role] } : authMatrix[role];
+      if (!expected || typeof expected.status !== 'number') {
+        throw new Error(`authMatrix: '${role}' needs a status code`);
+      }
+      return { role, status: expected.status, errorCode: expected.errorCode || null };
+    });
+  }
+
+  /**
+   * Build a JWT that expired an hour ago from a valid one (the signature no longer matches,
+   * so the API may reject it for either reason)
+   * @param {string} token - Valid JWT
+   * @returns {string} Expired JWT
+   */
+  static expire(token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+      throw new Error('Cannot derive an expired token from a non-JWT token; set API_EXPIRED_TOKEN');
+    }
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    payload.exp = Math.floor(Date.now() / 1000) - 3600;
+    return [parts[0], Buffer.from(JSON.stringify(payload)).toString('base64url'), parts[2]].join('.');
+  }
+
+  /**
+   * Token a cell authenticates with
+   * @param {FintechApiHelper} apiHelper - Helper instance
+   * @param {string} role - Role or pseudo role
+   * @returns {Promise<string|null>} Token, or null for anonymous
+   */
+  static async getToken(apiHelper, role) {
+    switch (role) {
+      case 'anonymous':
+        return null;
+      case 'malformed':
+        return MALFORMED_TOKEN;
+      case 'expired':
+        return process.env.API_EXPIRED_TOKEN || AuthMatrix.expire(await apiHelper.getAccessToken());
+      default:
+        return apiHelper.getAccessToken(role);
+    }
+  }
+
+  /**
+   * Build the test data of one cell
+   * @param {Object} testData - Fixture
+   * @param {Object} cell - { role, status, errorCode }
+   * @returns {Object} Test data for makeApiRequest
+   */
+  static buildRequest(testData, cell) {
+    const request = { testName: `${testData.testName} as ${cell.role}`, expectedStatus: cell.status };
+    REQUEST_FIELDS.filter(field => testData[field] !== undefined).forEach(field => { request[field] = testData[field]; });
+    if (cell.errorCode) {
+      request.subsetExpectedBody = { error: { code: cell.errorCode } };
+    }
+    if (cell.role === 'anonymous') {
+      request.auth = false;
+    }
+    return request;
+  }
+
+  /**
+   * Run every cell of a fixture's matrix, attach and record the grid, and fail on mismatches
+   * @param {FintechApiHelper} apiHelper - Helper instance
+   * @param {Object} testData - Fixture with testName and authMatrix
+   * @returns {Promise<Object>} Grid { endpoint, fixture, results }
+   */
+  static async run(apiHelper, testData) {
+    const cells = AuthMatrix.normalize(testData.authMatrix, apiHelper.config.getAvailableUserTypes());
+    const grid = {
+      endpoint: `${(testData.method || 'GET').toUpperCase()} ${testData.url}`,
+      fixture: testData.testName,
+      results: [],
+    };
+
+    for (const cell of cells) {
+      console.log(`\n🛂 ${grid.endpoint} as ${cell.role}: expecting ${cell.status}${cell.errorCode ? ` ${cell.errorCode}` : ''}`);
+      const result = { ...cell, actualStatus: null, actualErrorCode: null, passed: false, error: null };
+      let exchangeCount = null;
+
+      try {
+        const token = await AuthMatrix.getToken(apiHelper, cell.role);
+        exchangeCount = apiHelper.getResponses().length; // Exchanges before this cell's request (after any login)
+        await apiHelper.makeApiRequest(AuthMatrix.buildRequest(testData, cell), token);
+        result.passed = true;
+      } catch (error) {
+        result.error = error.message.split('\n')[0];
+      }
+
+      // The exchange of this cell, if the request was sent
+      const exchanges = apiHelper.getResponses();
+      const entry = exchangeCount !== null && exchanges.length > exchangeCount ? exchanges[exchanges.length - 1] : null;
+      if (entry) {
+        result.actualStatus = entry.response.status;
+        result.actualErrorCode = AuthMatrix.readErrorCode(entry.response.content.text);
+      }
+      grid.results.push(result);
+    }
+
+    console.log(`\n🛂 AUTH MATRIX: ${grid.endpoint}`);
+    console.table(grid.results.map(result => ({ role: result.role, ...AuthMatrix.formatCell(result) })));
+    await apiHelper.attachToReport('auth-matrix', grid);
+    AuthMatrix.record(grid);
+
+    const failures = grid.results.filter(result => !result.passed);
+    if (failures.length > 0) {
+      throw new Error(
+        `Authorization mismatch for ${grid.endpoint}:\n` +
+        failures.map(result => `  ✗ ${result.role}: ${result.error}`).join('\n')
+      );
+    }
+    return grid;
+  }
+
+  /**
+   * Read error.code from a response body
+   * @param {string} text - Response body text
+   * @returns {string|null} Error code
+   */
+  static readErrorCode(text) {
+    try {
+      const body = JSON.parse(text);
+      return (body && body.error && body.error.code) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Expected and actual outcome of one cell
+   * @param {Object} result - Cell result
+   * @returns {Object} { expected, actual, result }
+   */
+  static formatCell(result) {
+    const format = (status, errorCode) => (status === null ? '-' : `${status}${errorCode ? ` ${errorCode}` : ''}`);
+    return {
+      expected: format(result.status, result.errorCode),
+      actual: format(result.actualStatus, result.errorCode ? result.actualErrorCode : null),
+      result: result.passed ? '✅' : '❌',
+    };
+  }
+
+  /**
+   * Append a grid to this worker's file
+   * @param {Object} grid - Grid
+   */
+  static record(grid) {
+    grids.record(grid);
+  }
+
+  /**
+   * Read all recorded grids
+   * @returns {Array<Object>} Grids from every worker
+   */
+  static readGrids() {
+    return grids.read();
+  }
+
+  /**
+   * Merge the grids of all workers into one endpoint × role table and print it
+   * A retried fixture keeps its last grid
+   * @returns {Object} Endpoint → role → '✅ 403' | '❌ 200 (expected 403)'
+   */
+  static writeSummary() {
+    const latest = {};
+    AuthMatrix.readGrids().forEach(grid => { latest[`${grid.endpoint} ${grid.fixture}`] = grid; });
+
+    const summary = {};
+    Object.values(latest).forEach(grid => {
+      const row = summary[grid.endpoint] = summary[grid.endpoint] || {};
+      grid.results.forEach(result => {
+        const { expected, actual } = AuthMatrix.formatCell(result);
+        row[result.role] = result.passed ? `✅ ${actual}` : `❌ ${actual} (expected ${expected})`;
+      });
+    });
+    return RunRecorder.writeSummary('auth-matrix.json', '🛂 AUTHORIZATION GRID', summary);
+  }
+}
+
+module.exports = AuthMatrix;
@@ -0,0 +1,263 @@
+/**
+ * Cassette Recorder
+ * Saves real request/response pairs so the suite can later run against the replay server
+ *
+ * Enabled with API_CASSETTE_MODE=record. Each worker appends interactions to its own NDJSON
+ * file under api-tests/reports/cassettes (see RunRecorder), and global teardown merges them into
+ * api-tests/cassettes/<cassette>.json (one cassette per fixture service or scenario).
+ *
+ * Interaction format:
+ *   {
+ *     "request":  { "method", "path", "query", "body", "auth" },   // body is a match subset
+ *     "response": { "status", "headers", "body", "auth" }
+ *   }
+ *
+ * Generated request values ({{gen.*}}, {{now}}, ...) are left out of the match subset, and
+ * where the response echoes them they are stored as {{request.body.<path>}} so replay echoes
+ * whatever the next run sends. Sensitive request values (see Redactor) are stored as sha256
+ * hashes that the replay server compares against. Only secrets (tokens, passwords, OTPs) are
+ * redacted in the response: masked PII would no longer match what the fixtures expect on replay.
+ *
+ * `request.auth` describes the Authorization header (see describeAuth), so replay tells the
+ * auth matrix cells apart. A response that issues an access_token records the identity of that
+ * token as `response.auth`, and the replay server hands out a token with the same identity.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TemplateResolver = require('./TemplateResolver');
+const Redactor = require('./Redactor');
+const RunRecorder = require('./RunRecorder');
+
+const CASSETTES_DIR = path.join(__dirname, '../cassettes');
+const recordings = new RunRecorder('cassettes');
+
+// Response headers worth replaying; the rest are connection or server specific
+const RECORDED_HEADERS = /^(content-type|retry-after|x-.*)$/i;
+
+// Shorter echoed values (e.g. 'WEB') are too likely to match unrelated strings
+const MIN_ECHO_LENGTH = 4;
+
+class CassetteRecorder {
+  /**
+   * Whether responses are being recorded in this run
+   * @returns {boolean} True when API_CASSETTE_MODE=record
+   */
+  static isRecording() {
+    return (process.env.API_CASSETTE_MODE || '').trim().toLowerCase() === 'record';
+  }
+
+  /**
+   * Remove interactions recorded by a previous run
+   */
+  static reset() {
+    recordings.reset();
+  }
+
+  /**
+   * Record one interaction
+   * @param {string} cassette - Cassette name (e.g. 'auth-service')
+   * @param {Object} exchange
+   * @param {Object} exchange.response - Axios response
+   * @param {Object} exchange.params - Resolved query params
+   * @param {*} exchange.requestBody - Resolved request body
+   * @param {*} exchange.templateBody - Request body before placeholders were resolved
+   */
+  static record(cassette, { response, params = {}, requestBody, templateBody = requestBody }) {
+    recordings.record(CassetteRecorder.buildInteraction({ response, params, requestBody, templateBody }), cassette);
+  }
+
+  /**
+   * Build the stored interaction from an axios response
+   * @param {Object} exchange - See record()
+   * @returns {Object} Interaction
+   */
+  static buildInteraction({ response, params, requestBody, templateBody }) {
+    const url = new URL(response.config.url);
+    const query = {};
+    url.searchParams.forEach((value, key) => { query[key] = value; });
+    Object.keys(params || {}).forEach(key => { query[key] = String(params[key]); });
+
+    const generated = {};
+    const body = CassetteRecorder.stripTemplated(requestBody, templateBody, 'request.body', generated);
+
+    const headers = {};
+    Object.keys(response.headers || {}).filter(name => RECORDED_HEADERS.test(name)).forEach(name => {
+      headers[name.toLowerCase()] = String(response.headers[name]);
+    });
+
+    return {
+      request: {
+        method: (response.config.method || 'GET').toUpperCase(),
+        path: url.pathname,
+        query: CassetteRecorder.hashSensitive(query),
+        body: CassetteRecorder.hashSensitive(body),
+        auth: CassetteRecorder.describeAuth(CassetteRecorder.getAuthorization(response.config.headers)),
+      },
+      response: {
+        status: response.status,
+        headers: Redactor.redactSecrets(headers),
+        body: Redactor.redactSecrets(CassetteRecorder.templateEchoes(response.data, generated)),
+        ...(response.data && typeof response.data.access_token === 'string'
+          ? { auth: CassetteRecorder.describeAuth(`Bearer ${response.data.access_token}`) }
+          : {}),
+      },
+    };
+  }
+
+  /**
+   * Authorization header of a request, whatever its case
+   * @param {Object} headers - Request headers
+   * @returns {string|undefined} Header value
+   */
+  static getAuthorization(headers = {}) {
+    const name = Object.keys(headers || {}).find(key => key.toLowerCase() === 'authorization');
+    return name ? headers[name] : undefined;
+  }
+
+  /**
+   * Describe an Authorization header without storing the token
+   * @param {string|undefined} authorization - Header value
+   * @returns {string} 'none', 'malformed', 'expired', or 'bearer:<sha256 of the subject>'
+   *   ('bearer' when the token has no subject)
+   */
+  static describeAuth(authorization) {
+    if (!authorization) {
+      return 'none';
+    }
+    const parts = String(authorization).replace(/^Bearer\s+/i, '').split('.');
+    let payload;
+    try {
+      payload = parts.length === 3 ? JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')) : null;
+    } catch (error) {
+      payload = null;
+    }
+    if (!payload || typeof payload !== 'object') {
+      return 'malformed';
+    }
+    if (typeof payload.exp === 'number' && payload.exp * 1000 <= Date.now()) {
+      return 'expired';
+    }
+    if (payload.sub === undefined || payload.sub === null) {
+      return 'bearer';
+    }
+    // Replay tokens already carry the hashed subject
+    const subject = String(payload.sub);
+    return `bearer:${subject.startsWith('sha256:') ? subject : Redactor.hash(subject)}`;
+  }
+
+  /**
+   * Drop request leaves that came from placeholders and remember their generated values
+   * @param {*} value - Resolved value
+   * @param {*} template - Value before resolution
+   * @param {string} expression - Placeholder expression for this position (e.g. 'request.body.phone')
+   * @param {Object} generated - Collects expression → generated value
+   * @returns {*} Match subset (undefined when the whole value was generated)
+   */
+  static stripTemplated(value, template, expression, generated) {
+    if (typeof template === 'string' && TemplateResolver.hasPlaceholders(template)) {
+      generated[expression] = value;
+      return undefined;
+    }
+
+    if (value && typeof value === 'object' && template && typeof template === 'object') {
+      const subset = Array.isArray(value) ? [] : {};
+      Object.keys(value).forEach(key => {
+        const item = CassetteRecorder.stripTemplated(value[key], template[key], `${expression}.${key}`, generated);
+        if (item !== undefined) {
+          subset[key] = item;
+        }
+      });
+      return subset;
+    }
+
+    return value;
+  }
+
+  /**
+   * Replace values under sensitive keys by their hash
+   * @param {*} value - Request body subset or query
+   * @param {string|null} key - Key the value sits under
+   * @returns {*} Copy with sensitive values hashed
+   */
+  static hashSensitive(value, key = null) {
+    if (value && typeof value === 'object') {
+      const result = Array.isArray(value) ? [] : {};
+      Object.keys(value).forEach(name => {
+        result[name] = CassetteRecorder.hashSensitive(value[name], Array.isArray(value) ? key : name);
+      });
+      return result;
+    }
+    if ((typeof value === 'string' || typeof value === 'number') && key !== null && Redactor.isSensitiveKey(key)) {
+      return Redactor.hash(value);
+    }
+    return value;
+  }
+
+  /**
+   * Replace generated request values echoed in the response with {{request.*}} placeholders
+   * @param {*} value - Response value
+   * @param {Object} generated - Expression → generated value
+   * @returns {*} Templated response value
+   */
+  static templateEchoes(value, generated) {
+    if (typeof value === 'string') {
+      return Object.keys(generated)
+        .filter(expression => String(generated[expression]).length >= MIN_ECHO_LENGTH)
+        .sort((a, b) => String(generated[b]).length - String(generated[a]).length)
+        .reduce((text, expression) => text.split(String(generated[expression])).join(`{{${expression}}}`), value);
+    }
+    if (typeof value === 'number') {
+      const expression = Object.keys(generated).find(key => generated[key] === value && String(value).length >= MIN_ECHO_LENGTH);
+      return expression ? `{{${expression}}}` : value;
+    }
+    if (value && typeof value === 'object') {
+      const result = Array.isArray(value) ? [] : {};
+      Object.keys(value).forEach(key => { result[key] = CassetteRecorder.templateEchoes(value[key], generated); });
+      return result;
+    }
+    return value;
+  }
+
+  /**
+   * Merge this run's recordings into the cassette files
+   * Interactions recorded now replace stored ones with the same request; repeated requests
+   * (e.g. status polling) keep their recorded order
+   * @returns {Object} Cassette name → interaction count written
+   */
+  static writeCassettes() {
+    const recorded = recordings.readByName();
+    const written = {};
+    if (Object.keys(recorded).length === 0) {
+      return written;
+    }
+
+    fs.mkdirSync(CASSETTES_DIR, { recursive: true });
+    Object.keys(recorded).forEach(cassette => {
+      const cassetteFile = path.join(CASSETTES_DIR, `${cassette}.json`);
+      const existing = fs.existsSync(cassetteFile) ? JSON.parse(fs.readFileSync(cassetteFile, 'utf8')).interactions : [];
+      const recordedKeys = new Set(recorded[cassette].map(CassetteRecorder.requestKey));
+      const interactions = [
+        ...existing.filter(interaction => !recordedKeys.has(CassetteRecorder.requestKey(interaction))),
+        ...recorded[cassette],
+      ];
+
+      fs.writeFileSync(cassetteFile, `${JSON.stringify({ interactions }, null, 2)}\n`);
+      written[cassette] = interactions.length;
+      console.log(`📼 Cassette ${path.relative(process.cwd(), cassetteFile)}: ${recorded[cassette].length} recorded, ${interactions.length} total`);
+    });
+
+    return written;
+  }
+
+  /**
+   * Identity of a recorded request
+   * @param {Object} interaction - Interaction
+   * @returns {string} Key
+   */
+  static requestKey({ request }) {
+    return JSON.stringify([request.method, request.path, request.query, request.body]);
+  }
+}
+
+module.exports = CassetteRecorder;
@@ -0,0 +1,256 @@
+/**
+ * Cassette Server
+ * Local stand-in for the Yobo API that replays interactions recorded by CassetteRecorder
+ *
+ * A request matches an interaction when the method, path, query and kind of Authorization header
+ * (none, malformed, expired or the token's subject) are equal and the recorded body is a subset
+ * of the request body. The most specific match wins; identical recorded
+ * requests are served in recorded order (the last one repeats), so polling sequences replay.
+ *
+ * {{request.body.<path>}} and {{request.query.<name>}} in a recorded response are filled from
+ * the incoming request. Recorded 'sha256:' values match a request value with that hash.
+ * A recorded access_token (redacted in the cassette) is replaced by an unsigned replay token
+ * with the recorded subject, so requests made with it match that subject's interactions.
+ * Unmatched requests get a 501 with the request echoed back.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const Redactor = require('./Redactor');
+const CassetteRecorder = require('./CassetteRecorder');
+
+const CASSETTES_DIR = path.join(__dirname, '../cassettes');
+const PLACEHOLDER_PATTERN = /\{\{\s*(request\.[^{}]+?)\s*\}\}/g;
+const SINGLE_PLACEHOLDER_PATTERN = /^\{\{\s*(request\.[^{}]+?)\s*\}\}$/;
+
+const isObject = value => value !== null && typeof value === 'object';
+
+class CassetteServer {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Cassette directory
+   */
+  constructor({ directory = CASSETTES_DIR } = {}) {
+    this.directory = directory;
+    this.interactions = [];
+    this.served = {}; // Request key → times served, for sequences
+    this.server = null;
+    this.load();
+  }
+
+  /**
+   * Load every cassette in the directory
+   */
+  load() {
+    this.interactions = [];
+    if (!fs.existsSync(this.directory)) {
+      return;
+    }
+
+    fs.readdirSync(this.directory).filter(file => file.endsWith('.json')).sort().forEach(file => {
+      const cassette = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+      (cassette.interactions || []).forEach(interaction => {
+        this.interactions.push({ cassette: path.basename(file, '.json'), ...interaction });
+      });
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 for a random free port)
+   * @param {string} host - Host
+   * @returns {Promise<number>} Port the server listens on
+   */
+  start(port = 4010, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => resolve(this.server.address().port));
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  /**
+   * Handle one HTTP request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handle(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const query = {};
+      url.searchParams.forEach((value, key) => { query[key] = value; });
+
+      const raw = Buffer.concat(chunks).toString('utf8');
+      let body;
+      try {
+        body = raw ? JSON.parse(raw) : undefined;
+      } catch (error) {
+        body = raw;
+      }
+
+      const request = { method: req.method, path: url.pathname, query, body, auth: CassetteRecorder.describeAuth(req.headers.authorization) };
+
+      if (url.pathname === '/__cassettes') {
+        return this.send(res, 200, {}, { interactions: this.interactions.length, cassettes: [...new Set(this.interactions.map(item => item.cassette))] });
+      }
+
+      const interaction = this.findInteraction(request);
+      if (!interaction) {
+        console.warn(`❌ No cassette match: ${request.method} ${request.path} ${JSON.stringify(query)}`);
+        return this.send(res, 501, {}, {
+          success: false,
+          statusCode: 501,
+          message: 'No recorded interaction matches this request',
+          request,
+        });
+      }
+
+      console.log(`📼 ${request.method} ${request.path} → ${interaction.response.status} (${interaction.cassette})`);
+      const responseBody = CassetteServer.fillTemplate(interaction.response.body, request);
+      if (interaction.response.auth && isObject(responseBody) && responseBody.access_token !== undefined) {
+        responseBody.access_token = CassetteServer.issueToken(interaction.response.auth);
+      }
+      return this.send(res, interaction.response.status, interaction.response.headers, responseBody);
+    });
+  }
+
+  /**
+   * Write a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - Status code
+   * @param {Object} headers - Recorded headers
+   * @param {*} body - Body
+   */
+  send(res, status, headers, body) {
+    const payload = body === undefined ? '' : (typeof body === 'string' ? body : JSON.stringify(body));
+    res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', ...headers });
+    res.end(payload);
+  }
+
+  /**
+   * Find the interaction for a request
+   * @param {Object} request - { method, path, query, body, auth }
+   * @returns {Object|null} Interaction
+   */
+  findInteraction(request) {
+    const candidates = this.interactions.filter(interaction => (
+      interaction.request.method === request.method &&
+      // Interactions recorded before auth was tracked match any Authorization header
+      (interaction.request.auth === undefined || interaction.request.auth === request.auth) &&
+      interaction.request.path === request.path &&
+      CassetteServer.sameQuery(interaction.request.query || {}, request.query) &&
+      CassetteServer.isSubset(interaction.request.body, request.body)
+    ));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const specificity = interaction => CassetteServer.countLeaves(interaction.request.body);
+    const best = Math.max(...candidates.map(specificity));
+    const sequence = candidates.filter(interaction => specificity(interaction) === best);
+
+    const key = JSON.stringify(sequence[0].request);
+    const index = Math.min(this.served[key] || 0, sequence.length - 1);
+    this.served[key] = (this.served[key] || 0) + 1;
+    return sequence[index];
+  }
+
+  /**
+   * Unsigned token for a recorded identity, valid for an hour
+   * @param {string} auth - Recorded identity ('bearer:<sha256>' or 'bearer')
+   * @returns {string} JWT
+   */
+  static issueToken(auth) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const payload = { exp: Math.floor(Date.now() / 1000) + 3600 };
+    if (auth.startsWith('bearer:')) {
+      payload.sub = auth.slice('bearer:'.length);
+    }
+    return [encode({ alg: 'none', typ: 'JWT' }), encode(payload), 'replay'].join('.');
+  }
+
+  /**
+   * Compare query params as strings
+   * @param {Object} expected - Recorded query
+   * @param {Object} actual - Request query
+   * @returns {boolean} True if equal
+   */
+  static sameQuery(expected, actual) {
+    const keys = Object.keys(expected);
+    return keys.length === Object.keys(actual).length && keys.every(key => CassetteServer.isSubset(String(expected[key]), actual[key]));
+  }
+
+  /**
+   * Whether every recorded value is present in the actual value
+   * @param {*} expected - Recorded body subset
+   * @param {*} actual - Request body
+   * @returns {boolean} True if expected ⊆ actual
+   */
+  static isSubset(expected, actual) {
+    if (expected === undefined) {
+      return true;
+    }
+    if (Array.isArray(expected)) {
+      return Array.isArray(actual) && expected.every((item, index) => CassetteServer.isSubset(item, actual[index]));
+    }
+    if (isObject(expected)) {
+      return isObject(actual) && Object.keys(expected).every(key => CassetteServer.isSubset(expected[key], actual[key]));
+    }
+    if (typeof expected === 'string' && expected.startsWith('sha256:') && actual !== undefined && actual !== null) {
+      return Redactor.hash(actual) === expected;
+    }
+    return expected === actual;
+  }
+
+  /**
+   * Number of leaf values in a body subset
+   * @param {*} value - Value
+   * @returns {number} Leaf count
+   */
+  static countLeaves(value) {
+    if (value === undefined) return 0;
+    if (!isObject(value)) return 1;
+    return Object.values(value).reduce((count, item) => count + CassetteServer.countLeaves(item), 0);
+  }
+
+  /**
+   * Fill {{request.*}} placeholders from the incoming request
+   * @param {*} value - Recorded response value
+   * @param {Object} request - Incoming request
+   * @returns {*} Filled value
+   */
+  static fillTemplate(value, request) {
+    const lookup = expression => expression.split('.').slice(1)
+      .reduce((current, key) => (isObject(current) ? current[key] : undefined), request);
+
+    if (typeof value === 'string') {
+      const single = value.match(SINGLE_PLACEHOLDER_PATTERN);
+      if (single) {
+        return lookup(single[1]);
+      }
+      return value.replace(PLACEHOLDER_PATTERN, (placeholder, expression) => {
+        const resolved = lookup(expression);
+        return resolved === undefined ? placeholder : String(resolved);
+      });
+    }
+    if (isObject(value)) {
+      const result = Array.isArray(value) ? [] : {};
+      Object.keys(value).forEach(key => { result[key] = CassetteServer.fillTemplate(value[key], request); });
+      return result;
+    }
+    return value;
+  }
+}
+
+module.exports = CassetteServer;
@@ -0,0 +1,177 @@
+/**
+ * Concurrency Harness
+ * Fires several copies of one request at the same moment and checks invariants over the outcomes
+ *
+ * Fixture format (every field optional):
+ *   "concurrency": {
+ *     "requests": 5,                             // copies sent at once (see runConcurrently)
+ *     "transactionIdPath": "data.transactionId", // no two successes may share a transaction id
+ *     "maxSuccesses": 1,                         // at most this many copies may succeed
+ *     "balance": {                               // debits must add up and never exceed the balance
+ *       "fixture": "Get payout overview",        // fixture that reads the balance
+ *       "path": "data.bankWallet.total",
+ *       "amountPath": "amount"                   // amount in the request body, in rupees
+ *     }
+ *   }
+ *
+ * Each copy resolves its own placeholders, so {{gen.uuid}} gives every copy its own idempotency key.
+ * A copy succeeds when it gets the fixture's expectedStatus (default: any 2xx); 4xx rejections
+ * (e.g. insufficient funds) are fine, while 5xx responses and network errors are findings.
+ * The balance is compared in paise, and the amount must be a literal in the fixture. The balance
+ * check assumes nothing else moves the balance while the test runs.
+ */
+
+const Money = require('./Money');
+const ResponseValues = require('./ResponseValues');
+
+// Copied into every copy; expectedStatus only decides which outcomes count as successes
+const REQUEST_FIELDS = ['method', 'url', 'params', 'headers', 'requestBody', 'role', 'auth', 'contract', 'envelope', 'retryPolicy'];
+
+class ConcurrencyHarness {
+  /**
+   * @param {FintechApiHelper} apiHelper - Helper instance
+   * @param {Object} fixtures - Fixtures of the service, to look up the balance fixture
+   */
+  constructor(apiHelper, fixtures = {}) {
+    this.apiHelper = apiHelper;
+    this.fixtures = fixtures;
+  }
+
+  /**
+   * Fire the copies, check the invariants, attach the report and fail on findings
+   * @param {Object} testData - Fixture with testName and concurrency
+   * @returns {Promise<Object>} { requests, outcomes, successes, transactionIds, balance, findings }
+   */
+  async run(testData) {
+    const options = { requests: 5, ...testData.concurrency };
+    if (options.balance && !this.fixtures[options.balance.fixture]) {
+      throw new Error(`concurrency: balance fixture '${options.balance.fixture}' not found`);
+    }
+
+    const report = await this.apiHelper.step(`Concurrency: ${options.requests} simultaneous requests`, () => this.runCopies(testData, options));
+    await this.apiHelper.attachToReport('concurrency', report);
+    if (report.findings.length > 0) {
+      throw new Error(`Concurrency check failed for ${testData.testName}:\n${report.findings.map(finding => `  ✗ ${finding}`).join('\n')}`);
+    }
+    return report;
+  }
+
+  /**
+   * Send the copies at once and check the outcomes
+   * @param {Object} testData - Fixture
+   * @param {Object} options - Concurrency settings
+   * @returns {Promise<Object>} Report
+   */
+  async runCopies(testData, options) {
+    const report = { requests: options.requests, outcomes: [], successes: 0, transactionIds: [], balance: null, findings: [] };
+    console.log(`\n⚡ Concurrency: ${options.requests} simultaneous ${testData.method || 'GET'} ${testData.url}`);
+
+    const balanceBefore = options.balance ? await this.readBalance(options.balance) : null;
+
+    const requests = [...Array(options.requests).keys()].map(index => {
+      const request = { testName: `${testData.testName} #${index + 1}` };
+      REQUEST_FIELDS.filter(field => testData[field] !== undefined).forEach(field => { request[field] = testData[field]; });
+      return request;
+    });
+    const outcomes = await this.apiHelper.runConcurrently(requests);
+
+    const successes = [];
+    outcomes.forEach(outcome => {
+      report.outcomes.push({ number: outcome.number, status: outcome.status, durationMs: outcome.durationMs });
+      if (outcome.error) {
+        report.findings.push(`request #${outcome.number} failed: ${outcome.error.message.split('\n')[0]}`);
+      } else if (this.apiHelper.constructor.matchesStatus(outcome.status, testData.expectedStatus || '2xx')) {
+        successes.push(outcome);
+      } else if (outcome.status >= 500) {
+        report.findings.push(`request #${outcome.number} got ${outcome.status}: ${JSON.stringify(outcome.data)}`);
+      }
+    });
+    report.successes = successes.length;
+
+    if (options.maxSuccesses !== undefined && successes.length > options.maxSuccesses) {
+      report.findings.push(`${successes.length} requests succeeded, at most ${options.maxSuccesses} may`);
+    }
+
+    if (options.transactionIdPath) {
+      this.checkTransactionIds(successes, options.transactionIdPath, report);
+    }
+
+    if (options.balance) {
+      this.checkBalance(testData, options.balance, balanceBefore, await this.readBalance(options.balance), successes.length, report);
+    }
+
+    console.log(report.findings.length === 0
+      ? `✅ Concurrency: ${successes.length}/${options.requests} succeeded, invariants hold`
+      : `❌ Concurrency:\n  ${report.findings.join('\n  ')}`);
+    return report;
+  }
+
+  /**
+   * Check that every success carries its own transaction id
+   * @param {Array<Object>} successes - Successful outcomes
+   * @param {string} transactionIdPath - Path of the id in the response body
+   * @param {Object} report - Report to add findings to
+   */
+  checkTransactionIds(successes, transactionIdPath, report) {
+    const owners = {};
+    successes.forEach(outcome => {
+      const id = ResponseValues.get(outcome.data, transactionIdPath);
+      if (id === undefined || id === null) {
+        report.findings.push(`request #${outcome.number} succeeded without a transaction id at ${transactionIdPath}`);
+        return;
+      }
+      (owners[id] = owners[id] || []).push(outcome.number);
+    });
+
+    report.transactionIds = Object.keys(owners);
+    Object.keys(owners).filter(id => owners[id].length > 1).forEach(id => {
+      report.findings.push(`transaction id ${id} returned to requests ${owners[id].map(number => `#${number}`).join(', ')}`);
+    });
+  }
+
+  /**
+   * Check that the successes debited the balance exactly once each, and never beyond the starting balance
+   * @param {Object} testData - Fixture
+   * @param {Object} balance - { fixture, path, amountPath }
+   * @param {number} before - Balance before, in paise
+   * @param {number} after - Balance after, in paise
+   * @param {number} successCount - Number of successful requests
+   * @param {Object} report - Report to add findings to
+   */
+  checkBalance(testData, balance, before, after, successCount, report) {
+    const amount = Money.parse(ResponseValues.get(testData.requestBody, balance.amountPath || 'amount'));
+    const debited = Money.multiply(amount, successCount);
+    const expectedAfter = Money.subtract(before, debited);
+    report.balance = {
+      before: Money.format(before),
+      after: Money.format(after),
+      amount: Money.format(amount),
+      debited: Money.format(debited),
+      expectedAfter: Money.format(expectedAfter),
+    };
+
+    if (Money.compare(debited, before) > 0) {
+      report.findings.push(`${successCount} successes debited ${report.balance.debited}, more than the starting balance ${report.balance.before}`);
+    }
+    if (after < 0) {
+      report.findings.push(`balance went negative: ${report.balance.after}`);
+    }
+    if (!Money.equals(after, expectedAfter)) {
+      report.findings.push(
+        `balance went from ${report.balance.before} to ${report.balance.after}; ` +
+        `${successCount} debits of ${report.balance.amount} should leave ${report.balance.expectedAfter}`
+      );
+    }
+  }
+
+  /**
+   * Read the balance through the balance fixture
+   * @param {Object} balance - { fixture, path }
+   * @returns {Promise<number>} Balance in paise
+   */
+  readBalance(balance) {
+    return ResponseValues.readBalance(this.apiHelper, this.fixtures, balance, 'concurrency');
+  }
+}
+
+module.exports = ConcurrencyHarness;
@@ -0,0 +1,257 @@
+/**
+ * Contract Validator
+ * Validates API responses against a local OpenAPI 3 document
+ *
+ * Requests are matched to an operation by method and path template, then the status code,
+ * declared response headers and JSON body are checked against the document. Every violation
+ * is reported with a JSON pointer: /status, /headers/<name> or /body/<path>.
+ *
+ * Documents live in api-tests/contracts/<service>.openapi.json. A document marked
+ * "x-provisional": true was inferred from recorded traffic rather than taken from the service's spec.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const CONTRACTS_DIR = path.join(__dirname, '../contracts');
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const escapePointer = segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class ContractValidator {
+  /**
+   * @param {Object} document - OpenAPI 3 document
+   * @param {string} name - Contract name used in messages (e.g. 'auth-service')
+   */
+  constructor(document, name = 'contract') {
+    if (!document || !/^3\./.test(document.openapi || '')) {
+      throw new Error(`Contract '${name}' is not an OpenAPI 3 document`);
+    }
+
+    this.document = document;
+    this.name = name;
+    this.provisional = document['x-provisional'] === true;
+    this.ajv = new Ajv({ strict: false, allErrors: true });
+    addFormats(this.ajv);
+    this.ajv.addSchema(document, name);
+    this.validators = {}; // Schema pointer → compiled validator
+    this.operations = this.indexOperations();
+  }
+
+  /**
+   * Load a contract document from a file
+   * @param {string} filePath - Path to an OpenAPI JSON document
+   * @param {string} name - Contract name
+   * @returns {ContractValidator} Validator
+   */
+  static fromFile(filePath, name = path.basename(filePath, '.openapi.json')) {
+    return new ContractValidator(JSON.parse(fs.readFileSync(filePath, 'utf8')), name);
+  }
+
+  /**
+   * Load the contract of a service from api-tests/contracts, if one exists
+   * @param {string} serviceName - Service name (e.g. 'auth-service')
+   * @returns {ContractValidator|null} Validator or null when the service has no contract
+   */
+  static forService(serviceName) {
+    const filePath = path.join(CONTRACTS_DIR, `${serviceName}.openapi.json`);
+    return fs.existsSync(filePath) ? ContractValidator.fromFile(filePath, serviceName) : null;
+  }
+
+  /**
+   * Build a matcher for every operation in the document
+   * @returns {Array<Object>} { method, template, regex, pointer, operation }
+   */
+  indexOperations() {
+    const basePaths = (this.document.servers || [])
+      .map(server => server.url.replace(/^[a-z]+:\/\/[^/]+/i, '').replace(/\/$/, ''))
+      .filter(basePath => basePath !== '');
+
+    const operations = [];
+    Object.keys(this.document.paths || {}).forEach(template => {
+      const pathItem = this.document.paths[template];
+      const pattern = escapeRegex(template).replace(/\\\{[^}]+\\\}/g, '[^/]+');
+      const prefix = basePaths.length > 0 ? `(?:${basePaths.map(escapeRegex).join('|')})?` : '';
+      // Literal segments outrank path parameters when several templates match
+      const specificity = template.split('/').filter(segment => segment && !segment.startsWith('{')).length;
+
+      HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+        operations.push({
+          method: method.toUpperCase(),
+          template,
+          regex: new RegExp(`${prefix}${pattern}$`),
+          pointer: `#/paths/${escapePointer(template)}/${method}`,
+          operation: pathItem[method],
+          specificity,
+        });
+      });
+    });
+
+    return operations.sort((a, b) => b.specificity - a.specificity);
+  }
+
+  /**
+   * Find the operation for a request
+   * @param {string} method - HTTP method
+   * @param {string} url - Full request URL or path
+   * @returns {Object|null} Operation entry
+   */
+  findOperation(method, url) {
+    const pathname = url.replace(/^[a-z]+:\/\/[^/]+/i, '').split('?')[0].replace(/\/$/, '');
+    return this.operations.find(entry => entry.method === method.toUpperCase() && entry.regex.test(pathname)) || null;
+  }
+
+  /**
+   * Whether the contract declares the standard Yobo envelope for a request, with
+   * "x-yobo-envelope": true on the operation or the whole document
+   * @param {string} method - HTTP method
+   * @param {string} url - Full request URL or path
+   * @returns {boolean} True if the envelope is declared
+   */
+  declaresEnvelope(method, url) {
+    const entry = this.findOperation(method, url);
+    if (!entry) {
+      return false;
+    }
+    const declared = entry.operation['x-yobo-envelope'];
+    return declared !== undefined ? declared === true : this.document['x-yobo-envelope'] === true;
+  }
+
+  /**
+   * Validate a response against the matching operation
+   * @param {Object} exchange - { method, url, status, headers, body }
+   * @returns {Object|null} { operation, violations } or null when no operation matches
+   */
+  validate({ method, url, status, headers = {}, body }) {
+    const entry = this.findOperation(method, url);
+    if (!entry) {
+      return null;
+    }
+
+    const responses = entry.operation.responses || {};
+    const statusKey = [String(status), `${String(status)[0]}XX`, 'default'].find(key => responses[key]);
+    const operationName = `${entry.method} ${entry.template}`;
+
+    if (!statusKey) {
+      return {
+        operation: operationName,
+        violations: [{
+          pointer: '/status',
+          message: `status ${status} is not declared (declared: ${Object.keys(responses).join(', ') || 'none'})`,
+        }],
+      };
+    }
+
+    const responsePointer = `${entry.pointer}/responses/${escapePointer(statusKey)}`;
+    const responseSpec = this.dereference(responses[statusKey]);
+    const violations = [
+      ...this.validateHeaders(responseSpec, responsePointer, headers),
+      ...this.validateBody(responseSpec, responsePointer, headers, body),
+    ];
+
+    return { operation: operationName, violations };
+  }
+
+  /**
+   * Validate declared response headers
+   * @param {Object} responseSpec - OpenAPI response object
+   * @param {string} responsePointer - Pointer to the response object in the document
+   * @param {Object} headers - Actual response headers (lower-case keys)
+   * @returns {Array<Object>} Violations
+   */
+  validateHeaders(responseSpec, responsePointer, headers) {
+    const violations = [];
+    Object.keys(responseSpec.headers || {}).forEach(name => {
+      const headerSpec = this.dereference(responseSpec.headers[name]);
+      const value = headers[name.toLowerCase()];
+      const pointer = `/headers/${escapePointer(name)}`;
+
+      if (value === undefined) {
+        if (headerSpec.required) {
+          violations.push({ pointer, message: 'required header is missing' });
+        }
+        return;
+      }
+
+      if (headerSpec.schema) {
+        const schemaPointer = `${responsePointer}/headers/${escapePointer(name)}/schema`;
+        const type = this.dereference(headerSpec.schema).type;
+        const typedValue = ['integer', 'number'].includes(type) && !isNaN(Number(value)) ? Number(value) : value;
+        violations.push(...this.validateSchema(schemaPointer, typedValue, pointer));
+      }
+    });
+    return violations;
+  }
+
+  /**
+   * Validate the JSON response body
+   * @param {Object} responseSpec - OpenAPI response object
+   * @param {string} responsePointer - Pointer to the response object in the document
+   * @param {Object} headers - Actual response headers
+   * @param {*} body - Actual response body
+   * @returns {Array<Object>} Violations
+   */
+  validateBody(responseSpec, responsePointer, headers, body) {
+    const content = responseSpec.content || {};
+    const mediaType = Object.keys(content).find(type => /json/.test(type));
+    if (!mediaType || !content[mediaType].schema) {
+      return [];
+    }
+
+    const contentType = headers['content-type'] || '';
+    if (contentType && !/json/.test(contentType)) {
+      return [{ pointer: '/headers/content-type', message: `expected ${mediaType}, got ${contentType}` }];
+    }
+
+    return this.validateSchema(`${responsePointer}/content/${escapePointer(mediaType)}/schema`, body, '/body');
+  }
+
+  /**
+   * Validate a value against a schema inside the document
+   * @param {string} schemaPointer - '#/...' pointer to the schema
+   * @param {*} value - Value to validate
+   * @param {string} pointerPrefix - Prefix for violation pointers
+   * @returns {Array<Object>} Violations
+   */
+  validateSchema(schemaPointer, value, pointerPrefix) {
+    if (!this.validators[schemaPointer]) {
+      this.validators[schemaPointer] = this.ajv.compile({ $ref: `${this.name}${schemaPointer}` });
+    }
+
+    const validate = this.validators[schemaPointer];
+    if (validate(value)) {
+      return [];
+    }
+
+    return validate.errors.map(error => {
+      let pointer = `${pointerPrefix}${error.instancePath}`;
+      if (error.keyword === 'required') {
+        pointer += `/${escapePointer(error.params.missingProperty)}`;
+      } else if (error.keyword === 'additionalProperties') {
+        pointer += `/${escapePointer(error.params.additionalProperty)}`;
+      }
+      const allowed = error.params && error.params.allowedValues ? ` (${error.params.allowedValues.join(', ')})` : '';
+      return { pointer, message: `${error.message}${allowed}` };
+    });
+  }
+
+  /**
+   * Resolve a local $ref
+   * @param {Object} node - Object that may be a { $ref }
+   * @returns {Object} Referenced object
+   */
+  dereference(node) {
+    if (!node || !node.$ref) {
+      return node || {};
+    }
+    const target = node.$ref.replace(/^#\//, '').split('/')
+      .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((current, segment) => current && current[segment], this.document);
+    return this.dereference(target);
+  }
+}
+
+module.exports = ContractValidator;
@@ -0,0 +1,211 @@
+/**
+ * Envelope Validator
+ * Checks every response against the standard Yobo envelope (api-tests/config/envelope-rules.js)
+ *
+ * Rules, reported with a JSON pointer like ContractValidator:
+ *   - the body is a JSON object with a boolean `success`, true exactly for 2xx responses
+ *   - error responses carry error.code, a string error.category, a boolean error.retryable,
+ *     and error.errors[] items with `field` and `code`
+ *   - meta.requestId is a non-empty string and meta.timestamp an ISO date, when present
+ *
+ * Two checks only warn (`warning: true`), since services are known to break them on purpose:
+ *   - `statusCode`, when present, equals the HTTP status (the OTP send answers 200 with statusCode 300)
+ *   - error.category is one of the known categories
+ *
+ * Envelope members a response leaves out (e.g. no `meta`) are not violations but drift: each
+ * worker records the shape per service in api-tests/reports/envelopes, and global teardown
+ * reports the services that deviate from the standard in api-tests/reports/envelope-drift.json.
+ */
+
+const ResponseMatchers = require('./ResponseMatchers');
+const ResponseValues = require('./ResponseValues');
+const RunRecorder = require('./RunRecorder');
+const { categories, members } = require('../config/envelope-rules');
+
+const shapes = new RunRecorder('envelopes', 'shapes');
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+class EnvelopeValidator {
+  /**
+   * Whether a response has a body to check (204 and empty bodies have none)
+   * @param {number} status - HTTP status
+   * @param {*} body - Response body
+   * @returns {boolean} True if the body should be an envelope
+   */
+  static hasEnvelope(status, body) {
+    return status !== 204 && body !== undefined && body !== null && body !== '';
+  }
+
+  /**
+   * Check a response against the envelope rules
+   * @param {number} status - HTTP status
+   * @param {*} body - Parsed response body
+   * @returns {Array<Object>} Violations [{ pointer, message }]
+   */
+  static validate(status, body) {
+    if (!EnvelopeValidator.hasEnvelope(status, body)) {
+      return [];
+    }
+    if (!isObject(body)) {
+      return [{ pointer: '/body', message: `response is not a JSON envelope (${typeof body})` }];
+    }
+
+    const violations = [];
+    const violate = (pointer, message) => violations.push({ pointer: `/body${pointer}`, message });
+    const warn = (pointer, message) => violations.push({ pointer: `/body${pointer}`, message, warning: true });
+    const isSuccess = status >= 200 && status < 300;
+
+    if (typeof body.success !== 'boolean') {
+      violate('/success', 'must be a boolean');
+    } else if (body.success !== isSuccess) {
+      violate('/success', `is ${body.success} on a ${status} response`);
+    }
+
+    if (body.statusCode !== undefined && body.statusCode !== status) {
+      warn('/statusCode', `is ${JSON.stringify(body.statusCode)} but the HTTP status is ${status}`);
+    }
+
+    if (!isSuccess) {
+      EnvelopeValidator.validateError(body.error, violate, warn);
+    }
+
+    if (isObject(body.meta)) {
+      if (body.meta.requestId !== undefined && (typeof body.meta.requestId !== 'string' || body.meta.requestId === '')) {
+        violate('/meta/requestId', 'must be a non-empty string');
+      }
+      if (body.meta.timestamp !== undefined && !ResponseMatchers.match(body.meta.timestamp, '@isoDate').pass) {
+        violate('/meta/timestamp', `must be an ISO date, got ${JSON.stringify(body.meta.timestamp)}`);
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Check the `error` object of an error envelope
+   * @param {*} error - body.error
+   * @param {Function} violate - (pointer, message) → void
+   * @param {Function} warn - (pointer, message) → void, for checks that only warn
+   */
+  static validateError(error, violate, warn) {
+    if (!isObject(error)) {
+      violate('/error', 'is required on error responses');
+      return;
+    }
+
+    if (typeof error.code !== 'string' || error.code === '') {
+      violate('/error/code', 'must be a non-empty string');
+    }
+    if (typeof error.category !== 'string' || error.category === '') {
+      violate('/error/category', 'must be a non-empty string');
+    } else if (!categories.includes(error.category)) {
+      warn('/error/category', `${JSON.stringify(error.category)} is not a known category (${categories.join(', ')})`);
+    }
+    if (typeof error.retryable !== 'boolean') {
+      violate('/error/retryable', 'must be a boolean');
+    }
+    if (error.message !== undefined && typeof error.message !== 'string') {
+      violate('/error/message', 'must be a string');
+    }
+
+    if (error.errors !== undefined) {
+      if (!Array.isArray(error.errors)) {
+        violate('/error/errors', 'must be an array');
+        return;
+      }
+      error.errors.forEach((item, index) => {
+        ['field', 'code'].filter(key => !isObject(item) || typeof item[key] !== 'string').forEach(key => {
+          violate(`/error/errors/${index}/${key}`, 'must be a string');
+        });
+      });
+    }
+  }
+
+  /**
+   * Standard envelope members a response leaves out
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body
+   * @returns {Object} { kind: 'success' | 'error', missing: [member] }
+   */
+  static shapeOf(status, body) {
+    const kind = status >= 200 && status < 300 ? 'success' : 'error';
+    return { kind, missing: members[kind].filter(member => ResponseValues.get(body, member) === undefined) };
+  }
+
+  /**
+   * Remove shapes from a previous run
+   */
+  static reset() {
+    shapes.reset();
+  }
+
+  /**
+   * Record the envelope shape of one response
+   * @param {string} service - Service name (contract name or first path segment)
+   * @param {string} endpoint - Endpoint key (e.g. 'POST /auth/authenticate')
+   * @param {number} status - HTTP status
+   * @param {*} body - Response body
+   */
+  static record(service, endpoint, status, body) {
+    if (!EnvelopeValidator.hasEnvelope(status, body) || !isObject(body)) {
+      return;
+    }
+    shapes.record({ service, endpoint, status, ...EnvelopeValidator.shapeOf(status, body) });
+  }
+
+  /**
+   * Read all recorded shapes
+   * @returns {Array<Object>} Shapes from every worker
+   */
+  static readShapes() {
+    return shapes.read();
+  }
+
+  /**
+   * Group the members each service leaves out, per response kind
+   * @param {Array<Object>} shapes - Recorded shapes
+   * @returns {Object} '<service> (<kind>)' → { responses, missing: { member: [endpoint] } }, drifting services only
+   */
+  static detectDrift(recorded = EnvelopeValidator.readShapes()) {
+    const drift = {};
+    recorded.forEach(shape => {
+      const key = `${shape.service} (${shape.kind})`;
+      const entry = drift[key] = drift[key] || { responses: 0, missing: {} };
+      entry.responses += 1;
+      shape.missing.forEach(member => {
+        const endpoints = entry.missing[member] = entry.missing[member] || [];
+        if (!endpoints.includes(shape.endpoint)) {
+          endpoints.push(shape.endpoint);
+        }
+      });
+    });
+
+    Object.keys(drift).forEach(key => {
+      if (Object.keys(drift[key].missing).length === 0) {
+        delete drift[key];
+      }
+    });
+    return drift;
+  }
+
+  /**
+   * Write and print the drift report (nothing when every service follows the standard)
+   * @returns {Object} Drift report
+   */
+  static writeSummary() {
+    const drift = EnvelopeValidator.detectDrift();
+    const table = Object.keys(drift).reduce((rows, key) => {
+      rows[key] = {
+        responses: drift[key].responses,
+        missing: Object.keys(drift[key].missing).join(', '),
+        endpoints: [...new Set(Object.values(drift[key].missing).flat())].join(', '),
+      };
+      return rows;
+    }, {});
+    return RunRecorder.writeSummary('envelope-drift.json', '🧾 ENVELOPE DRIFT (members missing from the standard envelope)', drift, table);
+  }
+
+}
+
+module.exports = EnvelopeValidator;
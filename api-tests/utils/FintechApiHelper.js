@@ -5,16 +5,85 @@
  */
 
 const axios = require('axios');
+const { test } = require('@playwright/test');
 const EnvironmentConfig = require('../config/EnvironmentConfig');
+const TemplateResolver = require('./TemplateResolver');
+const ResponseDiff = require('./ResponseDiff');
+const RequestTimer = require('./RequestTimer');
+const LatencyTracker = require('./LatencyTracker');
+const ContractValidator = require('./ContractValidator');
+const CassetteRecorder = require('./CassetteRecorder');
+const HarRecorder = require('./HarRecorder');
+const Redactor = require('./Redactor');
+const TokenManager = require('./TokenManager');
+const EnvelopeValidator = require('./EnvelopeValidator');
+const RetryPolicy = require('./RetryPolicy');
+const RateLimitHarness = require('./RateLimitHarness');
+const StartBarrier = require('./StartBarrier');
+const Money = require('./Money');
+const StatusPoller = require('./StatusPoller');
+
+// Fixture fields that may carry {{...}} placeholders
+const TEMPLATED_FIELDS = ['url', 'params', 'headers', 'requestBody', 'expectedBody', 'subsetExpectedBody'];
 
 class FintechApiHelper {
   constructor(environment = 'dev') {
     this.config = new EnvironmentConfig(environment);
     this.baseUrl = this.config.getApiBaseUrl();
     this.apiToken = this.config.getApiToken();
-    this.responses = [];
-    this.storedTestData = {}; // Store cross-test data like transaction IDs
-    this.accessToken = null; // Dynamic access token from authentication
+    this.har = new HarRecorder(); // Every exchange as a HAR entry, attached per test by attachHar()
+    this.http = this.har.install(RequestTimer.install(axios.create())); // Sets response.duration and response.timings
+    this.storedTestData = {}; // Values captured from responses, readable as {{stored.*}}
+    this.role = 'admin'; // Role whose token authenticates requests (see asRole())
+    this.explicitRole = false; // Set on asRole() views: a failed login then fails the request
+    this.tokens = new TokenManager({
+      environment,
+      baseUrl: this.baseUrl,
+      getCredentials: role => this.config.getAuthCredentials(role),
+      login: credentials => this.authenticateAndGetToken(credentials),
+    });
+    this.contracts = {}; // Service name → ContractValidator for OpenAPI response validation
+    this.cassette = 'default'; // Cassette name for API_CASSETTE_MODE=record
+    this.loadMode = false; // Set by LoadRunner: no retries and no run-wide latency/envelope records
+  }
+
+  /**
+   * Get a view of this helper that authenticates as another role
+   * The view shares stored data, contracts and recordings with this helper
+   * @param {string} role - Role name (e.g. 'admin', 'enduser')
+   * @returns {FintechApiHelper} Helper bound to the role
+   */
+  asRole(role) {
+    if (!this.config.getAvailableUserTypes().includes(role)) {
+      throw new Error(`Unknown role: ${role}. Available: ${this.config.getAvailableUserTypes().join(', ')}`);
+    }
+    return Object.create(this, { role: { value: role, enumerable: true }, explicitRole: { value: true, enumerable: true } });
+  }
+
+  /**
+   * Set the cassette that recorded interactions are saved to
+   * @param {string} name - Cassette name (e.g. service or scenario name)
+   */
+  useCassette(name) {
+    this.cassette = name;
+  }
+
+  /**
+   * Validate every response against a service's OpenAPI 3 document
+   * @param {string} serviceName - Service name (e.g. 'auth-service')
+   * @param {string} filePath - Document path (default: api-tests/contracts/<service>.openapi.json)
+   * @returns {boolean} True if a contract was loaded
+   */
+  useContract(serviceName, filePath = null) {
+    if (!this.contracts[serviceName]) {
+      const contract = filePath ? ContractValidator.fromFile(filePath, serviceName) : ContractValidator.forService(serviceName);
+      if (!contract) {
+        return false;
+      }
+      this.contracts[serviceName] = contract;
+      console.log(`📜 Contract loaded: ${serviceName}`);
+    }
+    return true;
   }
 
   /**
@@ -29,9 +98,9 @@ class FintechApiHelper {
     try {
       console.log(`\n🔐 Authenticating to get access token...`);
       console.log(`🚀 Auth Request: POST ${authEndpoint}`);
-      console.log(`📝 Phone: ${credentials.phone}`);
+      console.log(`📝 Phone: ${Redactor.redactField('phone', credentials.phone)}`);
 
-      const response = await axios({
+      const response = await this.http.request({
         method: 'POST',
         url: authUrl,
         data: {
@@ -49,11 +118,15 @@ class FintechApiHelper {
       });
 
       console.log(`📊 Auth Response Status: ${response.status}`);
+      if (CassetteRecorder.isRecording()) {
+        // Only the phone is recorded (hashed), so replay issues each role its own token
+        CassetteRecorder.record(this.cassette, { response, requestBody: { phone: credentials.phone } });
+      }
 
       if (response.status === 200 && response.data && response.data.access_token) {
-        this.accessToken = response.data.access_token;
-        console.log(`✅ Access Token Generated: ${this.accessToken.substring(0, 30)}...`);
-        return this.accessToken;
+        const accessToken = response.data.access_token;
+        console.log(`✅ Access Token Generated: ${Redactor.redactField('token', accessToken)}`);
+        return accessToken;
       } else {
         throw new Error(`Authentication failed. Status: ${response.status}. Response: ${JSON.stringify(response.data)}`);
       }
@@ -64,111 +137,350 @@ class FintechApiHelper {
   }
 
   /**
-   * Get current access token (generates if not already generated)
+   * Get the access token of a role (logs in on first use and when it is about to expire)
+   * @param {string} role - Role name (default: the helper's role)
    * @returns {Promise<string>} Access token
    */
-  async getAccessToken() {
-    if (!this.accessToken) {
-      return await this.authenticateAndGetToken();
-    }
-    return this.accessToken;
+  async getAccessToken(role = this.role) {
+    return this.tokens.getToken(role);
   }
 
   /**
    * Generic API request method that handles everything from JSON test data
    * @param {Object} testData - Complete test data from JSON file
-   * @param {string} token - Authentication token (optional, uses access token if not provided)
+   * @param {string} token - Authentication token (optional, uses the role's access token if not provided)
    * @returns {Promise<Object>} Response body
    */
   async makeApiRequest(testData, token = null) {
-    // Use provided token, or access token, or fall back to configured token
+    const response = await this.sendApiRequest(testData, token);
+    return response.data;
+  }
+
+  /**
+   * Same as makeApiRequest, but resolves with the whole response (status, headers, timings)
+   * @param {Object} testData - Complete test data from JSON file
+   * @param {string} token - Authentication token (optional)
+   * @param {Object} options - { barrier }: a StartBarrier to wait at once the request is ready to send
+   * @returns {Promise<Object>} Axios response
+   */
+  async sendApiRequest(testData, token = null, options = {}) {
+    // Use provided token, or the access token of the fixture's role (or the helper's role);
+    // "auth": false sends no Authorization header. Only the default role falls back to the
+    // configured token when its login fails; a role that was asked for fails the request
     let authToken = token;
-    if (!authToken) {
-      if (this.accessToken) {
-        authToken = this.accessToken;
-      } else {
-        // Try to get access token, otherwise use configured token
-        try {
-          authToken = await this.getAccessToken();
-        } catch (error) {
-          console.warn(`⚠️ Could not get access token, using configured token`);
-          authToken = this.apiToken;
+    const role = testData.role || this.role;
+    let roleToken = false; // Whether authToken came from the role's login, so a 401 can renew it
+    if (!authToken && testData.auth !== false) {
+      if (!this.config.getAvailableUserTypes().includes(role)) {
+        throw new Error(`Unknown role '${role}' in ${testData.testName || 'fixture'}. Available: ${this.config.getAvailableUserTypes().join(', ')}`);
+      }
+      try {
+        authToken = await this.getAccessToken(role);
+        roleToken = true;
+      } catch (error) {
+        if (testData.role || this.explicitRole) {
+          error.message = `Could not log in as ${role}: ${error.message}`;
+          throw error;
         }
+        console.warn(`⚠️ Could not get access token for ${role}, using configured token`);
+        authToken = this.apiToken;
       }
     }
 
-    const url = `${this.baseUrl}${testData.url}`;
+    const request = await this.resolveTestData(testData);
+    const url = `${this.baseUrl}${request.url}`;
+    const method = (request.method || 'GET').toUpperCase();
+    let headers = this.getHeaders(authToken, request.headers);
 
-    try {
-      // Log environment and request details
-      console.log(`\n🌍 Environment: ${this.config.environment.toUpperCase()}`);
-      console.log(`🚀 API Request: ${testData.method} ${testData.url}`);
+    // One report step per call, with the exchange attached to it
+    return this.step(`${method} ${url}`, async () => {
+      try {
+        // Log environment and request details
+        console.log(`\n🌍 Environment: ${this.config.environment.toUpperCase()}`);
+        console.log(`🚀 API Request: ${request.method} ${request.url}`);
 
-      if (testData.params && Object.keys(testData.params).length > 0) {
-        console.log(`📝 Query Params: ${JSON.stringify(testData.params)}`);
-      }
-      if (testData.requestBody) {
-        console.log(`📦 Request Body: ${JSON.stringify(testData.requestBody)}`);
-      }
-      if (authToken) {
-        console.log(`🔑 Auth Token: ${authToken.substring(0, 25)}...`);
-      }
+        if (request.params && Object.keys(request.params).length > 0) {
+          console.log(`📝 Query Params: ${JSON.stringify(request.params)}`);
+        }
+        if (request.requestBody) {
+          console.log(`📦 Request Body: ${JSON.stringify(request.requestBody)}`);
+        }
+        if (authToken) {
+          console.log(`🔑 Auth Token: ${Redactor.redactField('token', authToken)}`);
+        }
 
-      const response = await axios({
-        method: testData.method || 'GET',
-        url,
-        data: testData.requestBody,
-        params: testData.params,
-        headers: this.getHeaders(authToken, testData.headers),
-        timeout: this.config.getTimeout('api'),
-        validateStatus: () => true, // Don't throw on any status code
-      });
+        if (options.barrier) {
+          await options.barrier.arrive();
+        }
+
+        const requestConfig = {
+          method: request.method || 'GET',
+          url,
+          data: request.requestBody,
+          params: request.params,
+          headers,
+          timeout: this.config.getTimeout('api'),
+          validateStatus: () => true, // Don't throw on any status code
+        };
+        let response = await this.requestWithRetry(requestConfig, request);
+
+        // A 401 on a cached role token (e.g. revoked server-side): log in again and resend once
+        if (response.status === 401 && roleToken && !this.loadMode &&
+          !(request.expectedStatus && FintechApiHelper.matchesStatus(401, request.expectedStatus))) {
+          console.warn(`🔄 ${role} token was rejected (401); logging in again and resending once`);
+          this.tokens.invalidate(role, authToken);
+          authToken = await this.getAccessToken(role);
+          headers = this.getHeaders(authToken, request.headers);
+          response = await this.requestWithRetry({ ...requestConfig, headers }, request);
+        }
+
+        // Log response details
+        console.log(`\n📊 ACTUAL RESPONSE STATUS: ${response.status}`);
+        const phases = ['dns', 'connect', 'tls', 'ttfb']
+          .filter(phase => response.timings[phase] !== null)
+          .map(phase => `${phase}: ${response.timings[phase]}ms`);
+        console.log(`⏱️  Response Time: ${response.duration}ms (${phases.join(', ')})`);
+        const endpoint = `${(testData.method || 'GET').toUpperCase()} ${testData.url}`;
+        if (!this.loadMode) {
+          LatencyTracker.record(endpoint, response.timings, response.status);
+          if (this.getEnvelopeMode() !== 'off') {
+            EnvelopeValidator.record(this.getServiceName(method, url, testData.url), endpoint, response.status, response.data);
+          }
+        }
+        if (CassetteRecorder.isRecording()) {
+          CassetteRecorder.record(this.cassette, {
+            response,
+            params: request.params,
+            requestBody: request.requestBody,
+            templateBody: testData.requestBody,
+          });
+        }
+
+        // Log actual response body
+        console.log(`\n📥 ACTUAL RESPONSE BODY:`);
+        console.log(JSON.stringify(response.data, null, 2));
+        await this.attachExchange(request, url, headers, response);
+
+        // Log expected response status
+        if (request.expectedStatus) {
+          console.log(`\n✅ EXPECTED RESPONSE STATUS: ${request.expectedStatus}`);
+          const statusMatch = FintechApiHelper.matchesStatus(response.status, request.expectedStatus);
+          console.log(`   Status Match: ${statusMatch ? '✅ PASS' : '❌ FAIL'}`);
+        }
+
+        // Log expected response body
+        if (request.expectedBody) {
+          console.log(`\n✅ EXPECTED RESPONSE BODY:`);
+          console.log(JSON.stringify(request.expectedBody, null, 2));
+        }
 
-      // Log response details
-      console.log(`\n📊 ACTUAL RESPONSE STATUS: ${response.status}`);
-      console.log(`⏱️  Response Time: ${response.duration}ms`);
+        // Validate response using test data
+        this.validateApiResponse(response, request);
 
-      // Log actual response body
-      console.log(`\n📥 ACTUAL RESPONSE BODY:`);
-      console.log(JSON.stringify(response.data, null, 2));
+        // Store important values for future tests
+        this.storeTestData(response.data, request);
 
-      // Log expected response status
-      if (testData.expectedStatus) {
-        console.log(`\n✅ EXPECTED RESPONSE STATUS: ${testData.expectedStatus}`);
-        const statusMatch = response.status === testData.expectedStatus;
-        console.log(`   Status Match: ${statusMatch ? '✅ PASS' : '❌ FAIL'}`);
+        // Perform additional fintech-specific validations
+        this.performAdditionalValidations(response, request);
+
+        return response;
+      } catch (error) {
+        // Error messages end up in the report, and may quote request or response values
+        const message = Redactor.redactText(error.message);
+        if (message !== error.message) {
+          error.stack = error.stack && error.stack.replace(error.message, message);
+          error.message = message;
+        }
+        console.error(`❌ API Request failed: ${error.message}`);
+        if (error.diff) {
+          await this.attachToReport('response-diff', error.diff);
+        }
+        if (error.contractViolations) {
+          await this.attachToReport('contract-violations', error.contractViolations);
+        }
+        if (error.envelopeViolations) {
+          await this.attachToReport('envelope-violations', error.envelopeViolations);
+        }
+        throw error;
       }
+    });
+  }
+
+  /**
+   * Send several requests at the same moment and collect every outcome
+   * Each request is resolved and authenticated first; a StartBarrier then releases them together.
+   * A request that fails its fixture expectations, or the network, yields an outcome with an error
+   * instead of rejecting the whole set
+   * @param {Array<Object>} requests - Test data per request
+   * @returns {Promise<Array<Object>>} [{ number, testName, status, data, durationMs, error }] in request order
+   */
+  async runConcurrently(requests) {
+    // Log in before the barrier, so the first request does not start late
+    const roles = [...new Set(requests.filter(request => request.auth !== false).map(request => request.role || this.role))];
+    await Promise.all(roles.map(role => this.getAccessToken(role).catch(() => null)));
+
+    const barrier = new StartBarrier(requests.length);
+    return Promise.all(requests.map((request, index) => this.sendApiRequest(request, null, { barrier })
+      .then(
+        response => ({
+          number: index + 1,
+          testName: request.testName,
+          status: response.status,
+          data: response.data,
+          durationMs: response.duration,
+          error: null,
+        }),
+        error => {
+          barrier.leave(); // No-op once the barrier is open
+          return { number: index + 1, testName: request.testName, status: null, data: null, durationMs: null, error };
+        }
+      )));
+  }
 
-      // Log expected response body
-      if (testData.expectedBody) {
-        console.log(`\n✅ EXPECTED RESPONSE BODY:`);
-        console.log(JSON.stringify(testData.expectedBody, null, 2));
+  /**
+   * Send a request, retrying transient failures according to the retry policy
+   * (api-tests/config/retry-policy.js, overridden per fixture with "retryPolicy")
+   * Every retry is logged, annotated on the test and attached to the report
+   * @param {Object} config - Axios request config
+   * @param {Object} request - Resolved test data
+   * @returns {Promise<Object>} Axios response of the last attempt
+   */
+  async requestWithRetry(config, request) {
+    // Under load a retried failure would pass as a slow success and hide the real error rate
+    const policy = new RetryPolicy(this.loadMode ? false : request.retryPolicy);
+    for (let attempt = 1; ; attempt++) {
+      let response = null;
+      let failure = null;
+      try {
+        response = await this.http.request(config);
+      } catch (error) {
+        failure = error;
       }
 
-      // Validate response using test data
-      this.validateApiResponse(response, testData);
+      const decision = policy.evaluate({
+        method: config.method,
+        headers: config.headers,
+        response,
+        error: failure,
+        attempt,
+        expected: Boolean(response && request.expectedStatus && FintechApiHelper.matchesStatus(response.status, request.expectedStatus)),
+      });
+      if (!decision.retry) {
+        if (decision.reason) {
+          console.warn(`⚠️ Not retrying: ${decision.reason}`);
+        }
+        if (failure) {
+          throw failure;
+        }
+        return response;
+      }
 
-      // Store important values for future tests
-      this.storeTestData(response.data, testData);
+      const message = `${config.method.toUpperCase()} ${request.url}: attempt ${attempt} failed (${decision.reason}), retrying in ${decision.delayMs}ms`;
+      console.warn(`🔁 ${message}`);
+      try {
+        test.info().annotations.push({ type: 'retry', description: message });
+      } catch (error) {
+        // Not inside a running test
+      }
+      await this.attachToReport(`retry-${attempt}`, {
+        attempt,
+        reason: decision.reason,
+        delayMs: decision.delayMs,
+        status: response ? response.status : null,
+        error: failure ? failure.message : null,
+        body: response ? response.data : null,
+      });
+      await new Promise(resolve => setTimeout(resolve, decision.delayMs));
+    }
+  }
 
-      // Perform additional fintech-specific validations
-      this.performAdditionalValidations(response, testData);
+  /**
+   * Run a callback as a Playwright test.step when called inside a running test
+   * @param {string} title - Step title
+   * @param {Function} body - Async callback
+   * @returns {Promise<*>} Callback result
+   */
+  async step(title, body) {
+    try {
+      test.info();
+    } catch (error) {
+      return body(); // Not inside a running test (e.g. a standalone script)
+    }
+    return test.step(title, body);
+  }
 
-      // Store response for debugging
-      this.responses.push({
-        url,
-        method: testData.method,
-        status: response.status,
-        data: response.data,
-        duration: response.duration,
-        timestamp: new Date(),
+  /**
+   * Attach the request, response and expectations of one call to the Playwright report
+   * @param {Object} request - Resolved test data
+   * @param {string} url - Full request URL
+   * @param {Object} headers - Request headers as sent
+   * @param {Object} response - Axios response
+   */
+  async attachExchange(request, url, headers, response) {
+    await this.attachToReport('request', {
+      method: (request.method || 'GET').toUpperCase(),
+      url,
+      params: request.params,
+      headers,
+      body: request.requestBody,
+    });
+    await this.attachToReport('response', {
+      status: response.status,
+      duration: response.duration,
+      timings: response.timings,
+      headers: typeof response.headers.toJSON === 'function' ? response.headers.toJSON() : response.headers,
+      body: response.data,
+    });
+    if (request.expectedStatus || request.expectedBody || request.subsetExpectedBody) {
+      await this.attachToReport('expected', {
+        status: request.expectedStatus,
+        body: request.expectedBody,
+        subsetBody: request.subsetExpectedBody,
       });
+    }
+  }
+
+  /**
+   * Resolve {{...}} placeholders in the templated fields of a fixture
+   * Resolved values are echoed to the console and attached to the Playwright report
+   * @param {Object} testData - Test data from JSON file
+   * @returns {Promise<Object>} Copy of the test data with placeholders resolved
+   */
+  async resolveTestData(testData) {
+    const resolver = new TemplateResolver({ stored: this.storedTestData });
+    const request = { ...testData };
+    TEMPLATED_FIELDS.forEach(field => {
+      if (testData[field] !== undefined) {
+        request[field] = resolver.resolve(testData[field]);
+      }
+    });
+
+    const resolvedValues = resolver.getResolvedValues();
+    if (Object.keys(resolvedValues).length > 0) {
+      console.log(`🧩 Resolved Placeholders: ${JSON.stringify(resolvedValues)}`);
+      await this.attachToReport('resolved-placeholders', resolvedValues);
+    }
+
+    return request;
+  }
 
-      return response.data;
+  /**
+   * Attach JSON data to the current Playwright test report (no-op outside a running test)
+   * @param {string} name - Attachment name
+   * @param {*} data - JSON-serialisable data
+   */
+  async attachToReport(name, data) {
+    let testInfo;
+    try {
+      testInfo = test.info();
     } catch (error) {
-      console.error(`❌ API Request failed: ${error.message}`);
-      throw error;
+      return; // Not inside a running test (e.g. beforeAll or a standalone script)
     }
+
+    await testInfo.attach(name, {
+      body: JSON.stringify(Redactor.redact(data), null, 2),
+      contentType: 'application/json',
+    });
   }
 
   /**
@@ -193,24 +505,87 @@ class FintechApiHelper {
   }
 
   /**
-   * Stores important test data for cross-test validation
+   * Stores response values declared in the fixture's `capture` block
+   * Each entry maps a name to a response path, either as a string or as
+   * { path, type, optional }; stored values are readable by later requests as {{stored.<name>}}
    * @param {Object} responseBody - Response body
    * @param {Object} testConfig - Test configuration
    */
   storeTestData(responseBody, testConfig) {
-    if (responseBody && responseBody.transactionId) {
-      this.storedTestData.transactionId = responseBody.transactionId;
-      console.log(`💳 Transaction ID stored: ${responseBody.transactionId}`);
+    if (!testConfig.capture) {
+      return;
     }
 
-    if (responseBody && responseBody.availableBalance) {
-      this.storedTestData.accountBalance = parseFloat(responseBody.availableBalance);
-      console.log(`💲 Account Balance stored: ${responseBody.availableBalance}`);
-    }
+    Object.keys(testConfig.capture).forEach(name => {
+      const captureSpec = testConfig.capture[name];
+      const { path, type, optional = false } = typeof captureSpec === 'string' ? { path: captureSpec } : captureSpec;
+      const value = this.getNestedProperty(responseBody, path);
+
+      if (value === undefined || value === null) {
+        if (optional) {
+          console.warn(`⚠️ Optional capture '${name}' skipped: path '${path}' not found in response`);
+          return;
+        }
+        throw new Error(
+          `Capture '${name}' failed: path '${path}' not found in response\nResponse: ${JSON.stringify(responseBody)}`
+        );
+      }
 
-    if (responseBody && responseBody.accountId) {
-      this.storedTestData.accountId = responseBody.accountId;
-      console.log(`🏦 Account ID stored: ${responseBody.accountId}`);
+      this.storedTestData[name] = this.coerceCapturedValue(value, type, name);
+      console.log(`📌 Captured ${name} = ${JSON.stringify(this.storedTestData[name])} (from ${path})`);
+    });
+  }
+
+  /**
+   * Coerces a captured value to the declared type
+   * @param {*} value - Raw value from the response
+   * @param {string} type - Target type: string, number, integer, amount, boolean or json (default: keep as-is)
+   * @param {string} name - Capture name (for error messages)
+   * @returns {*} Coerced value
+   */
+  coerceCapturedValue(value, type, name) {
+    switch (type) {
+      case undefined:
+      case 'json':
+        return value;
+
+      case 'string':
+        if (typeof value === 'object') {
+          throw new Error(`Capture '${name}' expected a string but got ${JSON.stringify(value)}`);
+        }
+        return String(value);
+
+      case 'number':
+      case 'integer': {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || isNaN(number)) {
+          throw new Error(`Capture '${name}' expected a ${type} but got ${JSON.stringify(value)}`);
+        }
+        if (type === 'integer' && !Number.isInteger(number)) {
+          throw new Error(`Capture '${name}' expected an integer but got ${JSON.stringify(value)}`);
+        }
+        return number;
+      }
+
+      case 'amount':
+        // Kept as an exact rupee string ('80024148.00'); a number could lose paise
+        try {
+          return Money.toDecimal(Money.parse(value));
+        } catch (error) {
+          throw new Error(`Capture '${name}' expected an amount: ${error.message}`);
+        }
+
+      case 'boolean':
+        if (value === true || value === 'true') {
+          return true;
+        }
+        if (value === false || value === 'false') {
+          return false;
+        }
+        throw new Error(`Capture '${name}' expected a boolean but got ${JSON.stringify(value)}`);
+
+      default:
+        throw new Error(`Capture '${name}' has unknown type '${type}'`);
     }
   }
 
@@ -234,9 +609,11 @@ class FintechApiHelper {
       this.validatePCICompliance(response, response.data);
     }
 
-    // Validate payment status transitions
-    if (response.data && response.data.status && testName.includes('payment')) {
-      this.validatePaymentStatusTransition(response.data.status);
+    // Validate the status against the state machine, from the previous status in stored data
+    if (testConfig.statusTransition) {
+      const { product = 'payout', from } = testConfig.statusTransition;
+      const status = this.getNestedProperty(response.data, StatusPoller.getMachine(product).statusPath);
+      this.validatePaymentStatusTransition(status, from ? this.storedTestData[from] : undefined, product);
     }
 
     // Validate account balance consistency
@@ -279,11 +656,34 @@ class FintechApiHelper {
         this.validateDataTypes(responseBody, { [validation.field]: validation.expectedType });
         break;
 
+      case 'containsItem':
+        // Some array item matches expectedValue as a subset (matchers allowed)
+        if (!Array.isArray(fieldValue)) {
+          throw new Error(`${validation.field} is not an array`);
+        }
+        if (!fieldValue.some(item => ResponseDiff.compare(item, validation.expectedValue, { subset: true }).length === 0)) {
+          throw new Error(`No item of ${validation.field} matches ${JSON.stringify(validation.expectedValue)}: ${JSON.stringify(fieldValue)}`);
+        }
+        break;
+
       default:
         console.log(`Unknown validation type: ${validation.type}`);
     }
   }
 
+  /**
+   * Whether a status code matches the expected status
+   * @param {number} status - Actual status code
+   * @param {number|string} expectedStatus - Status code, or a class such as '4xx'
+   * @returns {boolean} True if it matches
+   */
+  static matchesStatus(status, expectedStatus) {
+    if (typeof expectedStatus === 'string' && /^[1-5]xx$/i.test(expectedStatus)) {
+      return String(status)[0] === expectedStatus[0];
+    }
+    return status === Number(expectedStatus);
+  }
+
   /**
    * Validates API response against expected criteria with fintech-specific checks
    * @param {Object} response - Axios response object
@@ -292,21 +692,21 @@ class FintechApiHelper {
   validateApiResponse(response, expectedData) {
     // Validate status code
     if (expectedData.expectedStatus) {
-      if (response.status !== expectedData.expectedStatus) {
+      if (!FintechApiHelper.matchesStatus(response.status, expectedData.expectedStatus)) {
         throw new Error(
           `Status mismatch. Expected: ${expectedData.expectedStatus}, Got: ${response.status}\nResponse: ${JSON.stringify(response.data)}`
         );
       }
     }
 
+    // Validate the standard success/error envelope
+    this.validateEnvelope(response, expectedData);
+
+    // Validate against the OpenAPI contract
+    this.validateContract(response, expectedData);
+
     // Validate response time (fintech critical)
-    if (expectedData.expectedResponseTime) {
-      if (response.duration > expectedData.expectedResponseTime) {
-        console.warn(
-          `⏱️ Response time exceeded. Expected: ${expectedData.expectedResponseTime}ms, Got: ${response.duration}ms`
-        );
-      }
-    }
+    this.validateResponseTime(response, expectedData);
 
     // Validate security headers
     this.validateSecurityHeaders(response);
@@ -314,7 +714,9 @@ class FintechApiHelper {
     // Validate response body - full match
     if (expectedData.expectedBody) {
       console.log('🔍 Performing full body validation (exact match)');
-      this.validateResponseBody(response.data, expectedData.expectedBody, false, expectedData.nonEmptyFields || []);
+      this.validateResponseBody(
+        response.data, expectedData.expectedBody, false, expectedData.nonEmptyFields || [], expectedData.strictExtraKeys
+      );
     }
 
     // Validate response body - subset match
@@ -346,99 +748,202 @@ class FintechApiHelper {
   }
 
   /**
-   * Validates response body against expected body structure with enhanced validation
+   * Envelope check mode: API_ENVELOPE_MODE when set, else 'hard' for requests whose contract
+   * declares the envelope ("x-yobo-envelope": true) and 'soft' for the rest
+   * @param {string} method - HTTP method (omit to read only API_ENVELOPE_MODE)
+   * @param {string} url - Full request URL
+   * @returns {string} 'hard', 'soft' or 'off'
+   */
+  getEnvelopeMode(method, url) {
+    if (process.env.API_ENVELOPE_MODE) {
+      return process.env.API_ENVELOPE_MODE.trim().toLowerCase();
+    }
+    const declared = method && Object.values(this.contracts).some(contract => contract.declaresEnvelope(method, url));
+    return declared ? 'hard' : 'soft';
+  }
+
+  /**
+   * Service a request belongs to, for envelope drift: the matching contract, else the first path segment
+   * @param {string} method - HTTP method
+   * @param {string} url - Full request URL
+   * @param {string} fixtureUrl - Fixture url (e.g. '/auth/authenticate')
+   * @returns {string} Service name
+   */
+  getServiceName(method, url, fixtureUrl) {
+    const contract = Object.values(this.contracts).find(candidate => candidate.findOperation(method, url));
+    return contract ? contract.name : (String(fixtureUrl).split('/').filter(Boolean)[0] || 'unknown');
+  }
+
+  /**
+   * Validates the body against the standard Yobo success/error envelope (see EnvelopeValidator)
+   * Fails the test in 'hard' mode or warns and annotates in 'soft' mode (see getEnvelopeMode);
+   * violations marked as warnings never fail. A fixture can opt out with "envelope": false
+   * @param {Object} response - Axios response object
+   * @param {Object} expectedData - Expected response data
+   */
+  validateEnvelope(response, expectedData) {
+    const mode = this.getEnvelopeMode(response.config.method, response.config.url);
+    if (expectedData.envelope === false || mode === 'off') {
+      return;
+    }
+
+    const violations = EnvelopeValidator.validate(response.status, response.data);
+    if (violations.length === 0) {
+      return;
+    }
+
+    const message = `Envelope violation (${response.status}):\n` +
+      violations.map(violation => `  ${violation.warning ? '⚠' : '✗'} ${violation.pointer}: ${violation.message}`).join('\n');
+
+    if (mode === 'hard' && violations.some(violation => !violation.warning)) {
+      const error = new Error(message);
+      error.envelopeViolations = violations;
+      throw error;
+    }
+
+    console.warn(`⚠️ ${message}`);
+    try {
+      test.info().annotations.push({ type: 'envelope', description: message });
+    } catch (error) {
+      // Not inside a running test
+    }
+  }
+
+  /**
+   * Contract check mode: API_CONTRACT_MODE when set, else 'soft' for provisional contracts
+   * ("x-provisional": true) and 'hard' for the rest
+   * @param {ContractValidator} contract - Contract that matched the request
+   * @returns {string} 'hard' or 'soft'
+   */
+  getContractMode(contract) {
+    if (process.env.API_CONTRACT_MODE) {
+      return process.env.API_CONTRACT_MODE.trim().toLowerCase();
+    }
+    return contract.provisional ? 'soft' : 'hard';
+  }
+
+  /**
+   * Validates status code, declared headers and body against the loaded OpenAPI contracts
+   * Fails the test in 'hard' mode or warns and annotates in 'soft' mode (see getContractMode);
+   * a fixture can opt out with "contract": false
+   * @param {Object} response - Axios response object
+   * @param {Object} expectedData - Expected response data
+   */
+  validateContract(response, expectedData) {
+    const contracts = Object.values(this.contracts);
+    if (expectedData.contract === false || contracts.length === 0) {
+      return;
+    }
+
+    const exchange = {
+      method: response.config.method,
+      url: response.config.url,
+      status: response.status,
+      headers: response.headers,
+      body: response.data,
+    };
+
+    let contract;
+    let result = null;
+    for (contract of contracts) {
+      result = contract.validate(exchange);
+      if (result) break;
+    }
+
+    if (!result) {
+      console.warn(`⚠️ No contract operation matches ${exchange.method.toUpperCase()} ${exchange.url}`);
+      return;
+    }
+    if (result.violations.length === 0) {
+      console.log(`📜 Contract validated: ${contract.name} ${result.operation} → ${response.status}`);
+      return;
+    }
+
+    const message = `Contract violation (${contract.name} ${result.operation} → ${response.status}):\n` +
+      result.violations.map(violation => `  ✗ ${violation.pointer}: ${violation.message}`).join('\n');
+
+    if (this.getContractMode(contract) === 'hard') {
+      const error = new Error(message);
+      error.contractViolations = result.violations;
+      throw error;
+    }
+
+    console.warn(`⚠️ ${message}`);
+    try {
+      test.info().annotations.push({ type: 'contract', description: message });
+    } catch (error) {
+      // Not inside a running test
+    }
+  }
+
+  /**
+   * Validates response timing against the fixture's latency budget
+   * `expectedResponseTime` is the total budget; `latencyBudget` may also set `total`, `ttfb` and `mode`.
+   * In 'soft' mode (default, or API_LATENCY_BUDGET_MODE) breaches warn and annotate the test;
+   * in 'hard' mode they fail it.
+   * @param {Object} response - Axios response object with timings
+   * @param {Object} expectedData - Expected response data
+   */
+  validateResponseTime(response, expectedData) {
+    const budget = {
+      total: expectedData.expectedResponseTime,
+      mode: process.env.API_LATENCY_BUDGET_MODE || 'soft',
+      ...expectedData.latencyBudget,
+    };
+
+    const breaches = ['total', 'ttfb']
+      .filter(phase => budget[phase] && response.timings[phase] !== null && response.timings[phase] > budget[phase])
+      .map(phase => `${phase} ${response.timings[phase]}ms > ${budget[phase]}ms`);
+
+    if (breaches.length === 0) {
+      return;
+    }
+
+    const message = `Response time budget exceeded: ${breaches.join(', ')}`;
+    if (budget.mode === 'hard') {
+      throw new Error(message);
+    }
+
+    console.warn(`⏱️ ${message}`);
+    try {
+      test.info().annotations.push({ type: 'latency-budget', description: message });
+    } catch (error) {
+      // Not inside a running test
+    }
+  }
+
+  /**
+   * Validates response body against expected body structure
+   * Every difference is collected with its JSON path before failing, so one run shows all of them
    * @param {Object} actualBody - Actual response body
-   * @param {Object} expectedBody - Expected response body structure
+   * @param {Object} expectedBody - Expected response body structure; string values starting with '@' are matchers (see ResponseMatchers)
    * @param {boolean} isSubset - If true, validates only subset; if false, validates entire structure
    * @param {Array} nonEmptyFields - Array of field paths that should only be checked for non-emptiness, not exact values
-   * @param {string} currentPath - Current path in the object (for nested validation)
+   * @param {boolean} strictExtraKeys - If true, extra keys in a full match fail instead of warn
+   * @throws {Error} With a readable diff in the message and the structured differences in `error.diff`
    */
-  validateResponseBody(actualBody, expectedBody, isSubset = false, nonEmptyFields = [], currentPath = '') {
+  validateResponseBody(actualBody, expectedBody, isSubset = false, nonEmptyFields = [], strictExtraKeys = false) {
     if (!expectedBody || typeof expectedBody !== 'object') {
       return;
     }
 
-    // If not subset validation, ensure actual body doesn't have extra properties
-    if (!isSubset) {
-      const actualKeys = Object.keys(actualBody || {});
-      const expectedKeys = Object.keys(expectedBody);
+    const differences = ResponseDiff.compare(actualBody, expectedBody, { subset: isSubset, nonEmptyFields });
+    const { failures, warnings } = ResponseDiff.classify(differences, strictExtraKeys);
 
-      // Check for extra properties in actual body
-      const extraKeys = actualKeys.filter(key => !expectedKeys.includes(key));
-      if (extraKeys.length > 0) {
-        console.warn(`⚠️ Extra properties found in response: ${extraKeys.join(', ')}`);
-      }
+    if (warnings.length > 0) {
+      console.warn(`⚠️ Extra properties found in response:\n${ResponseDiff.format(warnings)}`);
     }
 
-    // Validate expected properties
-    Object.keys(expectedBody).forEach(key => {
-      if (!actualBody.hasOwnProperty(key)) {
-        throw new Error(`Missing property: ${key}`);
-      }
-
-      const actualValue = actualBody[key];
-      const expectedValue = expectedBody[key];
-
-      // Build the full path for this field
-      const fieldPath = currentPath ? `${currentPath}.${key}` : key;
-
-      // Check if this field is in nonEmptyFields (should skip exact value matching)
-      const isNonEmptyField = nonEmptyFields.includes(fieldPath);
-
-      if (Array.isArray(expectedValue)) {
-        // Handle array validation
-        if (!Array.isArray(actualValue)) {
-          throw new Error(`${key} should be an array`);
-        }
-
-        if (expectedValue.length > 0) {
-          // Validate array structure with first element as template
-          const templateItem = expectedValue[0];
-          if (typeof templateItem === 'object' && templateItem !== null) {
-            actualValue.forEach((item, index) => {
-              console.log(`Validating array item ${index} for ${key}`);
-              this.validateResponseBody(item, templateItem, isSubset, nonEmptyFields, `${fieldPath}[${index}]`);
-            });
-          } else {
-            // For primitive array values, validate type
-            actualValue.forEach((item, index) => {
-              if (typeof item !== typeof templateItem) {
-                throw new Error(`Array item ${index} type mismatch in ${key}`);
-              }
-            });
-          }
-        }
-      } else if (expectedValue !== null && typeof expectedValue === 'object') {
-        // Handle nested object validation
-        if (typeof actualValue !== 'object' || actualValue === null) {
-          throw new Error(`${key} should be an object`);
-        }
-        console.log(`🔍 Validating nested object: ${key}`);
-        this.validateResponseBody(actualValue, expectedValue, isSubset, nonEmptyFields, fieldPath);
-      } else {
-        // Handle primitive value validation
-        if (isNonEmptyField) {
-          // Skip exact value matching for fields in nonEmptyFields
-          // They will be validated by validateNonEmptyFields later
-          console.log(`⏭️  Skipping exact value match for '${fieldPath}' (will validate non-empty later)`);
-        } else {
-          // Perform exact value matching for fields NOT in nonEmptyFields
-          if (expectedValue !== null && expectedValue !== undefined) {
-            // For exact value matching
-            if (actualValue !== expectedValue) {
-              throw new Error(`Value mismatch for ${key}. Expected: ${expectedValue}, Got: ${actualValue}`);
-            }
-          } else {
-            // For null/undefined validation
-            if (actualValue !== expectedValue) {
-              throw new Error(`Null/undefined mismatch for ${key}`);
-            }
-          }
-        }
-      }
-    });
+    if (failures.length > 0) {
+      const error = new Error(
+        `Response body does not match ${isSubset ? 'subsetExpectedBody' : 'expectedBody'} ` +
+        `(${failures.length} difference${failures.length === 1 ? '' : 's'}):\n${ResponseDiff.format(failures)}`
+      );
+      error.diff = differences;
+      throw error;
+    }
 
-    console.log(`✅ Body validation completed for ${Object.keys(expectedBody).length} properties`);
+    console.log(`✅ Body validation completed with no differences`);
   }
 
   /**
@@ -494,43 +999,39 @@ class FintechApiHelper {
   /**
    * Gets nested property value from object using dot notation
    * @param {Object} obj - Object to search in
-   * @param {string} path - Dot notation path (e.g., 'user.profile.name')
+   * @param {string} path - Dot notation path (e.g., 'user.profile.name' or 'items[0].id')
    * @returns {*} Property value
    */
   getNestedProperty(obj, path) {
-    return path.split('.').reduce((current, key) => {
+    return path.replace(/\[(\d+)\]/g, '.$1').split('.').reduce((current, key) => {
       return current && current[key] !== undefined ? current[key] : undefined;
     }, obj);
   }
 
   /**
    * Validates monetary amounts for precision and format
+   * Amounts must parse exactly into paise: at most 2 decimal places, within ±₹1,00,00,00,000
    * @param {Object} responseBody - Response body to validate
    * @param {Array} amountFields - Array of field paths containing monetary amounts
    */
   validateMonetaryAmounts(responseBody, amountFields) {
+    const bound = Money.parse(1000000000);
+
     amountFields.forEach(fieldPath => {
       const amount = this.getNestedProperty(responseBody, fieldPath);
 
       if (amount !== null && amount !== undefined) {
-        // Validate amount is a number or string representing a number
-        const numericAmount = typeof amount === 'string' ? parseFloat(amount) : amount;
-        if (typeof numericAmount !== 'number' || isNaN(numericAmount)) {
-          throw new Error(`Invalid amount format in ${fieldPath}: ${amount}`);
+        let paise;
+        try {
+          paise = Money.parse(amount);
+        } catch (error) {
+          throw new Error(`Invalid amount format in ${fieldPath}: ${error.message}`);
         }
-        if (numericAmount < -1000000000 || numericAmount > 1000000000) {
+        if (Math.abs(paise) > bound) {
           throw new Error(`Amount out of reasonable bounds in ${fieldPath}: ${amount}`);
         }
 
-        // Validate decimal precision (max 2 decimal places for currency)
-        if (typeof amount === 'string' && amount.includes('.')) {
-          const decimalPlaces = amount.split('.')[1]?.length || 0;
-          if (decimalPlaces > 2) {
-            console.warn(`⚠️ Amount in ${fieldPath} has more than 2 decimal places: ${amount}`);
-          }
-        }
-
-        console.log(`✅ Validated amount: ${fieldPath} = ${amount}`);
+        console.log(`✅ Validated amount: ${fieldPath} = ${Money.format(paise)}`);
       }
     });
   }
@@ -633,26 +1134,22 @@ class FintechApiHelper {
   }
 
   /**
-   * Execute rate limit test
-   * @param {Object} testData - Test data including requestCount
-   * @param {string} token - API token
+   * Execute rate limit test (see RateLimitHarness)
+   * The older requestCount / expectedLimitStatus fields map to rateLimit.burst / rateLimit.limitStatus
+   * @param {Object} testData - Test data with rateLimit settings
+   * @param {string} token - Unused; requests authenticate with the fixture's role
+   * @returns {Promise<Array<Object>>} Report per mode
    */
   async executeRateLimitTest(testData, token = null) {
-    const { requestCount = 10, expectedLimitStatus = 429 } = testData;
-    let limitReached = false;
-
-    for (let i = 0; i < requestCount; i++) {
-      const response = await this.makeApiRequest(testData, token);
-      if (response.status === expectedLimitStatus) {
-        limitReached = true;
-        console.log(`✅ Rate limit enforced after ${i} requests`);
-        break;
-      }
-    }
-
-    if (!limitReached) {
-      console.warn(`⚠️ Rate limit not reached after ${requestCount} requests`);
-    }
+    const { requestCount, expectedLimitStatus } = testData;
+    const rateLimit = {
+      ...(requestCount !== undefined && { burst: requestCount }),
+      ...(expectedLimitStatus !== undefined && { limitStatus: expectedLimitStatus }),
+      ...testData.rateLimit,
+    };
+    // expectedStatus of an old-style fixture is the limit status, not the allowed one
+    const expectedStatus = testData.expectedStatus === rateLimit.limitStatus ? undefined : testData.expectedStatus;
+    return new RateLimitHarness(this).run({ testName: 'rate limit', ...testData, expectedStatus, rateLimit });
   }
 
   /**
@@ -709,56 +1206,45 @@ class FintechApiHelper {
 
   /**
    * Validates account balance consistency
+   * Available must equal current minus pending, compared exactly in paise
    * @param {Object} responseBody - Response body to validate
-   * @param {Object} balanceConfig - Configuration for balance validation
+   * @param {Object} balanceConfig - Balance paths, plus an optional tolerance in rupees (default 0)
    */
   validateAccountBalance(responseBody, balanceConfig) {
     const availableBalance = this.getNestedProperty(responseBody, balanceConfig.availableBalancePath);
     const currentBalance = this.getNestedProperty(responseBody, balanceConfig.currentBalancePath);
     const pendingAmount = this.getNestedProperty(responseBody, balanceConfig.pendingAmountPath);
 
-    if (availableBalance !== null && currentBalance !== null) {
-      const available = parseFloat(availableBalance);
-      const current = parseFloat(currentBalance);
-      const pending = pendingAmount ? parseFloat(pendingAmount) : 0;
+    if (availableBalance !== null && availableBalance !== undefined && currentBalance !== null && currentBalance !== undefined) {
+      const available = Money.parse(availableBalance);
+      const current = Money.parse(currentBalance);
+      const pending = pendingAmount ? Money.parse(pendingAmount) : 0;
+      const tolerance = Money.parse(balanceConfig.tolerance || 0);
+      const summary = `Available=${Money.format(available)}, Current=${Money.format(current)}, Pending=${Money.format(pending)}`;
 
       // Available balance should be current balance minus pending amounts
-      const difference = Math.abs(available - (current - pending));
-      if (difference >= 0.01) {
-        throw new Error(
-          `Balance validation failed: Available=${available}, Current=${current}, Pending=${pending}. Difference=${difference}`
-        );
+      const difference = Money.subtract(available, Money.subtract(current, pending));
+      if (!Money.equals(difference, 0, tolerance)) {
+        throw new Error(`Balance validation failed: ${summary}. Difference=${Money.format(difference)}`);
       }
 
-      console.log(`✅ Balance validation: Available=${available}, Current=${current}, Pending=${pending}`);
+      console.log(`✅ Balance validation: ${summary}`);
     }
   }
 
   /**
-   * Validates payment status transitions
+   * Validates a payment status, and the transition from the previous status when given
    * @param {string} currentStatus - Current payment status
    * @param {string} previousStatus - Previous payment status (if available)
+   * @param {string} product - State machine in config/state-machines.js (default: payout)
    */
-  validatePaymentStatusTransition(currentStatus, previousStatus) {
-    const validStatuses = ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded', 'initiated'];
-    const validTransitions = {
-      'pending': ['initiated', 'processing'],
-      'processing': ['pending'],
-      'completed': ['processing'],
-      'failed': ['pending', 'processing'],
-      'cancelled': ['pending', 'initiated'],
-      'refunded': ['completed']
-    };
-
-    if (!validStatuses.includes(currentStatus)) {
-      throw new Error(`Invalid payment status: ${currentStatus}`);
+  validatePaymentStatusTransition(currentStatus, previousStatus, product = 'payout') {
+    const { valid, path, message } = StatusPoller.checkTransition(StatusPoller.getMachine(product), previousStatus, currentStatus);
+    if (!valid) {
+      throw new Error(`Invalid ${product} status: ${message}`);
     }
-
-    if (previousStatus && validTransitions[currentStatus]) {
-      if (!validTransitions[currentStatus].includes(previousStatus)) {
-        throw new Error(`Invalid status transition: ${previousStatus} → ${currentStatus}`);
-      }
-      console.log(`✅ Valid status transition: ${previousStatus} → ${currentStatus}`);
+    if (previousStatus && previousStatus !== currentStatus) {
+      console.log(`✅ Valid status transition: ${path.join(' → ')}`);
     }
   }
 
@@ -793,6 +1279,16 @@ class FintechApiHelper {
     console.log('✅ PCI compliance validation completed');
   }
 
+  /**
+   * Poll a status fixture until a terminal status (see StatusPoller)
+   * @param {Object} testData - Status fixture with testName and waitForStatus settings
+   * @param {Object} options - Overrides for testData.waitForStatus (e.g. { product: 'payout', timeout: 300 })
+   * @returns {Promise<Object>} { status, body, history, transitions, elapsedMs }
+   */
+  async waitForStatus(testData, options = {}) {
+    return new StatusPoller(this).waitForStatus(testData, options);
+  }
+
   /**
    * Execute payment workflow test
    * @param {Object} balanceTestData - Balance check test data
@@ -806,8 +1302,8 @@ class FintechApiHelper {
 
     // Check initial balance
     const balanceResponse = await this.makeApiRequest(balanceTestData, token);
-    const initialBalance = parseFloat(balanceResponse.availableBalance);
-    console.log(`💲 Initial Balance: $${initialBalance}`);
+    const initialBalance = Money.parse(balanceResponse.availableBalance);
+    console.log(`💲 Initial Balance: ${Money.format(initialBalance)}`);
 
     // Initiate payment
     const paymentResponse = await this.makeApiRequest(paymentTestData, token);
@@ -864,33 +1360,48 @@ class FintechApiHelper {
   }
 
   /**
-   * Get stored responses for debugging
-   * @returns {Array} Array of stored responses
+   * Get the exchanges recorded since the last attachHar() call
+   * @returns {Array} HAR entries
    */
   getResponses() {
-    return this.responses;
+    return this.har.entries;
+  }
+
+  /**
+   * Attach the exchanges made since the last call as a HAR file to the running test
+   * @param {string} name - Attachment name
+   * @returns {Promise<Object|null>} HAR document, or null when no request was made
+   */
+  async attachHar(name = 'api-exchanges.har') {
+    const har = this.har.flush();
+    if (har) {
+      await this.attachToReport(name, har);
+    }
+    return har;
   }
 
   /**
    * Get stored test data
-   * @returns {Object} Stored test data (transaction IDs, balances, etc.)
+   * @returns {Object} Captured values keyed by capture name
    */
   getStoredTestData() {
     return this.storedTestData;
   }
 
   /**
-   * Clear stored responses
+   * Clear recorded exchanges
+   * Clears in place, so asRole() views and their parent stay in sync
    */
   clearResponses() {
-    this.responses = [];
+    this.har.flush();
   }
 
   /**
    * Clear stored test data
+   * Clears in place, so asRole() views and their parent stay in sync
    */
   clearStoredTestData() {
-    this.storedTestData = {};
+    Object.keys(this.storedTestData).forEach(key => delete this.storedTestData[key]);
   }
 
   generateMobileNumber() {
@@ -0,0 +1,363 @@
+/**
+ * Fixture Generator
+ * Scaffolds fixture entries from a local OpenAPI 3 document
+ *
+ * For every operation it emits:
+ *   - a happy-path entry whose request is built from schema examples and whose
+ *     expectedBody uses matchers derived from the success response schema
+ *   - one negative entry per required field (field removed) and per enum field
+ *     (value replaced), expecting the 400 envelope with error.errors[].field
+ *
+ * Entries are plain fixtures; review and tighten them before committing.
+ */
+
+const ContractValidator = require('./ContractValidator');
+
+const INVALID_ENUM_VALUE = 'INVALID_VALUE';
+
+// Used when the document does not declare a 400 response for an operation
+const DEFAULT_ERROR_ENVELOPE = {
+  success: false,
+  statusCode: 400,
+  message: '@string',
+  error: {
+    code: '@string',
+    category: '@string',
+    message: '@string',
+    retryable: false,
+    errors: [],
+  },
+  meta: {
+    apiVersion: '@string',
+    requestId: '@string',
+    timestamp: '@isoDate',
+  },
+};
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+class FixtureGenerator {
+  /**
+   * @param {Object} document - OpenAPI 3 document
+   * @param {string} name - Contract name (e.g. 'auth-service')
+   */
+  constructor(document, name = 'contract') {
+    this.contract = new ContractValidator(document, name);
+  }
+
+  /**
+   * Generate fixture entries for every operation in the document
+   * @returns {Object} Fixture name → test data
+   */
+  generate() {
+    const fixtures = {};
+    this.contract.operations
+      .slice()
+      .sort((a, b) => a.template.localeCompare(b.template) || a.method.localeCompare(b.method))
+      .forEach(entry => Object.assign(fixtures, this.generateForOperation(entry)));
+    return fixtures;
+  }
+
+  /**
+   * Generate the happy-path and negative entries of one operation
+   * @param {Object} entry - Operation entry from ContractValidator.indexOperations
+   * @returns {Object} Fixture name → test data
+   */
+  generateForOperation(entry) {
+    const { operation, method, template } = entry;
+    const label = operation.summary || operation.operationId || `${method} ${template}`;
+    const parameters = (operation.parameters || []).map(parameter => this.contract.dereference(parameter));
+    const requestSchema = this.getJsonSchema(this.contract.dereference(operation.requestBody));
+
+    const successStatus = Object.keys(operation.responses || {}).find(status => /^2\d\d$/.test(status)) || '200';
+    const base = {
+      method,
+      url: this.buildUrl(template, parameters),
+      params: this.buildQueryParams(parameters),
+    };
+    if (requestSchema) {
+      base.requestBody = this.buildExample(requestSchema);
+    }
+
+    const fixtures = {};
+    fixtures[`Validate ${label} with valid data`] = {
+      tags: ['generated'],
+      ...clone(base),
+      expectedBody: this.buildExpectedBody(this.getResponseSchema(operation, successStatus)),
+      expectedStatus: Number(successStatus),
+      expectedResponseTime: 1000,
+    };
+
+    this.collectFields(parameters, requestSchema).forEach(field => {
+      const testData = clone(base);
+      const target = testData[field.location];
+      const parent = field.path.slice(0, -1).reduce((current, key) => current && current[key], target);
+      const key = field.path[field.path.length - 1];
+      const fieldName = field.path.join('.');
+      if (!parent || typeof parent !== 'object' || !(key in parent)) {
+        return; // Not part of the example request (e.g. replaced by a schema-level example)
+      }
+
+      let name;
+      if (field.kind === 'required') {
+        delete parent[key];
+        name = `Validate ${label} with missing ${fieldName}`;
+      } else {
+        parent[key] = INVALID_ENUM_VALUE;
+        name = `Validate ${label} with invalid ${fieldName}`;
+      }
+
+      fixtures[name] = {
+        tags: ['generated', 'negative'],
+        ...testData,
+        expectedBody: this.buildErrorEnvelope(operation, key),
+        expectedStatus: 400,
+        expectedResponseTime: 1000,
+      };
+    });
+
+    return fixtures;
+  }
+
+  /**
+   * Fill path parameters with their example or a {{stored.*}} placeholder to capture beforehand
+   * @param {string} template - Path template (e.g. '/payouts/{payoutId}')
+   * @param {Array<Object>} parameters - Operation parameters
+   * @returns {string} Fixture url
+   */
+  buildUrl(template, parameters) {
+    return template.replace(/\{([^}]+)\}/g, (placeholder, name) => {
+      const parameter = parameters.find(item => item.in === 'path' && item.name === name) || {};
+      const example = parameter.example !== undefined ? parameter.example : (parameter.schema || {}).example;
+      return example !== undefined ? String(example) : `{{stored.${name}}}`;
+    });
+  }
+
+  /**
+   * Build query params from required or exemplified query parameters
+   * @param {Array<Object>} parameters - Operation parameters
+   * @returns {Object} Query params
+   */
+  buildQueryParams(parameters) {
+    return parameters
+      .filter(parameter => parameter.in === 'query')
+      .filter(parameter => parameter.required || parameter.example !== undefined || (parameter.schema || {}).example !== undefined)
+      .reduce((params, parameter) => {
+        params[parameter.name] = parameter.example !== undefined
+          ? parameter.example
+          : this.buildExample(parameter.schema || { type: 'string' });
+        return params;
+      }, {});
+  }
+
+  /**
+   * List the fields that get a negative entry: required fields and enums, in the query and the body
+   * @param {Array<Object>} parameters - Operation parameters
+   * @param {Object|null} requestSchema - Request body schema
+   * @returns {Array<Object>} { location, path, kind }
+   */
+  collectFields(parameters, requestSchema) {
+    const fields = [];
+
+    parameters.filter(parameter => parameter.in === 'query').forEach(parameter => {
+      const schema = this.resolveSchema(parameter.schema);
+      if (parameter.required) {
+        fields.push({ location: 'params', path: [parameter.name], kind: 'required' });
+      }
+      if (schema.enum) {
+        fields.push({ location: 'params', path: [parameter.name], kind: 'enum' });
+      }
+    });
+
+    const walk = (schema, path) => {
+      const resolved = this.resolveSchema(schema);
+      const required = resolved.required || [];
+      Object.keys(resolved.properties || {}).forEach(key => {
+        const property = this.resolveSchema(resolved.properties[key]);
+        const propertyPath = [...path, key];
+        if (required.includes(key)) {
+          fields.push({ location: 'requestBody', path: propertyPath, kind: 'required' });
+        }
+        if (property.enum) {
+          fields.push({ location: 'requestBody', path: propertyPath, kind: 'enum' });
+        }
+        if ((property.type === 'object' || property.properties) && required.includes(key)) {
+          walk(property, propertyPath);
+        }
+      });
+    };
+    if (requestSchema) {
+      walk(requestSchema, []);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Build an example value from a schema (example, default, enum, format, then type)
+   * @param {Object} schema - JSON schema
+   * @returns {*} Example value
+   */
+  buildExample(schema) {
+    const resolved = this.resolveSchema(schema);
+    if (resolved.example !== undefined) return clone(resolved.example);
+    if (resolved.default !== undefined) return clone(resolved.default);
+    if (resolved.enum) return resolved.enum[0];
+    if (resolved.oneOf || resolved.anyOf) return this.buildExample((resolved.oneOf || resolved.anyOf)[0]);
+
+    if (resolved.type === 'object' || resolved.properties) {
+      const required = resolved.required || [];
+      return Object.keys(resolved.properties || {}).reduce((example, key) => {
+        const property = this.resolveSchema(resolved.properties[key]);
+        if (required.includes(key) || property.example !== undefined) {
+          example[key] = this.buildExample(property);
+        }
+        return example;
+      }, {});
+    }
+
+    switch (resolved.type) {
+      case 'array':
+        return [this.buildExample(resolved.items || { type: 'string' })];
+      case 'integer':
+      case 'number':
+        return resolved.minimum !== undefined ? resolved.minimum : 1;
+      case 'boolean':
+        return true;
+      default:
+        return { uuid: '{{gen.uuid}}', email: '{{gen.email}}', 'date-time': '{{now}}', date: '{{now|date}}' }[resolved.format] || 'string';
+    }
+  }
+
+  /**
+   * Build an expectedBody template with matchers for every required property of a response schema
+   * @param {Object|null} schema - Response schema
+   * @returns {*} Expected body
+   */
+  buildExpectedBody(schema) {
+    if (!schema) {
+      return {};
+    }
+
+    const resolved = this.resolveSchema(schema);
+    if (resolved.oneOf || resolved.anyOf) return '@notNull';
+    if (resolved.enum) return resolved.enum.length === 1 ? resolved.enum[0] : `@oneOf:${resolved.enum.join(',')}`;
+
+    if (resolved.type === 'object' || resolved.properties) {
+      if (!resolved.properties) return '@object';
+      return (resolved.required || []).reduce((expected, key) => {
+        if (resolved.properties[key]) {
+          expected[key] = this.buildExpectedBody(resolved.properties[key]);
+        }
+        return expected;
+      }, {});
+    }
+
+    switch (resolved.type) {
+      case 'array': {
+        const items = this.resolveSchema(resolved.items);
+        return items.type === 'object' || items.properties ? [this.buildExpectedBody(items)] : '@array';
+      }
+      case 'integer':
+      case 'number':
+        return resolved.minimum !== undefined ? `@${resolved.type}>=${resolved.minimum}` : `@${resolved.type}`;
+      case 'boolean':
+        return '@boolean';
+      case 'string':
+        if (resolved.format === 'date-time' || resolved.format === 'date') return '@isoDate';
+        if (resolved.format === 'uuid') return '@uuid';
+        if (resolved.pattern) return `@regex:${resolved.pattern}`;
+        return '@string';
+      default:
+        return '@any';
+    }
+  }
+
+  /**
+   * Build the 400 envelope for a negative entry from the operation's 400 response (or the default envelope)
+   * @param {Object} operation - OpenAPI operation
+   * @param {string} field - Field name the API reports in error.errors[].field
+   * @returns {Object} Expected body
+   */
+  buildErrorEnvelope(operation, field) {
+    const schema = this.getResponseSchema(operation, '400');
+    const envelope = schema ? this.buildExpectedBody(schema) : clone(DEFAULT_ERROR_ENVELOPE);
+    if (typeof envelope !== 'object' || Array.isArray(envelope)) {
+      return envelope;
+    }
+
+    if ('statusCode' in envelope) {
+      envelope.statusCode = 400;
+    }
+    envelope.error = typeof envelope.error === 'object' ? envelope.error : {};
+
+    // errors[] is usually optional in the schema, so build the item from its schema directly
+    const errorsSchema = schema ? this.findPropertySchema(schema, ['error', 'errors']) : null;
+    const itemTemplate = errorsSchema ? this.buildExpectedBody(this.resolveSchema(errorsSchema).items) : {};
+    envelope.error.errors = [{
+      ...(typeof itemTemplate === 'object' && !Array.isArray(itemTemplate) ? itemTemplate : {}),
+      field,
+    }];
+    if (!('code' in envelope.error.errors[0])) envelope.error.errors[0].code = '@string';
+    if (!('message' in envelope.error.errors[0])) envelope.error.errors[0].message = '@string';
+
+    return envelope;
+  }
+
+  /**
+   * Get the JSON schema of a request body or response object
+   * @param {Object} node - OpenAPI requestBody or response object
+   * @returns {Object|null} Schema
+   */
+  getJsonSchema(node) {
+    const content = (node && node.content) || {};
+    const mediaType = Object.keys(content).find(type => /json/.test(type));
+    return mediaType && content[mediaType].schema ? content[mediaType].schema : null;
+  }
+
+  /**
+   * Get the JSON schema of a response status
+   * @param {Object} operation - OpenAPI operation
+   * @param {string} status - Status code
+   * @returns {Object|null} Schema
+   */
+  getResponseSchema(operation, status) {
+    const responses = operation.responses || {};
+    const response = responses[status] || responses[`${status[0]}XX`];
+    return response ? this.getJsonSchema(this.contract.dereference(response)) : null;
+  }
+
+  /**
+   * Find the schema of a nested property
+   * @param {Object} schema - Root schema
+   * @param {Array<string>} keys - Property path
+   * @returns {Object|null} Property schema
+   */
+  findPropertySchema(schema, keys) {
+    return keys.reduce((current, key) => {
+      const resolved = current && this.resolveSchema(current);
+      return resolved && resolved.properties ? resolved.properties[key] : null;
+    }, schema);
+  }
+
+  /**
+   * Resolve $ref and merge allOf into one schema
+   * @param {Object} schema - JSON schema
+   * @returns {Object} Resolved schema
+   */
+  resolveSchema(schema) {
+    const resolved = this.contract.dereference(schema);
+    if (!resolved.allOf) {
+      return resolved;
+    }
+
+    return resolved.allOf.map(part => this.resolveSchema(part)).reduce((merged, part) => ({
+      ...merged,
+      ...part,
+      properties: { ...merged.properties, ...part.properties },
+      required: [...(merged.required || []), ...(part.required || [])],
+    }), { type: 'object', properties: {}, required: [] });
+  }
+}
+
+module.exports = FixtureGenerator;
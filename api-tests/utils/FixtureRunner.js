@@ -0,0 +1,271 @@
+/**
+ * Fixture Runner
+ * Registers one Playwright test per entry in api-tests/fixtures/<env>/<service>-<env>.json
+ *
+ * Optional fixture metadata:
+ *   skip        - true or a reason string; the test is registered as skipped
+ *   only        - true to focus this test (forbidden on CI by forbidOnly)
+ *   tags        - ["smoke", "@otp"]; Playwright tags usable with --grep @smoke
+ *   dependsOn   - fixture name(s) that must pass first; their captures are available as {{stored.*}}
+ *   jiraKey     - test case key (e.g. "YOBO-T4"), added as a 'jira' annotation
+ *   role        - role whose access token the request uses (default: the register() role)
+ *   authMatrix  - role → expected status (or { status, errorCode }); adds an '<name> › auth matrix'
+ *                 test tagged @authz that sends the request once per role (see AuthMatrix)
+ *   mutations   - true or { kinds, skip }; with API_MUTATIONS=on adds one '<name> › mutation: …'
+ *                 test per negative variant of the request, tagged @mutation (see MutationEngine)
+ *   idempotency - { submissions, modes, balance, ... }; adds an '<name> › idempotency' test
+ *                 tagged @idempotency that repeats the request with one Idempotency-Key
+ *                 (see IdempotencyTester)
+ *   rateLimit   - { burst, modes, expectedLimit, ... }; adds an '<name> › rate limit' test tagged
+ *                 @ratelimit that bursts the request until it is throttled (see RateLimitHarness)
+ *   concurrency - { requests, transactionIdPath, balance, ... }; adds an '<name> › concurrency' test
+ *                 tagged @concurrency that sends copies of the request at once (see ConcurrencyHarness)
+ *   reconciliation - rule set name or { sources, rules }; adds an '<name> › reconciliation' test tagged
+ *                 @reconciliation that checks the response's aggregates agree (see ReconciliationValidator)
+ *   waitForStatus - { product, expected, timeout, ... }; polls the request until the status is terminal
+ *                 and checks the observed history against the product's state machine (see StatusPoller)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { test } = require('@playwright/test');
+const FintechApiHelper = require('./FintechApiHelper');
+const AuthMatrix = require('./AuthMatrix');
+const MutationEngine = require('./MutationEngine');
+const IdempotencyTester = require('./IdempotencyTester');
+const RateLimitHarness = require('./RateLimitHarness');
+const ConcurrencyHarness = require('./ConcurrencyHarness');
+const ReconciliationValidator = require('./ReconciliationValidator');
+const ContractValidator = require('./ContractValidator');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures');
+
+class FixtureRunner {
+  /**
+   * Get the target environment from TEST_ENV
+   * .trim() removes hidden Windows carriage returns (\r), .toLowerCase() fixes case issues on Linux
+   * @returns {string} Environment name
+   */
+  static getEnvironment() {
+    return (process.env.TEST_ENV || 'dev').trim().toLowerCase();
+  }
+
+  /**
+   * Load the fixture file of a service for an environment
+   * @param {string} serviceName - Service name (e.g. 'auth-service')
+   * @param {string} environment - Environment name
+   * @returns {Object} Fixture name → test data
+   */
+  static loadFixtures(serviceName, environment = FixtureRunner.getEnvironment()) {
+    const fixtureFile = path.join(FIXTURES_DIR, environment, `${serviceName}-${environment}.json`);
+
+    if (!fs.existsSync(fixtureFile)) {
+      // Print the folder content so a wrong file or environment name is obvious
+      const dirPath = path.dirname(fixtureFile);
+      console.error(`❌ FOLDER CONTENT FOR ${dirPath}:`);
+      try { console.error(fs.readdirSync(dirPath)); } catch (e) { console.error('Folder itself not found'); }
+      throw new Error(`File Not Found at: ${fixtureFile}`);
+    }
+
+    return JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+  }
+
+  /**
+   * Normalise dependsOn to an array
+   * @param {Object} fixture - Test data
+   * @returns {Array<string>} Dependency names
+   */
+  static getDependencies(fixture) {
+    if (!fixture.dependsOn) {
+      return [];
+    }
+    return Array.isArray(fixture.dependsOn) ? fixture.dependsOn : [fixture.dependsOn];
+  }
+
+  /**
+   * Order fixture names so every dependency runs before its dependents (file order otherwise)
+   * @param {Object} fixtures - Fixture name → test data
+   * @returns {Array<string>} Ordered fixture names
+   */
+  static orderByDependencies(fixtures) {
+    const ordered = [];
+    const visiting = new Set();
+
+    const visit = (name, trail) => {
+      if (ordered.includes(name)) {
+        return;
+      }
+      if (!fixtures[name]) {
+        throw new Error(`Fixture '${trail[trail.length - 1]}' depends on unknown fixture '${name}'`);
+      }
+      if (visiting.has(name)) {
+        throw new Error(`Circular dependsOn: ${[...trail, name].join(' → ')}`);
+      }
+
+      visiting.add(name);
+      FixtureRunner.getDependencies(fixtures[name]).forEach(dependency => visit(dependency, [...trail, name]));
+      visiting.delete(name);
+      ordered.push(name);
+    };
+
+    Object.keys(fixtures).forEach(name => visit(name, []));
+    return ordered;
+  }
+
+  /**
+   * Build Playwright test details (tags and annotations) from fixture metadata
+   * @param {Object} fixture - Test data
+   * @returns {Object} { tag, annotation }
+   */
+  static getTestDetails(fixture) {
+    const annotation = [];
+    if (fixture.jiraKey) {
+      annotation.push({ type: 'jira', description: fixture.jiraKey });
+    }
+    if (fixture.skip) {
+      annotation.push({ type: 'skip', description: typeof fixture.skip === 'string' ? fixture.skip : 'Skipped in fixture' });
+    }
+    FixtureRunner.getDependencies(fixture).forEach(dependency => {
+      annotation.push({ type: 'dependsOn', description: dependency });
+    });
+
+    const tag = (fixture.tags || []).map(name => (name.startsWith('@') ? name : `@${name}`));
+    return { tag, annotation };
+  }
+
+  /**
+   * Register a describe block with one test per fixture entry
+   * @param {string} serviceName - Service name (e.g. 'auth-service')
+   * @param {Object} options
+   * @param {string} options.title - Describe title (default: service name)
+   * @param {string} options.environment - Environment (default: TEST_ENV)
+   * @param {string} options.role - Role the requests authenticate as (default: 'admin')
+   */
+  static register(serviceName, { title = serviceName, environment = FixtureRunner.getEnvironment(), role } = {}) {
+    const fixtures = FixtureRunner.loadFixtures(serviceName, environment);
+    const orderedNames = FixtureRunner.orderByDependencies(fixtures);
+    const hasMutations = MutationEngine.isEnabled() && Object.values(fixtures).some(fixture => fixture.mutations);
+    const contract = hasMutations ? ContractValidator.forService(serviceName) : null;
+
+    test.describe(title, () => {
+      // Keep fixtures in one worker and in order, without serial mode's skip-the-rest-on-failure
+      test.describe.configure({ mode: 'default' });
+
+      let apiHelper;
+      const outcomes = {}; // Fixture name → 'passed' | 'failed' in this worker
+
+      test.beforeAll(async () => {
+        apiHelper = new FintechApiHelper(environment);
+        if (role) {
+          apiHelper = apiHelper.asRole(role);
+        }
+        apiHelper.useContract(serviceName);
+        apiHelper.useCassette(serviceName);
+      });
+
+      // One HAR per test, including prerequisites it ran and failed requests
+      test.afterEach(async () => {
+        await apiHelper.attachHar();
+      });
+
+      // Run a dependency that has not executed in this worker (e.g. after a worker restart or --grep)
+      const ensureDependency = async (name, dependency) => {
+        if (outcomes[dependency] === 'passed') {
+          return;
+        }
+        if (outcomes[dependency] === 'failed' || fixtures[dependency].skip) {
+          test.skip(true, `Dependency '${dependency}' of '${name}' did not pass`);
+        }
+
+        await test.step(`Prerequisite: ${dependency}`, async () => {
+          for (const nested of FixtureRunner.getDependencies(fixtures[dependency])) {
+            await ensureDependency(dependency, nested);
+          }
+          await FixtureRunner.execute(apiHelper, dependency, fixtures[dependency], outcomes);
+        });
+      };
+
+      orderedNames.forEach((name, index) => {
+        const fixture = fixtures[name];
+        const details = FixtureRunner.getTestDetails(fixture);
+        const declare = fixture.skip ? test.skip : (fixture.only ? test.only : test);
+
+        declare(name, details, async () => {
+          console.log(`\n${'='.repeat(80)}`);
+          console.log(`🧪 TEST ${index + 1}: ${name}${fixture.jiraKey ? ` (${fixture.jiraKey})` : ''}`);
+          console.log(`${'='.repeat(80)}`);
+
+          for (const dependency of FixtureRunner.getDependencies(fixture)) {
+            await ensureDependency(name, dependency);
+          }
+
+          await FixtureRunner.execute(apiHelper, name, fixture, outcomes);
+
+          console.log(`\n✅ [PASSED] ${name}`);
+          console.log(`${'='.repeat(80)}\n`);
+        });
+
+        // Declare a test derived from the fixture that first runs the fixture's dependencies
+        const declareDerived = (suffix, tag, body) => {
+          declare(`${name} › ${suffix}`, { ...details, tag }, async () => {
+            for (const dependency of FixtureRunner.getDependencies(fixture)) {
+              await ensureDependency(name, dependency);
+            }
+            await body();
+          });
+        };
+
+        if (fixture.authMatrix) {
+          declareDerived('auth matrix', [...details.tag, '@authz'], () => AuthMatrix.run(apiHelper, { testName: name, ...fixture }));
+        }
+
+        if (fixture.idempotency) {
+          declareDerived('idempotency', ['@idempotency'], () => new IdempotencyTester(apiHelper, fixtures).run({ testName: name, ...fixture }));
+        }
+
+        if (fixture.rateLimit) {
+          declareDerived('rate limit', ['@ratelimit'], () => new RateLimitHarness(apiHelper).run({ testName: name, ...fixture }));
+        }
+
+        if (fixture.concurrency) {
+          declareDerived('concurrency', ['@concurrency'], () => new ConcurrencyHarness(apiHelper, fixtures).run({ testName: name, ...fixture }));
+        }
+
+        if (fixture.reconciliation) {
+          declareDerived('reconciliation', ['@reconciliation'], () => new ReconciliationValidator(apiHelper, fixtures).run({ testName: name, ...fixture }));
+        }
+
+        if (fixture.mutations && MutationEngine.isEnabled()) {
+          MutationEngine.forFixture(fixture, contract ? [contract] : []).generate().forEach(variant => {
+            // Variants get their own tags, so they stay out of e.g. @smoke runs
+            const { tag } = FixtureRunner.getTestDetails(variant.testData);
+            declareDerived(variant.name, tag, () => apiHelper.makeApiRequest({ testName: `${name} ${variant.name}`, ...variant.testData }));
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Execute one fixture and record its outcome
+   * @param {FintechApiHelper} apiHelper - Helper instance
+   * @param {string} name - Fixture name
+   * @param {Object} fixture - Test data
+   * @param {Object} outcomes - Outcome map to update
+   * @returns {Promise<Object>} Response body
+   */
+  static async execute(apiHelper, name, fixture, outcomes) {
+    try {
+      const responseBody = fixture.waitForStatus
+        ? (await apiHelper.waitForStatus({ testName: name, ...fixture })).body
+        : await apiHelper.makeApiRequest({ testName: name, ...fixture });
+      outcomes[name] = 'passed';
+      return responseBody;
+    } catch (error) {
+      outcomes[name] = 'failed';
+      throw error;
+    }
+  }
+}
+
+module.exports = FixtureRunner;
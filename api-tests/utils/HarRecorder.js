@@ -0,0 +1,208 @@
+/**
+ * HAR Recorder
+ * Records every axios exchange as a HAR 1.2 entry (full request, response and timings)
+ *
+ * Install it after RequestTimer so response.timings is available. Entries accumulate until
+ * flush(), which returns a complete HAR document; the runners attach one per test.
+ * Auth headers, secrets and PII are redacted (see Redactor) before they are stored.
+ */
+
+const { version } = require('../../package.json');
+const Redactor = require('./Redactor');
+
+const toNameValueList = object => Object.keys(object || {}).flatMap(name => {
+  const values = Array.isArray(object[name]) ? object[name] : [object[name]];
+  return values.filter(value => value !== undefined && value !== null).map(value => ({ name, value: String(value) }));
+});
+
+const byteLength = text => (text ? Buffer.byteLength(text) : 0);
+
+class HarRecorder {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Install interceptors that record every request made with the axios instance
+   * @param {Object} axiosInstance - Instance created with axios.create()
+   * @returns {Object} The same axios instance
+   */
+  install(axiosInstance) {
+    axiosInstance.interceptors.request.use(config => {
+      config.metadata = { ...config.metadata, startedDateTime: new Date().toISOString() };
+      return config;
+    });
+
+    axiosInstance.interceptors.response.use(
+      response => {
+        this.entries.push(HarRecorder.buildEntry(axiosInstance, response.config, response));
+        return response;
+      },
+      error => {
+        if (error.config) {
+          this.entries.push(HarRecorder.buildEntry(axiosInstance, error.config, error.response, error));
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    return axiosInstance;
+  }
+
+  /**
+   * Return the recorded entries as a HAR document and start a new one
+   * @returns {Object|null} HAR document, or null when nothing was recorded
+   */
+  flush() {
+    if (this.entries.length === 0) {
+      return null;
+    }
+
+    const entries = this.entries;
+    this.entries = [];
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'yobo-automation-testing', version },
+        pages: [],
+        entries,
+      },
+    };
+  }
+
+  /**
+   * Build one HAR entry
+   * @param {Object} axiosInstance - Axios instance (to build the full URL)
+   * @param {Object} config - Request config
+   * @param {Object} response - Axios response (absent on network errors)
+   * @param {Error} error - Request error, if any
+   * @returns {Object} HAR entry
+   */
+  static buildEntry(axiosInstance, config, response, error = null) {
+    const clientRequest = (response && response.request) || (error && error.request);
+    const sentHeaders = clientRequest && typeof clientRequest.getHeaders === 'function'
+      ? clientRequest.getHeaders()
+      : (config.headers && typeof config.headers.toJSON === 'function' ? config.headers.toJSON() : config.headers);
+    const url = new URL(axiosInstance.getUri(config));
+    const metadata = config.metadata || {};
+    const timings = (response && response.timings) || (error && error.timings) || {};
+
+    const requestText = config.data === undefined || config.data === null
+      ? ''
+      : (typeof config.data === 'string' ? config.data : JSON.stringify(config.data));
+    const queryString = [...url.searchParams].map(([name, value]) => ({ name, value: String(Redactor.redactField(name, value)) }));
+    if (queryString.length > 0) {
+      url.search = new URLSearchParams(queryString.map(({ name, value }) => [name, value])).toString();
+    }
+    const request = {
+      method: (config.method || 'GET').toUpperCase(),
+      url: Redactor.redactText(url.href),
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: HarRecorder.redactHeaders(toNameValueList(sentHeaders)),
+      queryString,
+      headersSize: -1,
+      bodySize: byteLength(requestText),
+    };
+    if (requestText) {
+      request.postData = { mimeType: String(sentHeaders['content-type'] || 'application/json'), text: Redactor.redactText(requestText) };
+    }
+
+    const entry = {
+      startedDateTime: metadata.startedDateTime || new Date().toISOString(),
+      time: timings.total !== null && timings.total !== undefined ? timings.total : 0,
+      request,
+      response: HarRecorder.buildResponse(response, error),
+      cache: {},
+      timings: HarRecorder.buildTimings(timings),
+    };
+
+    const socket = clientRequest && clientRequest.socket;
+    if (socket && socket.remoteAddress) {
+      entry.serverIPAddress = socket.remoteAddress;
+    }
+    return entry;
+  }
+
+  /**
+   * Build the HAR response (status 0 with the error message for network errors)
+   * @param {Object} response - Axios response
+   * @param {Error} error - Request error, if any
+   * @returns {Object} HAR response
+   */
+  static buildResponse(response, error) {
+    if (!response) {
+      return {
+        status: 0,
+        statusText: '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: [],
+        content: { size: 0, mimeType: 'x-unknown', text: '' },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: -1,
+        _error: error ? error.message : 'No response',
+      };
+    }
+
+    const headers = typeof response.headers.toJSON === 'function' ? response.headers.toJSON() : response.headers;
+    const text = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+    const incoming = response.request && response.request.res;
+
+    return {
+      status: response.status,
+      statusText: response.statusText || '',
+      httpVersion: incoming && incoming.httpVersion ? `HTTP/${incoming.httpVersion}` : 'HTTP/1.1',
+      cookies: [],
+      headers: HarRecorder.redactHeaders(toNameValueList(headers)),
+      content: {
+        size: byteLength(text),
+        mimeType: String(headers['content-type'] || 'x-unknown'),
+        text: Redactor.redactText(text || ''),
+      },
+      redirectURL: headers.location || '',
+      headersSize: -1,
+      bodySize: byteLength(text),
+    };
+  }
+
+  /**
+   * Map RequestTimer phases onto HAR timings (-1 for phases that did not happen)
+   * HAR 'connect' includes the TLS handshake; 'wait' is the time to first byte after connecting
+   * @param {Object} timings - { dns, connect, tls, ttfb, total }
+   * @returns {Object} HAR timings
+   */
+  static buildTimings({ dns = null, connect = null, tls = null, ttfb = null, total = null }) {
+    const phase = value => (value === null ? -1 : value);
+    const setup = (dns || 0) + (connect || 0) + (tls || 0);
+    const wait = ttfb !== null ? Math.max(0, ttfb - setup) : (total || 0);
+
+    return {
+      blocked: -1,
+      dns: phase(dns),
+      connect: connect === null ? -1 : connect + (tls || 0),
+      ssl: phase(tls),
+      send: 0,
+      wait,
+      receive: ttfb !== null && total !== null ? Math.max(0, total - ttfb) : 0,
+    };
+  }
+
+  /**
+   * Redact sensitive headers, keeping the auth scheme (e.g. 'Bearer [REDACTED]')
+   * @param {Array<Object>} headers - HAR name/value headers
+   * @returns {Array<Object>} Redacted headers
+   */
+  static redactHeaders(headers) {
+    return headers.map(({ name, value }) => {
+      if (!Redactor.isSensitiveKey(name)) {
+        return { name, value: Redactor.redactText(value) };
+      }
+      const scheme = value.match(/^(Bearer|Basic|Token)\s+/i);
+      return { name, value: `${scheme ? scheme[0] : ''}${Redactor.redactField(name, value)}` };
+    });
+  }
+}
+
+module.exports = HarRecorder;
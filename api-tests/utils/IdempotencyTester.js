@@ -0,0 +1,208 @@
+/**
+ * Idempotency Tester
+ * Submits the same request several times with one Idempotency-Key and checks it took effect once
+ *
+ * Fixture format (every field optional):
+ *   "idempotency": {
+ *     "submissions": 3,                          // requests per mode, all with the same key
+ *     "modes": ["sequential", "concurrent"],     // one after another, and all at once
+ *     "header": "Idempotency-Key",
+ *     "transactionIdPath": "data.transactionId", // must be the same in every response
+ *     "ignore": ["meta.requestId", "meta.timestamp"],
+ *     "balance": {                               // balance must drop by the amount exactly once
+ *       "fixture": "Get payout overview",        // fixture that reads the balance
+ *       "path": "data.bankWallet.total",
+ *       "amountPath": "amount"                   // amount in the request body, in rupees
+ *     }
+ *   }
+ *
+ * Each mode uses a fresh key. Every response must pass the fixture's own expectations and be
+ * strictly equal to the first one apart from the ignored paths: values are compared as they are,
+ * so a response string such as '@isoDate' is not read as a matcher. The balance is compared in paise.
+ * The balance check assumes nothing else moves the balance while the test runs.
+ */
+
+const { isDeepStrictEqual } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const Money = require('./Money');
+const ResponseValues = require('./ResponseValues');
+
+const MODES = ['sequential', 'concurrent'];
+const DEFAULT_IGNORE = ['meta.requestId', 'meta.timestamp'];
+
+const isContainer = value => value !== null && typeof value === 'object';
+
+// Paths where two JSON values are not strictly equal, with both values
+const findDifferences = (actual, expected, path = '$') => {
+  if (isDeepStrictEqual(actual, expected)) {
+    return [];
+  }
+  if (!isContainer(actual) || !isContainer(expected) || Array.isArray(actual) !== Array.isArray(expected)) {
+    return [`${path}: ${JSON.stringify(expected)} → ${JSON.stringify(actual)}`];
+  }
+  return [...new Set([...Object.keys(expected), ...Object.keys(actual)])]
+    .flatMap(key => findDifferences(actual[key], expected[key], Array.isArray(actual) ? `${path}[${key}]` : `${path}.${key}`));
+};
+
+class IdempotencyTester {
+  /**
+   * @param {FintechApiHelper} apiHelper - Helper instance
+   * @param {Object} fixtures - Fixtures of the service, to look up the balance fixture
+   */
+  constructor(apiHelper, fixtures = {}) {
+    this.apiHelper = apiHelper;
+    this.fixtures = fixtures;
+  }
+
+  /**
+   * Run every mode of a fixture's idempotency settings, attach the report and fail on findings
+   * @param {Object} testData - Fixture with testName and idempotency
+   * @returns {Promise<Array<Object>>} Report per mode
+   */
+  async run(testData) {
+    const options = {
+      submissions: 3,
+      modes: MODES,
+      header: 'Idempotency-Key',
+      ignore: DEFAULT_IGNORE,
+      ...testData.idempotency,
+    };
+    const unknownModes = options.modes.filter(mode => !MODES.includes(mode));
+    if (unknownModes.length > 0) {
+      throw new Error(`idempotency: unknown mode(s) ${unknownModes.join(', ')}. Available: ${MODES.join(', ')}`);
+    }
+    if (options.balance && !this.fixtures[options.balance.fixture]) {
+      throw new Error(`idempotency: balance fixture '${options.balance.fixture}' not found`);
+    }
+
+    const reports = [];
+    for (const mode of options.modes) {
+      reports.push(await this.apiHelper.step(`Idempotency: ${options.submissions} ${mode} submissions`, () => this.runMode(testData, options, mode)));
+    }
+
+    await this.apiHelper.attachToReport('idempotency', reports);
+    const findings = reports.flatMap(report => report.findings.map(finding => `  ✗ ${report.mode}: ${finding}`));
+    if (findings.length > 0) {
+      throw new Error(`Idempotency check failed for ${testData.testName}:\n${findings.join('\n')}`);
+    }
+    return reports;
+  }
+
+  /**
+   * Submit the request in one mode and check the outcome
+   * @param {Object} testData - Fixture
+   * @param {Object} options - Idempotency settings
+   * @param {string} mode - 'sequential' or 'concurrent'
+   * @returns {Promise<Object>} { mode, key, statuses, transactionIds, balance, findings }
+   */
+  async runMode(testData, options, mode) {
+    const key = uuidv4();
+    const request = { ...testData, headers: { ...testData.headers, [options.header]: key } };
+    const report = { mode, key, statuses: [], transactionIds: [], balance: null, findings: [] };
+    console.log(`\n🔁 Idempotency (${mode}): ${options.submissions} submissions with ${options.header}: ${key}`);
+
+    const balanceBefore = options.balance ? await this.readBalance(options.balance) : null;
+
+    const submit = index => this.apiHelper.sendApiRequest({ ...request, testName: `${testData.testName} #${index + 1}` })
+      .catch(error => ({ error }));
+    const indexes = [...Array(options.submissions).keys()];
+    let results;
+    if (mode === 'concurrent') {
+      results = await Promise.all(indexes.map(submit));
+    } else {
+      results = [];
+      for (const index of indexes) {
+        results.push(await submit(index));
+      }
+    }
+
+    results.forEach((result, index) => {
+      if (result.error) {
+        report.statuses.push(null);
+        report.findings.push(`submission #${index + 1} failed: ${result.error.message.split('\n')[0]}`);
+      } else {
+        report.statuses.push(result.status);
+      }
+    });
+
+    // Submission number → response, for the ones that passed the fixture's expectations
+    const responses = results.map((result, index) => ({ number: index + 1, response: result }))
+      .filter(({ response }) => !response.error);
+    if (responses.length > 1) {
+      this.compareResponses(responses, options, report);
+    }
+
+    if (options.transactionIdPath) {
+      report.transactionIds = [...new Set(responses.map(({ response }) => ResponseValues.get(response.data, options.transactionIdPath)))];
+      if (report.transactionIds.length !== 1 || report.transactionIds[0] === undefined || report.transactionIds[0] === null) {
+        report.findings.push(`expected one transaction at ${options.transactionIdPath}, got ${JSON.stringify(report.transactionIds)}`);
+      }
+    }
+
+    if (options.balance) {
+      const amount = Money.parse(ResponseValues.get(testData.requestBody, options.balance.amountPath || 'amount'));
+      const balanceAfter = await this.readBalance(options.balance);
+      const expectedAfter = Money.subtract(balanceBefore, amount);
+      report.balance = {
+        before: Money.format(balanceBefore),
+        after: Money.format(balanceAfter),
+        amount: Money.format(amount),
+        expectedAfter: Money.format(expectedAfter),
+      };
+      if (!Money.equals(balanceAfter, expectedAfter)) {
+        const debits = amount === 0 ? 'n/a' : (Money.subtract(balanceBefore, balanceAfter) / amount).toFixed(2);
+        report.findings.push(
+          `balance went from ${report.balance.before} to ${report.balance.after}; ` +
+          `expected one debit of ${report.balance.amount} (${report.balance.expectedAfter}), observed ${debits} debits`
+        );
+      }
+    }
+
+    console.log(report.findings.length === 0
+      ? `✅ Idempotency (${mode}): request took effect once`
+      : `❌ Idempotency (${mode}):\n  ${report.findings.join('\n  ')}`);
+    return report;
+  }
+
+  /**
+   * Check that every response strictly equals the first one, apart from the ignored paths
+   * @param {Array<Object>} responses - [{ number, response }] in submission order
+   * @param {Object} options - Idempotency settings
+   * @param {Object} report - Report to add findings to
+   */
+  compareResponses(responses, options, report) {
+    const strip = body => {
+      const copy = JSON.parse(JSON.stringify(body === undefined ? null : body));
+      options.ignore.forEach(ignoredPath => {
+        const keys = ignoredPath.split('.');
+        const parent = keys.slice(0, -1).reduce((current, key) => (current ? current[key] : undefined), copy);
+        if (parent && typeof parent === 'object') {
+          delete parent[keys[keys.length - 1]];
+        }
+      });
+      return copy;
+    };
+
+    const [first, ...rest] = responses;
+    rest.forEach(({ number, response }) => {
+      if (response.status !== first.response.status) {
+        report.findings.push(`response #${number} has status ${response.status}, #${first.number} had ${first.response.status}`);
+      }
+      const differences = findDifferences(strip(response.data), strip(first.response.data));
+      if (differences.length > 0) {
+        report.findings.push(`response #${number} differs from #${first.number}:\n    ${differences.join('\n    ')}`);
+      }
+    });
+  }
+
+  /**
+   * Read the balance through the balance fixture
+   * @param {Object} balance - { fixture, path }
+   * @returns {Promise<number>} Balance in paise
+   */
+  readBalance(balance) {
+    return ResponseValues.readBalance(this.apiHelper, this.fixtures, balance, 'idempotency');
+  }
+}
+
+module.exports = IdempotencyTester;
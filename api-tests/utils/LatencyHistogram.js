@@ -0,0 +1,93 @@
+/**
+ * Latency Histogram
+ * Counts latencies in buckets instead of keeping every value, so a soak run uses constant memory
+ *
+ * Buckets are 1ms wide up to 100ms and 1% wide above, so a percentile is at most 1% above the
+ * exact nearest-rank value (and never above the maximum). Count, mean and maximum are exact.
+ */
+
+const LINEAR_LIMIT = 100; // ms; one bucket per ms up to here
+const GROWTH = 1.01; // Each bucket above is 1% wider than the previous one
+
+class LatencyHistogram {
+  constructor() {
+    this.buckets = new Map(); // Bucket index → count
+    this.count = 0;
+    this.sum = 0;
+    this.max = null;
+  }
+
+  /**
+   * Bucket index of a latency
+   * @param {number} ms - Latency in ms (rounded, negative values count as 0)
+   * @returns {number} Bucket index
+   */
+  static bucketOf(ms) {
+    return ms <= LINEAR_LIMIT ? ms : LINEAR_LIMIT + Math.ceil(Math.log(ms / LINEAR_LIMIT) / Math.log(GROWTH));
+  }
+
+  /**
+   * Largest latency a bucket holds
+   * @param {number} bucket - Bucket index
+   * @returns {number} Upper bound in ms
+   */
+  static upperBound(bucket) {
+    return bucket <= LINEAR_LIMIT ? bucket : Math.floor(LINEAR_LIMIT * GROWTH ** (bucket - LINEAR_LIMIT));
+  }
+
+  /**
+   * Count one latency
+   * @param {number} ms - Latency in ms
+   */
+  add(ms) {
+    const value = Math.max(0, Math.round(ms));
+    const bucket = LatencyHistogram.bucketOf(value);
+    this.buckets.set(bucket, (this.buckets.get(bucket) || 0) + 1);
+    this.count += 1;
+    this.sum += value;
+    this.max = this.max === null ? value : Math.max(this.max, value);
+  }
+
+  /**
+   * Nearest-rank percentile, as the upper bound of the bucket that holds it
+   * @param {number} percentile - Percentile (0-100)
+   * @returns {number|null} Latency in ms, or null without values
+   */
+  percentile(percentile) {
+    if (this.count === 0) {
+      return null;
+    }
+
+    const rank = Math.max(1, Math.ceil((percentile / 100) * this.count));
+    let seen = 0;
+    const bucket = [...this.buckets.keys()].sort((a, b) => a - b).find(candidate => {
+      seen += this.buckets.get(candidate);
+      return seen >= rank;
+    });
+    return Math.min(LatencyHistogram.upperBound(bucket), this.max);
+  }
+
+  /**
+   * Mean latency
+   * @returns {number|null} Rounded mean in ms, or null without values
+   */
+  mean() {
+    return this.count > 0 ? Math.round(this.sum / this.count) : null;
+  }
+
+  /**
+   * Count, percentiles and maximum, like LatencyTracker.summarizeValues
+   * @returns {Object} { count, p50, p95, p99, max }
+   */
+  summarize() {
+    return {
+      count: this.count,
+      p50: this.percentile(50),
+      p95: this.percentile(95),
+      p99: this.percentile(99),
+      max: this.max,
+    };
+  }
+}
+
+module.exports = LatencyHistogram;
@@ -0,0 +1,100 @@
+/**
+ * Latency Tracker
+ * Collects per-endpoint timing samples across Playwright workers and summarises p50/p95/p99
+ *
+ * Each worker appends samples to its own NDJSON file under api-tests/reports/latency (see
+ * RunRecorder), and global teardown merges them into a single summary at the end of the run.
+ */
+
+const RunRecorder = require('./RunRecorder');
+
+const samples = new RunRecorder('latency', 'samples');
+
+class LatencyTracker {
+  /**
+   * Remove samples from a previous run
+   */
+  static reset() {
+    samples.reset();
+  }
+
+  /**
+   * Record one timing sample
+   * @param {string} endpoint - Endpoint key (e.g. 'POST /auth/authenticate')
+   * @param {Object} timings - { dns, connect, tls, ttfb, total } in ms
+   * @param {number} status - HTTP status code
+   */
+  static record(endpoint, timings, status) {
+    samples.record({ endpoint, status, ...timings, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Read all recorded samples
+   * @returns {Array<Object>} Samples from every worker
+   */
+  static readSamples() {
+    return samples.read();
+  }
+
+  /**
+   * Nearest-rank percentile
+   * @param {Array<number>} sortedValues - Values sorted ascending
+   * @param {number} percentile - Percentile (0-100)
+   * @returns {number|null} Percentile value
+   */
+  static percentile(sortedValues, percentile) {
+    if (sortedValues.length === 0) {
+      return null;
+    }
+    const rank = Math.ceil((percentile / 100) * sortedValues.length);
+    return sortedValues[Math.max(0, rank - 1)];
+  }
+
+  /**
+   * Count, percentiles and maximum of a list of latencies
+   * @param {Array<number>} sortedValues - Latencies in ms, sorted ascending
+   * @returns {Object} { count, p50, p95, p99, max }
+   */
+  static summarizeValues(sortedValues) {
+    return {
+      count: sortedValues.length,
+      p50: LatencyTracker.percentile(sortedValues, 50),
+      p95: LatencyTracker.percentile(sortedValues, 95),
+      p99: LatencyTracker.percentile(sortedValues, 99),
+      max: sortedValues.length > 0 ? sortedValues[sortedValues.length - 1] : null,
+    };
+  }
+
+  /**
+   * Summarise samples per endpoint
+   * @param {Array<Object>} samples - Timing samples
+   * @returns {Object} Endpoint → { count, p50, p95, p99, max, ttfbP95 }
+   */
+  static summarize(recorded = LatencyTracker.readSamples()) {
+    const byEndpoint = {};
+    recorded.forEach(sample => {
+      (byEndpoint[sample.endpoint] = byEndpoint[sample.endpoint] || []).push(sample);
+    });
+
+    return Object.keys(byEndpoint).sort().reduce((summary, endpoint) => {
+      const totals = byEndpoint[endpoint].map(sample => sample.total).filter(value => value !== null).sort((a, b) => a - b);
+      const ttfbs = byEndpoint[endpoint].map(sample => sample.ttfb).filter(value => value !== null).sort((a, b) => a - b);
+      summary[endpoint] = {
+        ...LatencyTracker.summarizeValues(totals),
+        count: byEndpoint[endpoint].length, // Including samples without a total
+        ttfbP95: LatencyTracker.percentile(ttfbs, 95),
+      };
+      return summary;
+    }, {});
+  }
+
+  /**
+   * Write the summary file and print a table to the console
+   * @returns {Object} Summary per endpoint
+   */
+  static writeSummary() {
+    return RunRecorder.writeSummary('latency-summary.json', '⏱️  API LATENCY SUMMARY (ms)', LatencyTracker.summarize());
+  }
+}
+
+module.exports = LatencyTracker;
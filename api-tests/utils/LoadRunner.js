@@ -0,0 +1,438 @@
+/**
+ * Load Runner
+ * Drives one fixture or scenario at a fixed rate or concurrency for a fixed duration
+ *
+ * One iteration is one fixture request (with its usual expectations) or one full scenario run.
+ * Two ways to generate load:
+ *   - concurrency: N virtual users, each starting a new iteration as soon as the last one ends
+ *   - rate: a new iteration every 1000 / rate ms, however long earlier ones take; iterations
+ *     that would exceed maxInFlight are dropped and counted
+ *
+ * The summary has the iteration latency histogram and percentiles, the error rate, the status of
+ * every HTTP exchange (from the iteration's own HAR recorder, 0 = network error), latency per
+ * endpoint, the most common errors and one line per interval, for soak runs. Outcomes are counted
+ * as they come in (see LatencyHistogram) rather than kept, so memory does not grow with the
+ * duration. Thresholds on p95 and error rate decide whether the run passed. writeReports() saves
+ * the summary as JSON and HTML.
+ *
+ * Requests run in the helper's load mode: they are never retried, so every failure counts and
+ * latency is one attempt, and they skip the per-request latency and envelope files the test
+ * suite writes, which would grow without limit during a soak.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const FintechApiHelper = require('./FintechApiHelper');
+const FixtureRunner = require('./FixtureRunner');
+const ScenarioRunner = require('./ScenarioRunner');
+const HarRecorder = require('./HarRecorder');
+const LatencyHistogram = require('./LatencyHistogram');
+const RequestTimer = require('./RequestTimer');
+
+const REPORT_DIR = path.join(__dirname, '../reports/load');
+const HISTOGRAM_BUCKETS = [50, 100, 200, 300, 500, 750, 1000, 2000, 5000]; // Upper bounds in ms, plus one open bucket
+const PROGRESS_INTERVAL_MS = 5000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const escapeHtml = value => String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+class LoadRunner {
+  /**
+   * @param {Object} options
+   * @param {string} options.environment - Environment (default: TEST_ENV)
+   * @param {string} options.service - Service of the fixture (e.g. 'payment-service')
+   * @param {string} options.fixture - Fixture name (either fixture or scenario)
+   * @param {string} options.scenario - Scenario name or file name
+   * @param {number} options.rate - Iterations per second (open model)
+   * @param {number} options.concurrency - Virtual users (closed model, default 1 when rate is not set)
+   * @param {number} options.duration - Duration in seconds (default 60)
+   * @param {number} options.maxInFlight - Rate mode: most iterations running at once (default rate × 10)
+   * @param {number} options.interval - Seconds per timeline interval (default 10)
+   * @param {Object} options.thresholds - { p95: ms, errorRate: % }
+   * @param {boolean} options.verbose - Keep the per-request console output
+   */
+  constructor(options) {
+    this.options = {
+      environment: FixtureRunner.getEnvironment(),
+      duration: 60,
+      interval: 10,
+      thresholds: {},
+      verbose: false,
+      ...options,
+    };
+    if (Boolean(this.options.fixture) === Boolean(this.options.scenario)) {
+      throw new Error('LoadRunner: set either a fixture or a scenario');
+    }
+    if (this.options.fixture && !this.options.service) {
+      throw new Error('LoadRunner: a fixture needs its service');
+    }
+    if (!this.options.rate && !this.options.concurrency) {
+      this.options.concurrency = 1;
+    }
+    if (this.options.rate && !this.options.maxInFlight) {
+      this.options.maxInFlight = Math.max(1, Math.ceil(this.options.rate * 10));
+    }
+
+    this.apiHelper = new FintechApiHelper(this.options.environment);
+    this.apiHelper.loadMode = true;
+    this.target = this.options.fixture ? this.loadFixture() : this.loadScenario();
+    this.startedAt = Date.now();
+    this.latency = new LatencyHistogram(); // Iteration latencies
+    this.histogram = [...HISTOGRAM_BUCKETS, Infinity].map(() => 0); // Iterations per reported bucket
+    this.failed = 0;
+    this.dropped = 0;
+    this.errors = {}; // Error message → count
+    this.statuses = {}; // HTTP status → exchange count
+    this.endpoints = {}; // Endpoint → { errors, latency }
+    this.intervals = []; // Interval index → { iterations, failed, latency }
+  }
+
+  /**
+   * Look up the fixture and build its iteration
+   * @returns {Object} { name, iterate(helper) }
+   */
+  loadFixture() {
+    const { service, fixture, environment } = this.options;
+    const testData = FixtureRunner.loadFixtures(service, environment)[fixture];
+    if (!testData) {
+      throw new Error(`Fixture '${fixture}' not found in ${service}-${environment}.json`);
+    }
+    this.apiHelper.useContract(service);
+    return {
+      name: `${service} › ${fixture}`,
+      iterate: helper => helper.makeApiRequest({ testName: fixture, ...testData }),
+    };
+  }
+
+  /**
+   * Look up the scenario and build its iteration
+   * @returns {Object} { name, iterate(helper) }
+   */
+  loadScenario() {
+    const { scenario: name, environment } = this.options;
+    const scenario = ScenarioRunner.loadScenarios()
+      .find(candidate => candidate.name === name || candidate.file === name || candidate.file === `${name}.json`);
+    if (!scenario) {
+      throw new Error(`Scenario '${name}' not found in api-tests/scenarios`);
+    }
+    return {
+      name: `scenario › ${scenario.name || scenario.file}`,
+      iterate: helper => ScenarioRunner.run(helper, scenario, environment),
+    };
+  }
+
+  /**
+   * Run the load for the configured duration and summarise it
+   * @returns {Promise<Object>} Summary (see summarize())
+   */
+  async run() {
+    const { duration, rate, concurrency, verbose } = this.options;
+    const mode = rate ? `${rate} iterations/s` : `${concurrency} virtual users`;
+    console.log(`\n📈 Load: ${this.target.name} at ${mode} for ${duration}s (${this.options.environment.toUpperCase()})`);
+
+    // Log in once up front, so the first iterations do not measure the login
+    await this.apiHelper.getAccessToken().catch(() => null);
+    this.apiHelper.har.flush();
+
+    const restoreConsole = verbose ? () => {} : LoadRunner.muteConsole();
+    this.startedAt = Date.now();
+    const deadline = this.startedAt + duration * 1000;
+    const progress = setInterval(() => this.printProgress(), PROGRESS_INTERVAL_MS);
+    try {
+      await (rate ? this.runAtRate(rate, deadline) : this.runWithUsers(concurrency, deadline));
+    } finally {
+      clearInterval(progress);
+      restoreConsole();
+    }
+    this.finishedAt = Date.now();
+
+    return this.summarize();
+  }
+
+  /**
+   * Closed model: each virtual user loops until the deadline
+   * @param {number} users - Virtual users
+   * @param {number} deadline - End time (epoch ms)
+   */
+  async runWithUsers(users, deadline) {
+    await Promise.all([...Array(users).keys()].map(async () => {
+      while (Date.now() < deadline) {
+        await this.iterate();
+      }
+    }));
+  }
+
+  /**
+   * Open model: start iterations on a fixed schedule until the deadline
+   * @param {number} rate - Iterations per second
+   * @param {number} deadline - End time (epoch ms)
+   */
+  async runAtRate(rate, deadline) {
+    const inFlight = new Set();
+    const spacing = 1000 / rate;
+    for (let next = Date.now(); next < deadline; next += spacing) {
+      await sleep(Math.max(0, next - Date.now()));
+      if (inFlight.size >= this.options.maxInFlight) {
+        this.dropped += 1;
+        continue;
+      }
+      const iteration = this.iterate().finally(() => inFlight.delete(iteration));
+      inFlight.add(iteration);
+    }
+    await Promise.all(inFlight);
+  }
+
+  /**
+   * Run one iteration and count its outcome and exchanges
+   * Each iteration gets its own stored data and HAR recorder, so captures and exchanges of
+   * concurrent iterations do not mix
+   */
+  async iterate() {
+    const har = new HarRecorder();
+    const helper = Object.create(this.apiHelper, {
+      storedTestData: { value: {}, writable: true },
+      har: { value: har },
+      http: { value: har.install(RequestTimer.install(axios.create())) },
+    });
+    const startedAt = Date.now();
+    let error = null;
+    try {
+      await this.target.iterate(helper);
+    } catch (failure) {
+      error = failure.message.split('\n')[0];
+    }
+    this.recordIteration(startedAt, Date.now() - startedAt, error);
+    har.entries.forEach(entry => {
+      this.recordExchange(`${entry.request.method} ${new URL(entry.request.url).pathname}`, entry.response.status, entry.time);
+    });
+  }
+
+  /**
+   * Count one iteration
+   * @param {number} startedAt - Start time (epoch ms)
+   * @param {number} durationMs - Duration in ms
+   * @param {string|null} error - First line of the error, if the iteration failed
+   */
+  recordIteration(startedAt, durationMs, error) {
+    const index = Math.max(0, Math.floor((startedAt - this.startedAt) / (this.options.interval * 1000)));
+    const interval = this.intervals[index] = this.intervals[index] || { iterations: 0, failed: 0, latency: new LatencyHistogram() };
+    interval.iterations += 1;
+    interval.latency.add(durationMs);
+
+    this.latency.add(durationMs);
+    this.histogram[LoadRunner.bucketIndex(durationMs)] += 1;
+    if (error) {
+      this.failed += 1;
+      interval.failed += 1;
+      this.errors[error] = (this.errors[error] || 0) + 1;
+    }
+  }
+
+  /**
+   * Count one HTTP exchange
+   * @param {string} endpoint - Endpoint key (e.g. 'GET /payout/overview')
+   * @param {number} status - HTTP status (0 = network error)
+   * @param {number} time - Duration in ms
+   */
+  recordExchange(endpoint, status, time) {
+    this.statuses[status] = (this.statuses[status] || 0) + 1;
+    const entry = this.endpoints[endpoint] = this.endpoints[endpoint] || { errors: 0, latency: new LatencyHistogram() };
+    entry.latency.add(time);
+    if (status === 0 || status >= 500) {
+      entry.errors += 1;
+    }
+  }
+
+  /**
+   * Print one progress line (not muted)
+   */
+  printProgress() {
+    const elapsed = Math.round((Date.now() - this.startedAt) / 1000);
+    const errorRate = this.latency.count > 0 ? ((this.failed / this.latency.count) * 100).toFixed(1) : '0.0';
+    process.stdout.write(
+      `⏳ ${elapsed}s/${this.options.duration}s · ${this.latency.count} iterations · ` +
+      `${errorRate}% errors · p95 ${this.latency.percentile(95)}ms\n`
+    );
+  }
+
+  /**
+   * Summarise the run
+   * @returns {Object} { target, environment, mode, duration, iterations, latency, histogram, statuses, endpoints, errors, intervals, thresholds, passed }
+   */
+  summarize() {
+    const total = this.latency.count;
+    const elapsedSeconds = (this.finishedAt - this.startedAt) / 1000;
+    const errorRate = total > 0 ? Number(((this.failed / total) * 100).toFixed(2)) : 0;
+
+    const summary = {
+      target: this.target.name,
+      environment: this.options.environment,
+      mode: this.options.rate
+        ? { rate: this.options.rate, maxInFlight: this.options.maxInFlight }
+        : { concurrency: this.options.concurrency },
+      startedAt: new Date(this.startedAt).toISOString(),
+      duration: Number(elapsedSeconds.toFixed(1)),
+      iterations: {
+        total,
+        passed: total - this.failed,
+        failed: this.failed,
+        dropped: this.dropped,
+        errorRate,
+        perSecond: Number((total / elapsedSeconds).toFixed(2)),
+      },
+      latency: { ...this.latency.summarize(), mean: this.latency.mean() },
+      histogram: this.histogram.map((count, index) => ({
+        bucket: index < HISTOGRAM_BUCKETS.length ? `≤ ${HISTOGRAM_BUCKETS[index]}ms` : `> ${HISTOGRAM_BUCKETS[HISTOGRAM_BUCKETS.length - 1]}ms`,
+        count,
+      })),
+      statuses: { ...this.statuses },
+      endpoints: Object.keys(this.endpoints).sort().reduce((endpoints, endpoint) => {
+        const { count, p50, p95, p99, max } = this.endpoints[endpoint].latency.summarize();
+        endpoints[endpoint] = { count, errors: this.endpoints[endpoint].errors, p50, p95, p99, max };
+        return endpoints;
+      }, {}),
+      errors: LoadRunner.topErrors(this.errors),
+      intervals: this.timeline(),
+    };
+
+    summary.thresholds = [];
+    if (this.options.thresholds.p95 !== undefined) {
+      summary.thresholds.push({ name: 'p95 (ms)', limit: this.options.thresholds.p95, actual: summary.latency.p95, passed: summary.latency.p95 !== null && summary.latency.p95 <= this.options.thresholds.p95 });
+    }
+    if (this.options.thresholds.errorRate !== undefined) {
+      summary.thresholds.push({ name: 'error rate (%)', limit: this.options.thresholds.errorRate, actual: errorRate, passed: errorRate <= this.options.thresholds.errorRate });
+    }
+    summary.passed = summary.iterations.total > 0 && summary.thresholds.every(threshold => threshold.passed);
+    return summary;
+  }
+
+  /**
+   * Iterations, errors and p95 per interval, by start time
+   * @returns {Array<Object>} [{ from, iterations, failed, p95 }]
+   */
+  timeline() {
+    return [...this.intervals.keys()].map(index => {
+      const interval = this.intervals[index] || { iterations: 0, failed: 0, latency: new LatencyHistogram() };
+      return {
+        from: `${index * this.options.interval}s`,
+        iterations: interval.iterations,
+        failed: interval.failed,
+        p95: interval.latency.percentile(95),
+      };
+    });
+  }
+
+  /**
+   * Reported histogram bucket of an iteration latency
+   * @param {number} durationMs - Latency in ms
+   * @returns {number} Index into HISTOGRAM_BUCKETS, or its length for the open bucket
+   */
+  static bucketIndex(durationMs) {
+    const index = HISTOGRAM_BUCKETS.findIndex(bound => durationMs <= bound);
+    return index === -1 ? HISTOGRAM_BUCKETS.length : index;
+  }
+
+  /**
+   * Most frequent iteration errors
+   * @param {Object} counts - Error message → count
+   * @param {number} limit - Number of errors to keep
+   * @returns {Array<Object>} [{ error, count }] most frequent first
+   */
+  static topErrors(counts, limit = 10) {
+    return Object.keys(counts)
+      .map(error => ({ error, count: counts[error] }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+  }
+
+  /**
+   * Silence console output of the helper while the load runs
+   * @returns {Function} Restores the console
+   */
+  static muteConsole() {
+    const original = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+    Object.keys(original).forEach(method => { console[method] = () => {}; });
+    return () => Object.assign(console, original);
+  }
+
+  /**
+   * Print the summary and write it as JSON and HTML
+   * @param {Object} summary - Summary from run()
+   * @param {string} directory - Output directory (default: api-tests/reports/load)
+   * @returns {Object} { json, html } file paths
+   */
+  static writeReports(summary, directory = REPORT_DIR) {
+    const slug = summary.target.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const files = { json: path.join(directory, `${slug}.json`), html: path.join(directory, `${slug}.html`) };
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(files.json, JSON.stringify(summary, null, 2));
+    fs.writeFileSync(files.html, LoadRunner.renderHtml(summary));
+
+    console.log(`\n📈 LOAD SUMMARY: ${summary.target}`);
+    console.table({ iterations: summary.iterations });
+    console.table({ 'latency (ms)': summary.latency });
+    console.table(summary.statuses);
+    if (summary.thresholds.length > 0) {
+      console.table(summary.thresholds);
+    }
+    console.log(`${summary.passed ? '✅ Thresholds met' : '❌ Thresholds not met'}`);
+    console.log(`📄 Written to ${path.relative(process.cwd(), files.json)} and ${path.relative(process.cwd(), files.html)}`);
+    return files;
+  }
+
+  /**
+   * Render the summary as a standalone HTML page
+   * @param {Object} summary - Summary from run()
+   * @returns {string} HTML document
+   */
+  static renderHtml(summary) {
+    const table = (rows, columns) => `<table><tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>${
+      rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell === null || cell === undefined ? '–' : cell)}</td>`).join('')}</tr>`).join('')
+    }</table>`;
+    const maxCount = Math.max(1, ...summary.histogram.map(bucket => bucket.count));
+    const histogram = summary.histogram.map(bucket => `<tr><td>${escapeHtml(bucket.bucket)}</td>` +
+      `<td class="bar"><span style="width:${(bucket.count / maxCount) * 100}%"></span></td><td>${bucket.count}</td></tr>`).join('');
+    const mode = summary.mode.rate ? `${summary.mode.rate} iterations/s` : `${summary.mode.concurrency} virtual users`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Load: ${escapeHtml(summary.target)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 1.5rem; }
+  th, td { border: 1px solid #ddd; padding: 0.3rem 0.7rem; text-align: left; }
+  th { background: #f4f4f4; }
+  .bar { width: 24rem; }
+  .bar span { display: block; height: 0.9rem; background: #4a7bd0; }
+  .passed { color: #1a7f37; } .failed { color: #cf222e; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(summary.target)}</h1>
+<p>${escapeHtml(summary.environment.toUpperCase())} · ${escapeHtml(mode)} · ${summary.duration}s from ${escapeHtml(summary.startedAt)}</p>
+<h2 class="${summary.passed ? 'passed' : 'failed'}">${summary.passed ? '✅ Thresholds met' : '❌ Thresholds not met'}</h2>
+${table(summary.thresholds.map(threshold => [threshold.name, threshold.limit, threshold.actual, threshold.passed ? '✅' : '❌']), ['Threshold', 'Limit', 'Actual', ''])}
+<h2>Iterations</h2>
+${table([Object.values(summary.iterations)], Object.keys(summary.iterations))}
+<h2>Latency (ms)</h2>
+${table([Object.values(summary.latency)], Object.keys(summary.latency))}
+<h2>Histogram</h2>
+<table>${histogram}</table>
+<h2>Statuses</h2>
+${table(Object.keys(summary.statuses).map(status => [status === '0' ? '0 (network error)' : status, summary.statuses[status]]), ['Status', 'Count'])}
+<h2>Endpoints</h2>
+${table(Object.keys(summary.endpoints).map(endpoint => [endpoint, ...Object.values(summary.endpoints[endpoint])]), ['Endpoint', 'count', 'errors', 'p50', 'p95', 'p99', 'max'])}
+<h2>Errors</h2>
+${summary.errors.length > 0 ? table(summary.errors.map(error => [error.count, error.error]), ['Count', 'Error']) : '<p>None</p>'}
+<h2>Timeline</h2>
+${table(summary.intervals.map(interval => Object.values(interval)), ['From', 'Iterations', 'Failed', 'p95 (ms)'])}
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = LoadRunner;
@@ -0,0 +1,160 @@
+/**
+ * Money
+ * Exact INR amounts as integer paise, so balances never go through floating point
+ *
+ *   Money.parse('80024148.00')       → 8002414800
+ *   Money.parse(12.5)                → 1250
+ *   Money.parse('10.005')            → throws (more than 2 decimal places)
+ *   Money.subtract(8002414800, 1050) → 8002413750
+ *   Money.equals(1000, 1001, 1)      → true (tolerance in paise)
+ *   Money.format(8002414800)         → '₹8,00,24,148.00' (lakh/crore grouping)
+ *   Money.toDecimal(8002414800)      → '80024148.00' (API format)
+ *
+ * Amounts in API bodies are rupee strings or numbers with at most 2 decimal places. Parsed values
+ * must stay within Number.MAX_SAFE_INTEGER paise. Arithmetic and comparison take paise.
+ */
+
+const AMOUNT_PATTERN = /^([+-])?(\d+)(?:\.(\d+))?$/;
+
+class Money {
+  /**
+   * Parse a rupee amount into paise
+   * @param {string|number} value - Amount in rupees (e.g. '80024148.00', 12.5)
+   * @returns {number} Integer paise
+   * @throws {Error} When the value is not an amount, has more than 2 decimal places or is too large
+   */
+  static parse(value) {
+    const text = typeof value === 'number' ? Money.numberToText(value) : value;
+    const parts = typeof text === 'string' ? text.trim().match(AMOUNT_PATTERN) : null;
+    if (!parts) {
+      throw new Error(`Not an amount: ${JSON.stringify(value)}`);
+    }
+
+    const [, sign, rupees, decimals = ''] = parts;
+    if (decimals.length > 2) {
+      throw new Error(`Amount ${JSON.stringify(value)} has more than 2 decimal places`);
+    }
+    const paise = Number(rupees) * 100 + Number(decimals.padEnd(2, '0'));
+    if (!Number.isSafeInteger(paise)) {
+      throw new Error(`Amount ${JSON.stringify(value)} is too large to handle exactly`);
+    }
+    return sign === '-' && paise !== 0 ? -paise : paise;
+  }
+
+  /**
+   * Whether a value parses as an amount
+   * @param {*} value - Candidate amount
+   * @returns {boolean} True if Money.parse() accepts it
+   */
+  static isValid(value) {
+    try {
+      Money.parse(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Write a number without exponent notation, keeping every decimal it really has
+   * (0.1 + 0.2 stays '0.30000000000000004', so it fails the 2-decimal rule)
+   * @param {number} value - Number
+   * @returns {string|null} Decimal text, or null for NaN, Infinity and exponent-sized numbers
+   */
+  static numberToText(value) {
+    const text = String(value);
+    return Number.isFinite(value) && !/e/i.test(text) ? text : null;
+  }
+
+  /**
+   * Add amounts
+   * @param {...number} paise - Amounts in paise
+   * @returns {number} Sum in paise
+   */
+  static add(...paise) {
+    return Money.checked(paise.reduce((sum, amount) => sum + Money.checked(amount), 0));
+  }
+
+  /**
+   * Subtract one amount from another
+   * @param {number} paise - Amount in paise
+   * @param {number} subtrahend - Amount to subtract, in paise
+   * @returns {number} Difference in paise
+   */
+  static subtract(paise, subtrahend) {
+    return Money.checked(Money.checked(paise) - Money.checked(subtrahend));
+  }
+
+  /**
+   * Multiply an amount by a whole count (e.g. one debit per request)
+   * @param {number} paise - Amount in paise
+   * @param {number} count - Integer factor
+   * @returns {number} Product in paise
+   */
+  static multiply(paise, count) {
+    if (!Number.isInteger(count)) {
+      throw new Error(`Money.multiply needs a whole count, got ${count}`);
+    }
+    return Money.checked(Money.checked(paise) * count);
+  }
+
+  /**
+   * Compare two amounts
+   * @param {number} a - Amount in paise
+   * @param {number} b - Amount in paise
+   * @returns {number} -1, 0 or 1
+   */
+  static compare(a, b) {
+    return Math.sign(Money.subtract(a, b));
+  }
+
+  /**
+   * Whether two amounts are equal within a tolerance
+   * @param {number} a - Amount in paise
+   * @param {number} b - Amount in paise
+   * @param {number} tolerance - Largest allowed difference, in paise (default 0)
+   * @returns {boolean} True if |a - b| <= tolerance
+   */
+  static equals(a, b, tolerance = 0) {
+    return Math.abs(Money.subtract(a, b)) <= Money.checked(tolerance);
+  }
+
+  /**
+   * Format paise as rupees with the decimal point, as APIs send them
+   * @param {number} paise - Amount in paise
+   * @returns {string} e.g. '80024148.00'
+   */
+  static toDecimal(paise) {
+    const absolute = Math.abs(Money.checked(paise));
+    const rupees = Math.floor(absolute / 100);
+    return `${paise < 0 ? '-' : ''}${rupees}.${String(absolute % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Format paise for people: ₹ sign and Indian grouping (thousands, then lakhs and crores)
+   * @param {number} paise - Amount in paise
+   * @param {Object} options - { symbol: include '₹' (default true) }
+   * @returns {string} e.g. '₹8,00,24,148.00', '-₹1,250.50'
+   */
+  static format(paise, { symbol = true } = {}) {
+    const [rupees, decimals] = Money.toDecimal(Math.abs(paise)).split('.');
+    const lastThree = rupees.slice(-3);
+    const rest = rupees.slice(0, -3);
+    const grouped = rest ? `${rest.replace(/\B(?=(\d{2})+$)/g, ',')},${lastThree}` : lastThree;
+    return `${paise < 0 ? '-' : ''}${symbol ? '₹' : ''}${grouped}.${decimals}`;
+  }
+
+  /**
+   * Ensure a value is a safe integer number of paise
+   * @param {number} paise - Value to check
+   * @returns {number} The same value
+   */
+  static checked(paise) {
+    if (!Number.isSafeInteger(paise)) {
+      throw new Error(`Not an exact amount in paise: ${paise}`);
+    }
+    return paise;
+  }
+}
+
+module.exports = Money;
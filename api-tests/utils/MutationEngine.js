@@ -0,0 +1,234 @@
+/**
+ * Mutation Engine
+ * Derives negative variants from a passing fixture by breaking one field at a time
+ *
+ * Mutation kinds:
+ *   missing      - field removed
+ *   wrongType    - value replaced by one of another type
+ *   empty        - string replaced by ''
+ *   oversize     - string longer than maxLength (10001 characters without one)
+ *   outOfRange   - number below minimum / above maximum (-1 without bounds)
+ *   invalidEnum  - value outside the enum
+ *   unknownField - unexpected top-level property added to the body
+ *
+ * Fields are taken from the fixture's params and requestBody. With the service's OpenAPI
+ * contract, only required fields are removed, enums and bounds come from the schema and empty
+ * strings are only sent to required or constrained fields; without one, every field is treated
+ * as required. Each variant expects a 4xx VALIDATION_ERROR envelope whose error.errors[] names
+ * the field (leaf key or dotted path), so a 5xx always fails.
+ *
+ * Variants are only registered with API_MUTATIONS=on: a variant the API accepts is a real call,
+ * e.g. one more OTP SMS for the send-OTP fixture.
+ */
+
+const FixtureGenerator = require('./FixtureGenerator');
+
+const KINDS = ['missing', 'wrongType', 'empty', 'oversize', 'outOfRange', 'invalidEnum', 'unknownField'];
+const OVERSIZE_LENGTH = 10001;
+const INVALID_ENUM_VALUE = 'INVALID_VALUE';
+const UNKNOWN_FIELD = 'unexpectedField';
+
+// Fixture fields a variant keeps; expectations are replaced
+const REQUEST_FIELDS = ['method', 'url', 'params', 'headers', 'requestBody', 'role', 'auth', 'contract', 'expectedResponseTime', 'retryPolicy'];
+
+const clone = value => JSON.parse(JSON.stringify(value));
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// A value of another type than the original
+const WRONG_TYPE_VALUES = {
+  string: 12345,
+  number: 'not-a-number',
+  boolean: 'not-a-boolean',
+  object: 'not-an-object',
+  array: 'not-an-array',
+};
+
+class MutationEngine {
+  /**
+   * Whether mutation variants are registered in this run
+   * @returns {boolean} True when API_MUTATIONS=on
+   */
+  static isEnabled() {
+    return (process.env.API_MUTATIONS || 'off').trim().toLowerCase() === 'on';
+  }
+
+  /**
+   * @param {Object} fixture - Passing fixture (test data)
+   * @param {Object} options
+   * @param {ContractValidator} options.contract - Service contract, if any
+   * @param {Array<string>} options.kinds - Mutation kinds to generate (default: all)
+   * @param {Array<string>} options.skip - Field paths to leave alone (e.g. 'device.deviceId')
+   */
+  constructor(fixture, { contract = null, kinds = KINDS, skip = [] } = {}) {
+    const unknownKinds = kinds.filter(kind => !KINDS.includes(kind));
+    if (unknownKinds.length > 0) {
+      throw new Error(`Unknown mutation kind(s): ${unknownKinds.join(', ')}. Available: ${KINDS.join(', ')}`);
+    }
+
+    this.fixture = fixture;
+    this.kinds = kinds;
+    this.skip = skip;
+    this.schemas = contract ? new FixtureGenerator(contract.document, contract.name) : null;
+    this.entry = contract ? contract.findOperation(fixture.method || 'GET', fixture.url || '') : null;
+  }
+
+  /**
+   * Build the engine for a fixture's "mutations" setting
+   * @param {Object} fixture - Fixture with mutations: true or { kinds, skip }
+   * @param {Array<ContractValidator>} contracts - Loaded contracts
+   * @returns {MutationEngine} Engine
+   */
+  static forFixture(fixture, contracts = []) {
+    const options = isObject(fixture.mutations) ? fixture.mutations : {};
+    const contract = contracts.find(candidate => candidate.findOperation(fixture.method || 'GET', fixture.url || '')) || null;
+    return new MutationEngine(fixture, { contract, ...options });
+  }
+
+  /**
+   * Generate every variant
+   * @returns {Array<Object>} [{ name, kind, field, testData }]
+   */
+  generate() {
+    const variants = [];
+    const operation = this.entry ? this.entry.operation : null;
+
+    if (isObject(this.fixture.params)) {
+      const parameters = operation ? (operation.parameters || []).map(parameter => this.schemas.contract.dereference(parameter)) : [];
+      const querySchema = {
+        type: 'object',
+        properties: parameters.filter(parameter => parameter.in === 'query')
+          .reduce((properties, parameter) => ({ ...properties, [parameter.name]: parameter.schema || {} }), {}),
+        required: parameters.filter(parameter => parameter.in === 'query' && parameter.required).map(parameter => parameter.name),
+      };
+      this.walk('params', this.fixture.params, [], operation ? querySchema : null, variants);
+    }
+
+    if (isObject(this.fixture.requestBody)) {
+      const bodySchema = operation ? this.schemas.getJsonSchema(this.schemas.contract.dereference(operation.requestBody)) : null;
+      this.walk('requestBody', this.fixture.requestBody, [], bodySchema, variants);
+
+      if (this.kinds.includes('unknownField') && !(UNKNOWN_FIELD in this.fixture.requestBody)) {
+        variants.push(this.buildVariant('unknownField', 'requestBody', [UNKNOWN_FIELD], (body, key) => {
+          body[key] = 'unexpected';
+        }, `unknown field ${UNKNOWN_FIELD}`));
+      }
+    }
+
+    return variants;
+  }
+
+  /**
+   * Generate the variants of every property of an object, depth first
+   * @param {string} location - 'params' or 'requestBody'
+   * @param {Object} value - Object in the fixture
+   * @param {Array<string>} path - Path of the object
+   * @param {Object|null} schema - Object schema, when a contract is loaded
+   * @param {Array<Object>} variants - Variants to append to
+   */
+  walk(location, value, path, schema, variants) {
+    const resolved = schema ? this.schemas.resolveSchema(schema) : null;
+
+    Object.keys(value).forEach(key => {
+      const fieldPath = [...path, key];
+      if (this.skip.includes(fieldPath.join('.'))) {
+        return;
+      }
+      const property = resolved && resolved.properties && resolved.properties[key]
+        ? this.schemas.resolveSchema(resolved.properties[key])
+        : null;
+      const required = resolved ? (resolved.required || []).includes(key) : true;
+
+      this.mutateField(location, fieldPath, value[key], property, required, variants);
+      if (isObject(value[key])) {
+        this.walk(location, value[key], fieldPath, property, variants);
+      }
+    });
+  }
+
+  /**
+   * Generate the variants of one field
+   * @param {string} location - 'params' or 'requestBody'
+   * @param {Array<string>} path - Field path
+   * @param {*} value - Valid value from the fixture
+   * @param {Object|null} schema - Field schema, when known
+   * @param {boolean} required - Whether the field is required
+   * @param {Array<Object>} variants - Variants to append to
+   */
+  mutateField(location, path, value, schema, required, variants) {
+    const label = path.join('.');
+    const type = Array.isArray(value) ? 'array' : typeof value;
+    const isString = type === 'string' || (schema && schema.type === 'string');
+    const isNumber = type === 'number' || (schema && ['number', 'integer'].includes(schema.type));
+    const set = replacement => (parent, key) => { parent[key] = replacement; };
+    const add = (kind, mutate, description) => {
+      if (this.kinds.includes(kind)) {
+        variants.push(this.buildVariant(kind, location, path, mutate, description));
+      }
+    };
+
+    if (required) {
+      add('missing', (parent, key) => { delete parent[key]; }, `missing ${label}`);
+    }
+
+    if (WRONG_TYPE_VALUES[type] !== undefined) {
+      add('wrongType', set(WRONG_TYPE_VALUES[type]), `wrong type ${label} (${typeof WRONG_TYPE_VALUES[type]} instead of ${type})`);
+    }
+
+    if (isString) {
+      const forbidsEmpty = !schema || required || schema.minLength > 0 || Boolean(schema.pattern || schema.enum || schema.format);
+      if (forbidsEmpty) {
+        add('empty', set(''), `empty ${label}`);
+      }
+      const length = schema && schema.maxLength !== undefined ? schema.maxLength + 1 : OVERSIZE_LENGTH;
+      add('oversize', set('x'.repeat(length)), `oversize ${label} (${length} chars)`);
+    }
+
+    if (isNumber) {
+      const bounds = [];
+      if (schema && schema.minimum !== undefined) bounds.push(schema.minimum - 1);
+      if (schema && schema.maximum !== undefined) bounds.push(schema.maximum + 1);
+      if (!schema || bounds.length === 0) bounds.push(-1);
+      bounds.forEach(bound => add('outOfRange', set(bound), `out of range ${label} (${bound})`));
+    }
+
+    if (schema && schema.enum) {
+      add('invalidEnum', set(INVALID_ENUM_VALUE), `invalid enum ${label}`);
+    }
+  }
+
+  /**
+   * Build one variant
+   * @param {string} kind - Mutation kind
+   * @param {string} location - 'params' or 'requestBody'
+   * @param {Array<string>} path - Field path
+   * @param {Function} mutate - (parent, key) → void, changes the copied fixture
+   * @param {string} description - Variant description
+   * @returns {Object} { name, kind, field, testData }
+   */
+  buildVariant(kind, location, path, mutate, description) {
+    const testData = {};
+    REQUEST_FIELDS.filter(field => this.fixture[field] !== undefined).forEach(field => {
+      testData[field] = clone(this.fixture[field]);
+    });
+
+    const parent = path.slice(0, -1).reduce((current, key) => current[key], testData[location]);
+    mutate(parent, path[path.length - 1]);
+
+    const leaf = path[path.length - 1];
+    const names = [...new Set([leaf, path.join('.')])];
+    Object.assign(testData, {
+      tags: ['mutation', 'negative'],
+      expectedStatus: '4xx',
+      subsetExpectedBody: { error: { category: 'VALIDATION_ERROR' } },
+      customValidations: [{
+        type: 'containsItem',
+        field: 'error.errors',
+        expectedValue: { field: names.length === 1 ? leaf : `@oneOf:${names.join(',')}` },
+      }],
+    });
+
+    return { name: `mutation: ${description}`, kind, field: path.join('.'), testData };
+  }
+}
+
+module.exports = MutationEngine;
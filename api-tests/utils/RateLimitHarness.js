@@ -0,0 +1,342 @@
+/**
+ * Rate Limit Harness
+ * Fires bursts of one request, finds where the API starts throttling and checks that it recovers
+ *
+ * Fixture format (every field optional):
+ *   "rateLimit": {
+ *     "burst": 20,                             // requests per burst
+ *     "modes": ["sequential", "concurrent"],   // one after another, and all at once
+ *     "limitStatus": 429,
+ *     "expectedLimit": 10,                     // requests allowed before throttling starts
+ *     "requiredHeaders": ["retry-after", "x-ratelimit-limit", "x-ratelimit-remaining", "x-ratelimit-reset"],
+ *     "window": 60,                            // seconds to wait when the response gives no reset time
+ *     "maxWait": 120                           // longest wait for the window to reset, in seconds
+ *   }
+ *
+ * A request is allowed when it gets the fixture's expectedStatus (default: any 2xx). Each burst
+ * must hit limitStatus; the first throttled response must carry the required headers, and the
+ * X-RateLimit-* values must agree with what was observed. After a burst the harness waits for
+ * Retry-After (or X-RateLimit-Reset, or window) and sends one more request, which must be allowed.
+ *
+ * Requests are sent without retries. The report per mode is attached to the test, and per-worker
+ * results are merged by global teardown into api-tests/reports/rate-limits.json.
+ */
+
+const { test } = require('@playwright/test');
+const RetryPolicy = require('./RetryPolicy');
+const RunRecorder = require('./RunRecorder');
+
+const results = new RunRecorder('rate-limits', 'rate-limits');
+const MODES = ['sequential', 'concurrent'];
+const RATE_LIMIT_HEADERS = ['retry-after', 'x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset'];
+
+// Copied into every burst request, without expectations: the 429s are what the harness counts
+const REQUEST_FIELDS = ['method', 'url', 'params', 'headers', 'requestBody', 'role', 'auth', 'contract', 'envelope'];
+
+const readInteger = (headers, name) => {
+  const value = headers[name];
+  return value !== undefined && /^\d+$/.test(String(value).trim()) ? parseInt(value, 10) : null;
+};
+
+class RateLimitHarness {
+  /**
+   * @param {FintechApiHelper} apiHelper - Helper instance
+   */
+  constructor(apiHelper) {
+    this.apiHelper = apiHelper;
+  }
+
+  /**
+   * Run every mode of a fixture's rateLimit settings, attach the report and fail on findings
+   * @param {Object} testData - Fixture with testName and rateLimit
+   * @returns {Promise<Array<Object>>} Report per mode
+   */
+  async run(testData) {
+    const options = {
+      burst: 20,
+      modes: MODES,
+      limitStatus: 429,
+      requiredHeaders: RATE_LIMIT_HEADERS,
+      window: 60,
+      maxWait: 120,
+      ...testData.rateLimit,
+    };
+    const unknownModes = options.modes.filter(mode => !MODES.includes(mode));
+    if (unknownModes.length > 0) {
+      throw new Error(`rateLimit: unknown mode(s) ${unknownModes.join(', ')}. Available: ${MODES.join(', ')}`);
+    }
+
+    const endpoint = `${(testData.method || 'GET').toUpperCase()} ${testData.url}`;
+    const reports = [];
+    for (const mode of options.modes) {
+      // The recovery request of the previous mode used up part of a new window
+      const previous = reports[reports.length - 1];
+      if (previous && previous.recovery && previous.recovery.nextResetMs <= options.maxWait * 1000) {
+        await this.wait(previous.recovery.nextResetMs, `before the ${mode} burst`);
+      }
+      const report = await this.apiHelper.step(`Rate limit: ${options.burst} ${mode} requests`, () => this.runMode(testData, options, mode));
+      RateLimitHarness.record({ endpoint, fixture: testData.testName, ...report });
+      reports.push(report);
+    }
+
+    await this.apiHelper.attachToReport('rate-limit', reports);
+    const findings = reports.flatMap(report => report.findings.map(finding => `  ✗ ${report.mode}: ${finding}`));
+    if (findings.length > 0) {
+      throw new Error(`Rate limit check failed for ${testData.testName}:\n${findings.join('\n')}`);
+    }
+    return reports;
+  }
+
+  /**
+   * Fire one burst, check the throttled response, then wait for the window and check recovery
+   * @param {Object} testData - Fixture
+   * @param {Object} options - Rate limit settings
+   * @param {string} mode - 'sequential' or 'concurrent'
+   * @returns {Promise<Object>} { mode, burst, allowed, throttledAt, headers, recovery, findings }
+   */
+  async runMode(testData, options, mode) {
+    const report = { mode, burst: options.burst, allowed: 0, throttledAt: null, headers: null, recovery: null, findings: [] };
+    console.log(`\n🚦 Rate limit (${mode}): ${options.burst} requests to ${testData.method || 'GET'} ${testData.url}`);
+
+    const send = number => this.send(testData, `${testData.testName} #${number}`);
+    const numbers = [...Array(options.burst).keys()].map(index => index + 1);
+    let results;
+    if (mode === 'concurrent') {
+      results = await Promise.all(numbers.map(send));
+    } else {
+      results = [];
+      for (const number of numbers) {
+        results.push(await send(number));
+      }
+    }
+
+    const throttled = [];
+    results.forEach((result, index) => {
+      const number = index + 1;
+      if (result.error) {
+        report.findings.push(`request #${number} failed: ${result.error.message.split('\n')[0]}`);
+      } else if (result.status === options.limitStatus) {
+        throttled.push({ number, response: result });
+      } else if (this.isAllowed(result, testData)) {
+        report.allowed += 1;
+        if (mode === 'sequential' && throttled.length > 0) {
+          report.findings.push(`request #${number} got ${result.status} after request #${throttled[0].number} was throttled`);
+        }
+      } else {
+        report.findings.push(`request #${number} got unexpected status ${result.status}`);
+      }
+    });
+
+    if (throttled.length === 0) {
+      report.findings.push(`not throttled after ${options.burst} requests (${report.allowed} allowed)`);
+      return this.finish(report);
+    }
+
+    // Concurrent requests finish in any order, so the throttle point is the count of allowed ones
+    report.throttledAt = mode === 'sequential' ? throttled[0].number : report.allowed + 1;
+    if (options.expectedLimit !== undefined && report.allowed !== options.expectedLimit) {
+      report.findings.push(`${report.allowed} requests allowed, expected ${options.expectedLimit}`);
+    }
+
+    const limited = throttled[0].response;
+    report.headers = this.checkHeaders(limited, results.filter(result => !result.error), options, report);
+
+    const waitMs = this.getResetDelay(limited, options);
+    if (waitMs > options.maxWait * 1000) {
+      report.findings.push(`window resets in ${Math.ceil(waitMs / 1000)}s, more than maxWait ${options.maxWait}s; recovery not checked`);
+      return this.finish(report);
+    }
+    report.recovery = await this.checkRecovery(testData, options, waitMs, report);
+    return this.finish(report);
+  }
+
+  /**
+   * Send one request of a burst without retries or expectations
+   * @param {Object} testData - Fixture
+   * @param {string} testName - Name for the logs
+   * @returns {Promise<Object>} Axios response, or { error }
+   */
+  send(testData, testName) {
+    const request = { testName, retryPolicy: false };
+    REQUEST_FIELDS.filter(field => testData[field] !== undefined).forEach(field => { request[field] = testData[field]; });
+    return this.apiHelper.sendApiRequest(request).catch(error => ({ error }));
+  }
+
+  /**
+   * Whether a response counts as allowed (the fixture's expectedStatus, default any 2xx)
+   * @param {Object} response - Axios response
+   * @param {Object} testData - Fixture
+   * @returns {boolean} True if allowed
+   */
+  isAllowed(response, testData) {
+    return this.apiHelper.constructor.matchesStatus(response.status, testData.expectedStatus || '2xx');
+  }
+
+  /**
+   * Check Retry-After and X-RateLimit-* against the required headers and the observed limit
+   * @param {Object} limited - First throttled response
+   * @param {Array<Object>} responses - Every response of the burst
+   * @param {Object} options - Rate limit settings
+   * @param {Object} report - Report to add findings to
+   * @returns {Object} Header values of the throttled response
+   */
+  checkHeaders(limited, responses, options, report) {
+    const headers = limited.headers || {};
+    options.requiredHeaders
+      .filter(name => headers[name.toLowerCase()] === undefined)
+      .forEach(name => report.findings.push(`throttled response has no ${name} header`));
+
+    const values = {
+      retryAfter: headers['retry-after'],
+      limit: readInteger(headers, 'x-ratelimit-limit'),
+      remaining: readInteger(headers, 'x-ratelimit-remaining'),
+      reset: headers['x-ratelimit-reset'],
+    };
+
+    if (values.retryAfter !== undefined && RetryPolicy.parseRetryAfter(values.retryAfter) === null) {
+      report.findings.push(`Retry-After ${JSON.stringify(values.retryAfter)} is neither seconds nor an HTTP date`);
+    }
+    if (values.remaining !== null && values.remaining !== 0) {
+      report.findings.push(`throttled response has X-RateLimit-Remaining ${values.remaining}, expected 0`);
+    }
+    if (report.mode === 'sequential' && values.limit !== null && report.allowed > values.limit) {
+      report.findings.push(`${report.allowed} requests allowed, but X-RateLimit-Limit is ${values.limit}`);
+    }
+
+    responses.forEach(response => {
+      const limit = readInteger(response.headers || {}, 'x-ratelimit-limit');
+      const remaining = readInteger(response.headers || {}, 'x-ratelimit-remaining');
+      if (limit !== null && remaining !== null && remaining > limit) {
+        report.findings.push(`X-RateLimit-Remaining ${remaining} exceeds X-RateLimit-Limit ${limit}`);
+      }
+    });
+
+    // Each finding once, however many responses share it
+    report.findings = [...new Set(report.findings)];
+    return values;
+  }
+
+  /**
+   * Time until the window resets: Retry-After, else X-RateLimit-Reset, else the configured window
+   * X-RateLimit-Reset is read as epoch seconds when it is a timestamp, and as seconds otherwise
+   * @param {Object} limited - Throttled response
+   * @param {Object} options - Rate limit settings
+   * @returns {number} Delay in ms
+   */
+  getResetDelay(limited, options) {
+    const headers = limited.headers || {};
+    const retryAfter = RetryPolicy.parseRetryAfter(headers['retry-after']);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+
+    const reset = readInteger(headers, 'x-ratelimit-reset');
+    if (reset !== null) {
+      return reset > 1e9 ? Math.max(0, reset * 1000 - Date.now()) : reset * 1000;
+    }
+    return options.window * 1000;
+  }
+
+  /**
+   * Wait for the window to reset and check that the next request is allowed again
+   * @param {Object} testData - Fixture
+   * @param {Object} options - Rate limit settings
+   * @param {number} waitMs - Time until the window resets
+   * @param {Object} report - Report to add findings to
+   * @returns {Promise<Object>} { waitedMs, status, recovered, nextResetMs }
+   */
+  async checkRecovery(testData, options, waitMs, report) {
+    const waitedMs = await this.wait(waitMs, 'for the rate limit window to reset');
+
+    const result = await this.send(testData, `${testData.testName} (after reset)`);
+    if (result.error) {
+      report.findings.push(`request after the window reset failed: ${result.error.message.split('\n')[0]}`);
+      return { waitedMs, status: null, recovered: false, nextResetMs: options.window * 1000 };
+    }
+    const recovered = this.isAllowed(result, testData);
+    if (!recovered) {
+      report.findings.push(`request after waiting ${waitedMs}ms got ${result.status}; the limit did not reset`);
+    }
+    return { waitedMs, status: result.status, recovered, nextResetMs: this.getResetDelay(result, options) };
+  }
+
+  /**
+   * Wait for a rate limit window, extending the test timeout by the same amount
+   * @param {number} ms - Time until the window resets
+   * @param {string} reason - What the wait is for, for the log
+   * @returns {Promise<number>} Time waited in ms
+   */
+  async wait(ms, reason) {
+    const waitedMs = ms + 250; // Margin for clock skew between the suite and the limiter
+    try {
+      // The wait must not eat into the time the test was given for its requests
+      const testInfo = test.info();
+      if (testInfo.timeout > 0) {
+        testInfo.setTimeout(testInfo.timeout + waitedMs);
+      }
+    } catch (error) {
+      // Not inside a running test
+    }
+
+    console.log(`⏳ Waiting ${waitedMs}ms ${reason}`);
+    await new Promise(resolve => setTimeout(resolve, waitedMs));
+    return waitedMs;
+  }
+
+  /**
+   * Log the outcome of a mode
+   * @param {Object} report - Mode report
+   * @returns {Object} The report
+   */
+  finish(report) {
+    console.log(report.findings.length === 0
+      ? `✅ Rate limit (${report.mode}): throttled at request #${report.throttledAt}, recovered after ${report.recovery.waitedMs}ms`
+      : `❌ Rate limit (${report.mode}):\n  ${report.findings.join('\n  ')}`);
+    return report;
+  }
+
+  /**
+   * Remove results from a previous run
+   */
+  static reset() {
+    results.reset();
+  }
+
+  /**
+   * Append the result of one mode to this worker's file
+   * @param {Object} result - { endpoint, fixture, ...mode report }
+   */
+  static record(result) {
+    results.record(result);
+  }
+
+  /**
+   * Read all recorded results
+   * @returns {Array<Object>} Results from every worker
+   */
+  static readResults() {
+    return results.read();
+  }
+
+  /**
+   * Write and print the observed limits per endpoint and mode (a retried fixture keeps its last result)
+   * @returns {Object} '<endpoint> (<mode>)' → observed limits
+   */
+  static writeSummary() {
+    const summary = {};
+    RateLimitHarness.readResults().forEach(result => {
+      summary[`${result.endpoint} (${result.mode})`] = {
+        burst: result.burst,
+        allowed: result.allowed,
+        throttledAt: result.throttledAt,
+        limitHeader: result.headers ? result.headers.limit : null,
+        retryAfter: result.headers && result.headers.retryAfter !== undefined ? result.headers.retryAfter : null,
+        recoveredAfterMs: result.recovery && result.recovery.recovered ? result.recovery.waitedMs : null,
+        findings: result.findings.length,
+      };
+    });
+    return RunRecorder.writeSummary('rate-limits.json', '🚦 OBSERVED RATE LIMITS', summary);
+  }
+}
+
+module.exports = RateLimitHarness;
@@ -0,0 +1,307 @@
+/**
+ * Reconciliation Validator
+ * Checks that the aggregates of one response agree with each other and with the listing endpoints
+ *
+ * Fixture format:
+ *   "reconciliation": "payout-overview"            // rule set in config/reconciliation-rules.js
+ *   "reconciliation": { "sources": { ... }, "rules": [ ... ], "tolerance": "0.01" }
+ *
+ * The fixture is requested once (with its own expectations), each source it needs is read once,
+ * and every rule is evaluated. All broken rules are reported together, each with the figures
+ * that went into it; a rule whose source cannot be read is broken too. The rule-by-rule report
+ * is attached to the test as `reconciliation`.
+ */
+
+const RULE_SETS = require('../config/reconciliation-rules');
+const Money = require('./Money');
+const ResponseValues = require('./ResponseValues');
+
+const OPERATORS = {
+  '=': (difference, tolerance) => Math.abs(difference) <= tolerance,
+  '>=': (difference, tolerance) => difference >= -tolerance,
+  '<=': (difference, tolerance) => difference <= tolerance,
+};
+
+class ReconciliationValidator {
+  /**
+   * @param {FintechApiHelper} apiHelper - Helper instance
+   * @param {Object} fixtures - Fixtures of the service, to look up the source fixtures
+   */
+  constructor(apiHelper, fixtures = {}) {
+    this.apiHelper = apiHelper;
+    this.fixtures = fixtures;
+  }
+
+  /**
+   * Resolve a fixture's reconciliation setting into a rule set
+   * @param {string|Object} reconciliation - Rule set name or inline rule set
+   * @returns {Object} { name, sources, rules, tolerance }
+   */
+  static getRuleSet(reconciliation) {
+    if (typeof reconciliation === 'string') {
+      if (!RULE_SETS[reconciliation]) {
+        throw new Error(`Unknown reconciliation rule set '${reconciliation}'. Available: ${Object.keys(RULE_SETS).join(', ')}`);
+      }
+      return { name: reconciliation, sources: {}, ...RULE_SETS[reconciliation] };
+    }
+    return { name: 'inline', sources: {}, ...reconciliation };
+  }
+
+  /**
+   * Request the fixture, evaluate every rule, attach the report and fail on broken rules
+   * @param {Object} testData - Fixture with testName and reconciliation
+   * @returns {Promise<Object>} { ruleSet, results, findings }
+   */
+  async run(testData) {
+    const ruleSet = ReconciliationValidator.getRuleSet(testData.reconciliation);
+    console.log(`\n🧮 Reconciliation: ${ruleSet.rules.length} rule${ruleSet.rules.length === 1 ? '' : 's'} from '${ruleSet.name}'`);
+
+    const body = await this.apiHelper.makeApiRequest(testData);
+    const report = await this.apiHelper.step(`Reconciliation: ${ruleSet.name}`, () => this.evaluate(ruleSet, body));
+    await this.apiHelper.attachToReport('reconciliation', report);
+
+    if (report.findings.length > 0) {
+      throw new Error(`Reconciliation failed for ${testData.testName}:\n${report.findings.map(finding => `  ✗ ${finding}`).join('\n')}`);
+    }
+    return report;
+  }
+
+  /**
+   * Evaluate every rule against the response and the sources it needs
+   * @param {Object} ruleSet - Rule set
+   * @param {Object} body - Response body of the fixture
+   * @returns {Promise<Object>} Report
+   */
+  async evaluate(ruleSet, body) {
+    const report = { ruleSet: ruleSet.name, results: [], findings: [] };
+    const { sources, unavailable } = await this.readSources(ruleSet);
+
+    ruleSet.rules.forEach(rule => {
+      const missing = ReconciliationValidator.getTerms(rule).find(term => term && term.source && !sources[term.source]);
+      if (missing) {
+        const result = { rule: rule.name, passed: false, detail: `source '${missing.source}' is not available: ${unavailable[missing.source]}` };
+        report.results.push(result);
+        report.findings.push(`${rule.name}: ${result.detail}`);
+        return;
+      }
+
+      const result = this.evaluateRule(rule, body, sources, ruleSet.tolerance);
+      report.results.push(result);
+      if (result.passed) {
+        console.log(`✅ ${rule.name}: ${result.detail}`);
+      } else {
+        report.findings.push(`${rule.name}: ${result.detail}`);
+      }
+    });
+
+    console.log(report.findings.length === 0
+      ? `✅ Reconciliation: ${report.results.length} ${report.results.length === 1 ? 'rule holds' : 'rules hold'}`
+      : `❌ Reconciliation:\n  ${report.findings.join('\n  ')}`);
+    return report;
+  }
+
+  /**
+   * Evaluate one rule
+   * @param {Object} rule - Rule
+   * @param {Object} body - Response body
+   * @param {Object} sources - Source items by name
+   * @param {string|number} defaultTolerance - Rule set tolerance in rupees
+   * @returns {Object} { rule, passed, actual, expected, difference, detail }
+   */
+  evaluateRule(rule, body, sources, defaultTolerance) {
+    const isCount = rule.type === 'count';
+    const format = value => (isCount ? String(value) : Money.format(value));
+    const operator = rule.operator || '=';
+    if (!OPERATORS[operator]) {
+      throw new Error(`Reconciliation rule '${rule.name}' has an unknown operator '${operator}'`);
+    }
+
+    let actual;
+    let parts;
+    try {
+      actual = this.resolveTerm(rule.actual, body, sources, isCount);
+      parts = ReconciliationValidator.getExpression(rule.expected).map(({ sign, term }) => ({
+        sign,
+        term,
+        label: ReconciliationValidator.describeTerm(term),
+        value: this.resolveTerm(term, body, sources, isCount),
+      }));
+    } catch (error) {
+      return { rule: rule.name, passed: false, detail: error.message };
+    }
+
+    const expected = parts.reduce((total, part) => (part.sign < 0 ? Money.subtract(total, part.value) : Money.add(total, part.value)), 0);
+    const difference = Money.subtract(actual, expected);
+    const tolerance = isCount ? 0 : Money.parse(rule.tolerance !== undefined ? rule.tolerance : (defaultTolerance || 0));
+    const passed = OPERATORS[operator](difference, tolerance);
+
+    // e.g. 'data.bankWallet.total ₹100.00 ≠ ₹150.00 (data.bankWallet.credit) - ₹60.00 (data.bankWallet.debit) = ₹90.00'
+    const workings = parts.map((part, index) => {
+      const sign = index === 0 ? (part.sign < 0 ? '-' : '') : (part.sign < 0 ? ' - ' : ' + ');
+      return typeof part.term === 'number' ? `${sign}${format(part.value)}` : `${sign}${format(part.value)} (${part.label})`;
+    }).join('');
+    const relation = passed ? operator : { '=': '≠', '>=': '<', '<=': '>' }[operator];
+    const detail = `${ReconciliationValidator.describeTerm(rule.actual)} ${format(actual)} ${relation} ${workings}` +
+      (parts.length > 1 ? ` = ${format(expected)}` : '') +
+      (passed || operator !== '=' ? '' : `; off by ${format(difference)}`);
+
+    return { rule: rule.name, passed, actual: format(actual), expected: format(expected), difference: format(difference), detail };
+  }
+
+  /**
+   * Value of a term, in paise for amount rules
+   * @param {string|number|Object} term - Term
+   * @param {Object} body - Response body
+   * @param {Object} sources - Source items by name
+   * @param {boolean} isCount - Whether the rule compares counts
+   * @returns {number} Value
+   */
+  resolveTerm(term, body, sources, isCount) {
+    const read = value => (isCount ? ReconciliationValidator.toCount(value) : Money.parse(value));
+
+    if (typeof term === 'number') {
+      return read(term);
+    }
+    if (typeof term === 'string' || term.path) {
+      const termPath = typeof term === 'string' ? term : term.path;
+      const value = ResponseValues.get(body, termPath);
+      if (value === undefined || value === null) {
+        if (term.optional) {
+          return 0;
+        }
+        throw new Error(`${termPath} is missing from the response`);
+      }
+      try {
+        return read(value);
+      } catch (error) {
+        throw new Error(`${termPath}: ${error.message}`);
+      }
+    }
+    if (term.count) {
+      return sources[term.source].length;
+    }
+    return Money.add(...sources[term.source].map((item, index) => {
+      try {
+        return Money.parse(ResponseValues.get(item, term.sum));
+      } catch (error) {
+        throw new Error(`${term.source}[${index}].${term.sum}: ${error.message}`);
+      }
+    }));
+  }
+
+  /**
+   * Read the items of every source the rules need
+   * @param {Object} ruleSet - Rule set
+   * @returns {Promise<Object>} { sources: items by source name, unavailable: reason by source name }
+   */
+  async readSources(ruleSet) {
+    const needed = new Set(ruleSet.rules.flatMap(rule => ReconciliationValidator.getTerms(rule))
+      .filter(term => term && term.source)
+      .map(term => term.source));
+
+    const sources = {};
+    const unavailable = {};
+    for (const name of needed) {
+      const source = ruleSet.sources[name];
+      if (!source) {
+        throw new Error(`Reconciliation rule set '${ruleSet.name}' uses source '${name}' but does not define it`);
+      }
+      if (!this.fixtures[source.fixture]) {
+        unavailable[name] = `fixture '${source.fixture}' not found in this service`;
+        console.error(`❌ Reconciliation source '${name}': ${unavailable[name]}`);
+        continue;
+      }
+      try {
+        sources[name] = await this.readSource(name, source);
+      } catch (error) {
+        unavailable[name] = error.message;
+        console.error(`❌ Reconciliation source '${name}': ${error.message}`);
+      }
+    }
+    return { sources, unavailable };
+  }
+
+  /**
+   * Read every page of a listing fixture and filter its items
+   * @param {string} name - Source name
+   * @param {Object} source - { fixture, items, where, pageParam, firstPage, maxPages }
+   * @returns {Promise<Array<Object>>} Matching items
+   */
+  async readSource(name, source) {
+    const fixture = this.fixtures[source.fixture];
+    const { firstPage = 1, maxPages = 100 } = source;
+    const items = [];
+
+    for (let page = firstPage; ; page++) {
+      if (page - firstPage >= maxPages) {
+        throw new Error(`more than ${maxPages} pages`);
+      }
+      const params = source.pageParam ? { ...fixture.params, [source.pageParam]: page } : fixture.params;
+      const body = await this.apiHelper.makeApiRequest({ testName: `${source.fixture}${source.pageParam ? ` (page ${page})` : ''}`, ...fixture, params });
+      const pageItems = ResponseValues.get(body, source.items || 'data');
+      if (!Array.isArray(pageItems)) {
+        throw new Error(`${source.items || 'data'} is not an array`);
+      }
+      items.push(...pageItems);
+      if (!source.pageParam || pageItems.length === 0) {
+        break;
+      }
+    }
+
+    const where = source.where || {};
+    const matching = items.filter(item => Object.keys(where).every(field => ResponseValues.get(item, field) === where[field]));
+    console.log(`📒 Source '${name}': ${matching.length} of ${items.length} items from '${source.fixture}'`);
+    return matching;
+  }
+
+  /**
+   * Every term a rule uses
+   * @param {Object} rule - Rule
+   * @returns {Array} Terms
+   */
+  static getTerms(rule) {
+    return [rule.actual, ...ReconciliationValidator.getExpression(rule.expected).map(({ term }) => term)];
+  }
+
+  /**
+   * Normalize an expected value into signed terms
+   * @param {*} expected - Term or { add, subtract }
+   * @returns {Array<Object>} [{ sign, term }]
+   */
+  static getExpression(expected) {
+    if (expected && typeof expected === 'object' && (expected.add || expected.subtract)) {
+      return [
+        ...(expected.add || []).map(term => ({ sign: 1, term })),
+        ...(expected.subtract || []).map(term => ({ sign: -1, term })),
+      ];
+    }
+    return [{ sign: 1, term: expected }];
+  }
+
+  /**
+   * Human-readable term for findings
+   * @param {*} term - Term
+   * @returns {string} Description
+   */
+  static describeTerm(term) {
+    if (typeof term === 'number') return String(term);
+    if (typeof term === 'string') return term;
+    if (term.path) return term.path;
+    return term.count ? `count of ${term.source}` : `sum of ${term.source}.${term.sum}`;
+  }
+
+  /**
+   * Parse a count (integer, possibly sent as a string)
+   * @param {*} value - Raw value
+   * @returns {number} Count
+   */
+  static toCount(value) {
+    const count = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+    if (!Number.isSafeInteger(count)) {
+      throw new Error(`Not a count: ${JSON.stringify(value)}`);
+    }
+    return count;
+  }
+}
+
+module.exports = ReconciliationValidator;
@@ -0,0 +1,210 @@
+/**
+ * Redactor
+ * Central masking of secrets and PII (tokens, passwords, OTP, phone, PAN, account numbers)
+ *
+ * Rules live in api-tests/config/redaction-rules.js. Applied to:
+ *   - console output (installConsole(), done in playwright.config.js for every worker)
+ *   - report attachments and error messages from FintechApiHelper
+ *   - exported artifacts: HAR files and cassettes (cassette responses: secrets only, see redactSecrets())
+ *
+ * Placeholders ({{...}}) and matchers (@...) are left alone since they hold no data.
+ */
+
+const crypto = require('crypto');
+const util = require('util');
+const { replacement, rules } = require('../config/redaction-rules');
+
+// "key": "value" or "key": 123 inside JSON text
+const JSON_PAIR_PATTERN = /"([^"\\]+)"(\s*:\s*)("(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?)/g;
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug', 'table'];
+const SECRET_RULES = rules.filter(rule => rule.secret);
+
+let consoleInstalled = false;
+
+const isTemplate = value => typeof value === 'string' && (value.includes('{{') || value.startsWith('@'));
+const isMasked = value => value === replacement || /^\*{4,}/.test(value);
+
+class Redactor {
+  /**
+   * Whether redaction is on (API_REDACTION=off disables it for local debugging)
+   * @returns {boolean} True unless disabled
+   */
+  static isEnabled() {
+    return (process.env.API_REDACTION || 'on').trim().toLowerCase() !== 'off';
+  }
+
+  /**
+   * Find the rule that covers a key name
+   * @param {string} key - Object key or header name
+   * @param {Array<Object>} ruleSet - Rules to consider (default: all)
+   * @returns {Object|null} Matching rule
+   */
+  static ruleForKey(key, ruleSet = rules) {
+    return ruleSet.find(rule => rule.key && rule.key.test(String(key))) || null;
+  }
+
+  /**
+   * Whether values under this key are redacted
+   * @param {string} key - Object key or header name
+   * @returns {boolean} True if sensitive
+   */
+  static isSensitiveKey(key) {
+    return Redactor.isEnabled() && Redactor.ruleForKey(key) !== null;
+  }
+
+  /**
+   * Mask one value according to a rule
+   * @param {*} value - String or number
+   * @param {Object} rule - Rule
+   * @returns {string} Masked value
+   */
+  static mask(value, rule) {
+    const text = String(value);
+    if (isMasked(text)) {
+      return text; // Already redacted (e.g. text redacted twice on its way to the console)
+    }
+    if (rule.keepLast && text.length > rule.keepLast * 2) {
+      return `${'*'.repeat(text.length - rule.keepLast)}${text.slice(-rule.keepLast)}`;
+    }
+    return replacement;
+  }
+
+  /**
+   * Redact a single value as if it were stored under the given key
+   * @param {string} key - Key name (e.g. 'token', 'phone')
+   * @param {*} value - Value
+   * @returns {*} Redacted value
+   */
+  static redactField(key, value) {
+    return Redactor.redact({ [key]: value })[key];
+  }
+
+  /**
+   * Deep-copy a value with sensitive keys and patterns masked
+   * @param {*} value - Any JSON-like value
+   * @returns {*} Redacted copy
+   */
+  static redact(value) {
+    if (!Redactor.isEnabled()) {
+      return value;
+    }
+    return Redactor.redactValue(value, null, new WeakSet());
+  }
+
+  /**
+   * Deep-copy a value with only secrets masked (tokens, passwords, OTPs); PII is kept
+   * @param {*} value - Any JSON-like value
+   * @returns {*} Redacted copy
+   */
+  static redactSecrets(value) {
+    if (!Redactor.isEnabled()) {
+      return value;
+    }
+    return Redactor.redactValue(value, null, new WeakSet(), SECRET_RULES);
+  }
+
+  /**
+   * Recursive worker for redact()
+   * @param {*} value - Value
+   * @param {string|null} key - Key the value sits under
+   * @param {WeakSet} seen - Visited objects (guards against cycles)
+   * @param {Array<Object>} ruleSet - Rules to apply (default: all)
+   * @returns {*} Redacted copy
+   */
+  static redactValue(value, key, seen, ruleSet = rules) {
+    if (value === null || value === undefined || typeof value === 'boolean') {
+      return value;
+    }
+
+    if (typeof value === 'string' || typeof value === 'number') {
+      const rule = key !== null ? Redactor.ruleForKey(key, ruleSet) : null;
+      if (rule && !isTemplate(value)) {
+        return Redactor.mask(value, rule);
+      }
+      return typeof value === 'string' ? Redactor.redactText(value, ruleSet) : value;
+    }
+
+    if (typeof value === 'object') {
+      if (seen.has(value)) {
+        return '[Circular]';
+      }
+      seen.add(value);
+      if (value instanceof Error) {
+        return value;
+      }
+      if (typeof value.toJSON === 'function' && !Array.isArray(value)) {
+        value = value.toJSON();
+      }
+      if (Array.isArray(value)) {
+        return value.map(item => Redactor.redactValue(item, key, seen, ruleSet));
+      }
+      const result = {};
+      Object.keys(value).forEach(name => { result[name] = Redactor.redactValue(value[name], name, seen, ruleSet); });
+      return result;
+    }
+
+    return value;
+  }
+
+  /**
+   * Mask sensitive patterns and JSON "key": value pairs in free text
+   * @param {string} text - Text (log line, JSON string, error message)
+   * @param {Array<Object>} ruleSet - Rules to apply (default: all)
+   * @returns {string} Redacted text
+   */
+  static redactText(text, ruleSet = rules) {
+    if (!Redactor.isEnabled() || typeof text !== 'string' || text === '') {
+      return text;
+    }
+
+    let result = text.replace(JSON_PAIR_PATTERN, (pair, key, separator, rawValue) => {
+      const rule = Redactor.ruleForKey(key, ruleSet);
+      if (!rule) {
+        return pair;
+      }
+      const value = rawValue.startsWith('"') ? rawValue.slice(1, -1) : rawValue;
+      return isTemplate(value) ? pair : `"${key}"${separator}"${Redactor.mask(value, rule)}"`;
+    });
+
+    ruleSet.filter(rule => rule.pattern).forEach(rule => {
+      result = result.replace(rule.pattern, match => Redactor.mask(match, rule));
+    });
+    return result;
+  }
+
+  /**
+   * Replace a sensitive value by a stable hash, so recorded requests can still be matched
+   * @param {*} value - Value
+   * @returns {string} 'sha256:<hex>'
+   */
+  static hash(value) {
+    return `sha256:${crypto.createHash('sha256').update(String(value)).digest('hex')}`;
+  }
+
+  /**
+   * Patch console methods so every argument is redacted before it is printed
+   * Safe to call more than once
+   */
+  static installConsole() {
+    if (consoleInstalled) {
+      return;
+    }
+
+    CONSOLE_METHODS.forEach(method => {
+      const original = console[method].bind(console);
+      console[method] = (...args) => {
+        if (!Redactor.isEnabled()) {
+          return original(...args);
+        }
+        if (method === 'table') {
+          return original(...args.map(arg => Redactor.redact(arg)));
+        }
+        // Format first so template strings and inspected objects are both covered
+        return original(Redactor.redactText(util.format(...args.map(arg => Redactor.redact(arg)))));
+      };
+    });
+    consoleInstalled = true;
+  }
+}
+
+module.exports = Redactor;
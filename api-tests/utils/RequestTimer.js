@@ -0,0 +1,105 @@
+/**
+ * Request Timer
+ * Measures real response timing for axios requests through request/response interceptors
+ *
+ * Every response gets:
+ *   response.duration - total time in ms (request start → body received)
+ *   response.timings  - { dns, connect, tls, ttfb, total } in ms; phases that did not
+ *                       happen (e.g. dns for an IP address, tls for http) are null
+ */
+
+const http = require('http');
+const https = require('https');
+const { performance } = require('perf_hooks');
+
+/**
+ * Wrap an agent class so socket lifecycle events are stamped onto a timings object
+ * @param {Function} AgentClass - http.Agent or https.Agent
+ * @returns {Function} Instrumented agent class
+ */
+const instrumentAgent = AgentClass => class extends AgentClass {
+  constructor(marks) {
+    super();
+    this.marks = marks;
+  }
+
+  addRequest(request, options) {
+    request.once('socket', socket => {
+      this.marks.socket = performance.now();
+      socket.once('lookup', () => { this.marks.lookup = performance.now(); });
+      socket.once('connect', () => { this.marks.connect = performance.now(); });
+      socket.once('secureConnect', () => { this.marks.secureConnect = performance.now(); });
+    });
+    request.once('response', () => { this.marks.firstByte = performance.now(); });
+    return super.addRequest(request, options);
+  }
+};
+
+const TimingHttpAgent = instrumentAgent(http.Agent);
+const TimingHttpsAgent = instrumentAgent(https.Agent);
+
+const elapsed = (from, to) => (from !== undefined && to !== undefined ? Math.round(to - from) : null);
+
+class RequestTimer {
+  /**
+   * Install timing interceptors on an axios instance
+   * A fresh agent is used per request so DNS/connect/TLS phases are always observable
+   * @param {Object} axiosInstance - Instance created with axios.create()
+   * @returns {Object} The same axios instance
+   */
+  static install(axiosInstance) {
+    axiosInstance.interceptors.request.use(config => {
+      const marks = { start: performance.now() };
+      config.metadata = { ...config.metadata, marks };
+      config.httpAgent = new TimingHttpAgent(marks);
+      config.httpsAgent = new TimingHttpsAgent(marks);
+      return config;
+    });
+
+    axiosInstance.interceptors.response.use(
+      response => RequestTimer.stamp(response),
+      error => {
+        if (error.response) {
+          RequestTimer.stamp(error.response);
+        } else if (error.config && error.config.metadata) {
+          error.timings = RequestTimer.computeTimings(error.config.metadata.marks, performance.now());
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    return axiosInstance;
+  }
+
+  /**
+   * Attach duration and phase timings to a response
+   * @param {Object} response - Axios response
+   * @returns {Object} The same response
+   */
+  static stamp(response) {
+    const metadata = response.config && response.config.metadata;
+    if (metadata && metadata.marks) {
+      response.timings = RequestTimer.computeTimings(metadata.marks, performance.now());
+      response.duration = response.timings.total;
+    }
+    return response;
+  }
+
+  /**
+   * Convert raw performance marks into phase durations
+   * @param {Object} marks - { start, socket, lookup, connect, secureConnect, firstByte }
+   * @param {number} end - Time the response body was received
+   * @returns {Object} { dns, connect, tls, ttfb, total } in ms
+   */
+  static computeTimings(marks, end) {
+    return {
+      dns: elapsed(marks.socket, marks.lookup),
+      connect: elapsed(marks.lookup !== undefined ? marks.lookup : marks.socket, marks.connect),
+      tls: elapsed(marks.connect, marks.secureConnect),
+      ttfb: elapsed(marks.start, marks.firstByte),
+      total: elapsed(marks.start, end),
+    };
+  }
+}
+
+module.exports = RequestTimer;
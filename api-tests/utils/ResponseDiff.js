@@ -0,0 +1,184 @@
+/**
+ * Response Diff
+ * Walks the whole expected/actual tree and collects every difference with its JSON path,
+ * instead of stopping at the first mismatching key
+ *
+ * Each difference is { path, kind, expected, actual, message } where kind is one of:
+ *   mismatch - value differs (or a matcher failed)
+ *   missing  - expected key is absent from the response
+ *   extra    - response key is not in the expected body (full match only)
+ *   type     - value has a different type (e.g. object expected, string received)
+ */
+
+const ResponseMatchers = require('./ResponseMatchers');
+
+const COLORS = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m',
+  reset: '\x1b[0m',
+};
+
+const KIND_LABELS = {
+  mismatch: 'value mismatch',
+  missing: 'missing key',
+  extra: 'extra key',
+  type: 'type changed',
+};
+
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const isPlainObject = value => typeOf(value) === 'object';
+
+class ResponseDiff {
+  /**
+   * Compare an actual response body with the expected body
+   * @param {*} actual - Actual response body
+   * @param {*} expected - Expected body (may contain matchers)
+   * @param {Object} options
+   * @param {boolean} options.subset - If true, extra keys in the response are not reported
+   * @param {Array<string>} options.nonEmptyFields - Dot paths whose values are not compared
+   * @returns {Array<Object>} Differences
+   */
+  static compare(actual, expected, { subset = false, nonEmptyFields = [] } = {}) {
+    const differences = [];
+    ResponseDiff.walk(actual, expected, { path: '$', fieldPath: '', subset, nonEmptyFields, differences });
+    return differences;
+  }
+
+  /**
+   * Recursive tree walk
+   * @param {*} actual - Actual value at this path
+   * @param {*} expected - Expected value at this path
+   * @param {Object} context - Walk state
+   */
+  static walk(actual, expected, context) {
+    const { path, fieldPath, subset, nonEmptyFields, differences } = context;
+    const child = (key, isIndex) => ({
+      ...context,
+      path: isIndex ? `${path}[${key}]` : `${path}.${key}`,
+      fieldPath: isIndex ? `${fieldPath}[${key}]` : (fieldPath ? `${fieldPath}.${key}` : key),
+    });
+
+    if (nonEmptyFields.includes(fieldPath)) {
+      return; // Checked for non-emptiness by validateNonEmptyFields
+    }
+
+    if (ResponseMatchers.isMatcher(expected)) {
+      const result = ResponseMatchers.match(actual, expected);
+      if (!result.pass) {
+        differences.push({ path, kind: 'mismatch', expected, actual, message: result.message });
+      }
+      return;
+    }
+
+    if (Array.isArray(expected)) {
+      if (!Array.isArray(actual)) {
+        differences.push({ path, kind: 'type', expected: 'array', actual: typeOf(actual), message: `expected array, got ${typeOf(actual)}` });
+        return;
+      }
+      if (expected.length === 0) {
+        return;
+      }
+
+      // The first expected element is the template for every actual item
+      const template = expected[0];
+      actual.forEach((item, index) => {
+        const itemContext = child(index, true);
+        if (isPlainObject(template) || Array.isArray(template) || ResponseMatchers.isMatcher(template)) {
+          ResponseDiff.walk(item, template, itemContext);
+        } else if (typeOf(item) !== typeOf(template)) {
+          differences.push({
+            path: itemContext.path,
+            kind: 'type',
+            expected: typeOf(template),
+            actual: typeOf(item),
+            message: `expected ${typeOf(template)}, got ${typeOf(item)}`,
+          });
+        }
+      });
+      return;
+    }
+
+    if (isPlainObject(expected)) {
+      if (!isPlainObject(actual)) {
+        differences.push({ path, kind: 'type', expected: 'object', actual: typeOf(actual), message: `expected object, got ${typeOf(actual)}` });
+        return;
+      }
+
+      Object.keys(expected).forEach(key => {
+        const keyContext = child(key, false);
+        if (!Object.prototype.hasOwnProperty.call(actual, key)) {
+          differences.push({ path: keyContext.path, kind: 'missing', expected: expected[key], actual: undefined, message: 'key not present in response' });
+          return;
+        }
+        ResponseDiff.walk(actual[key], expected[key], keyContext);
+      });
+
+      if (!subset) {
+        Object.keys(actual)
+          .filter(key => !Object.prototype.hasOwnProperty.call(expected, key))
+          .forEach(key => {
+            differences.push({ path: child(key, false).path, kind: 'extra', expected: undefined, actual: actual[key], message: 'key not in expected body' });
+          });
+      }
+      return;
+    }
+
+    const literal = ResponseMatchers.unescape(expected);
+    if (actual === literal) {
+      return;
+    }
+    if (literal !== null && actual !== null && actual !== undefined && typeOf(actual) !== typeOf(literal)) {
+      differences.push({ path, kind: 'type', expected: literal, actual, message: `expected ${typeOf(literal)}, got ${typeOf(actual)}` });
+      return;
+    }
+    differences.push({ path, kind: 'mismatch', expected: literal, actual, message: 'value differs' });
+  }
+
+  /**
+   * Split differences into failures and warnings
+   * @param {Array<Object>} differences - Output of compare()
+   * @param {boolean} strictExtraKeys - If true, extra keys are failures instead of warnings
+   * @returns {Object} { failures, warnings }
+   */
+  static classify(differences, strictExtraKeys = false) {
+    const isWarning = difference => difference.kind === 'extra' && !strictExtraKeys;
+    return {
+      failures: differences.filter(difference => !isWarning(difference)),
+      warnings: differences.filter(isWarning),
+    };
+  }
+
+  /**
+   * Render differences as a readable, optionally coloured, multi-line report
+   * @param {Array<Object>} differences - Output of compare()
+   * @param {Object} options
+   * @param {boolean} options.color - Use ANSI colours (default: unless NO_COLOR is set)
+   * @returns {string} Formatted diff
+   */
+  static format(differences, { color = !process.env.NO_COLOR } = {}) {
+    const paint = (name, text) => (color ? `${COLORS[name]}${text}${COLORS.reset}` : text);
+    const show = value => (value === undefined ? '(absent)' : JSON.stringify(value));
+
+    return differences.map(difference => {
+      const marker = difference.kind === 'extra' ? paint('yellow', '⚠') : paint('red', '✗');
+      const lines = [`  ${marker} ${paint('cyan', difference.path)}  ${KIND_LABELS[difference.kind]} ${paint('dim', `(${difference.message})`)}`];
+      if (difference.kind !== 'extra') {
+        lines.push(`      ${paint('green', `- expected: ${show(difference.expected)}`)}`);
+      }
+      if (difference.kind !== 'missing') {
+        lines.push(`      ${paint('red', `+ actual:   ${show(difference.actual)}`)}`);
+      }
+      return lines.join('\n');
+    }).join('\n');
+  }
+}
+
+module.exports = ResponseDiff;
@@ -0,0 +1,130 @@
+/**
+ * Response Matchers
+ * Inline matcher DSL for expectedBody values, so volatile fields do not need literal values
+ *
+ * A matcher is a string starting with '@':
+ *   "@any", "@notNull", "@null", "@nonEmpty"
+ *   "@string", "@boolean", "@array", "@object"
+ *   "@number", "@integer", "@number>0", "@integer<=100"
+ *   "@uuid", "@isoDate"
+ *   "@regex:^req-"
+ *   "@oneOf:WEB,APP"
+ *   "@amount", "@amount>0", "@amount<=1000.50" (at most 2 decimal places, compared in paise)
+ * Use "@@" to match a literal string starting with '@'.
+ */
+
+const Money = require('./Money');
+
+const MATCHER_PATTERN = /^@(\w+)(?::([\s\S]*)|(>=|<=|>|<|=)(.+))?$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const COMPARATORS = {
+  '>': (actual, expected) => actual > expected,
+  '>=': (actual, expected) => actual >= expected,
+  '<': (actual, expected) => actual < expected,
+  '<=': (actual, expected) => actual <= expected,
+  '=': (actual, expected) => actual === expected,
+};
+
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const MATCHERS = {
+  any: actual => actual !== undefined,
+  notNull: actual => actual !== undefined && actual !== null,
+  null: actual => actual === null,
+  nonEmpty: actual => {
+    if (typeof actual === 'string') return actual.trim() !== '';
+    if (Array.isArray(actual)) return actual.length > 0;
+    if (actual && typeof actual === 'object') return Object.keys(actual).length > 0;
+    return actual !== undefined && actual !== null;
+  },
+  string: actual => typeof actual === 'string',
+  boolean: actual => typeof actual === 'boolean',
+  array: actual => Array.isArray(actual),
+  object: actual => typeOf(actual) === 'object',
+  number: actual => typeof actual === 'number' && !isNaN(actual),
+  integer: actual => Number.isInteger(actual),
+  uuid: actual => typeof actual === 'string' && UUID_PATTERN.test(actual),
+  isoDate: actual => typeof actual === 'string' && ISO_DATE_PATTERN.test(actual) && !isNaN(Date.parse(actual)),
+  amount: actual => Money.isValid(actual),
+  regex: (actual, argument) => typeof actual === 'string' && new RegExp(argument).test(actual),
+  oneOf: (actual, argument) => argument.split(',').map(option => option.trim()).includes(String(actual)),
+};
+
+// Matchers that accept a numeric comparison suffix (e.g. @number>0)
+const COMPARABLE = ['number', 'integer', 'amount'];
+
+// Matchers that require an argument after ':'
+const ARGUMENT_REQUIRED = ['regex', 'oneOf'];
+
+class ResponseMatchers {
+  /**
+   * Check whether an expected value is a matcher expression
+   * @param {*} value - Expected value from the fixture
+   * @returns {boolean} True if the value is a matcher
+   */
+  static isMatcher(value) {
+    return typeof value === 'string' && value.startsWith('@') && !value.startsWith('@@');
+  }
+
+  /**
+   * Unescape a literal '@@...' expected string
+   * @param {*} value - Expected value from the fixture
+   * @returns {*} Literal value
+   */
+  static unescape(value) {
+    return typeof value === 'string' && value.startsWith('@@') ? value.substring(1) : value;
+  }
+
+  /**
+   * Parse a matcher expression
+   * @param {string} expression - Matcher expression (e.g. '@number>0')
+   * @returns {Object} { name, argument, operator, operand }
+   */
+  static parse(expression) {
+    const parts = expression.match(MATCHER_PATTERN);
+    if (!parts || !MATCHERS[parts[1]]) {
+      throw new Error(`Unknown matcher '${expression}'. Available: ${Object.keys(MATCHERS).map(name => `@${name}`).join(', ')}`);
+    }
+
+    const [, name, argument, operator, operand] = parts;
+    if (ARGUMENT_REQUIRED.includes(name) && !argument) {
+      throw new Error(`Matcher '@${name}' requires an argument, e.g. '@${name}:...'`);
+    }
+    const isAmount = name === 'amount';
+    if (operator && (!COMPARABLE.includes(name) || !(isAmount ? Money.isValid(operand) : !isNaN(Number(operand))))) {
+      throw new Error(`Invalid comparison in matcher '${expression}'`);
+    }
+
+    // Amounts compare in paise, so '@amount>0.1' is exact for '0.10'
+    const toOperand = isAmount ? Money.parse : Number;
+    return { name, argument, operator, operand: operator ? toOperand(operand) : undefined };
+  }
+
+  /**
+   * Evaluate a matcher against an actual value
+   * @param {*} actual - Actual value from the response
+   * @param {string} expression - Matcher expression
+   * @returns {Object} { pass: boolean, message: string }
+   */
+  static match(actual, expression) {
+    const { name, argument, operator, operand } = ResponseMatchers.parse(expression);
+
+    if (!MATCHERS[name](actual, argument)) {
+      return { pass: false, message: `expected ${expression}, got ${JSON.stringify(actual)} (${typeOf(actual)})` };
+    }
+
+    if (operator && !COMPARATORS[operator](name === 'amount' ? Money.parse(actual) : Number(actual), operand)) {
+      return { pass: false, message: `expected ${expression}, got ${JSON.stringify(actual)}` };
+    }
+
+    return { pass: true, message: `matched ${expression}` };
+  }
+}
+
+module.exports = ResponseMatchers;
@@ -0,0 +1,40 @@
+/**
+ * Response Values
+ * Reads values out of request and response bodies by dot path, and balances through a balance fixture
+ *
+ *   ResponseValues.get({ data: { total: '10.00' } }, 'data.total') → '10.00'
+ *   ResponseValues.get({ data: null }, 'data.total')               → undefined
+ */
+
+const Money = require('./Money');
+
+class ResponseValues {
+  /**
+   * Value at a dot path
+   * @param {*} object - Body to read
+   * @param {string} dotPath - Path (e.g. 'data.bankWallet.total')
+   * @returns {*} Value, or undefined when a step of the path is missing
+   */
+  static get(object, dotPath) {
+    return dotPath.split('.').reduce((current, key) => (current !== null && current !== undefined ? current[key] : undefined), object);
+  }
+
+  /**
+   * Read a balance through the fixture that returns it
+   * @param {FintechApiHelper} apiHelper - Helper instance
+   * @param {Object} fixtures - Fixtures of the service
+   * @param {Object} balance - { fixture, path }
+   * @param {string} setting - Fixture setting the balance belongs to, for the error message (e.g. 'concurrency')
+   * @returns {Promise<number>} Balance in paise
+   */
+  static async readBalance(apiHelper, fixtures, balance, setting) {
+    const body = await apiHelper.makeApiRequest({ testName: balance.fixture, ...fixtures[balance.fixture] });
+    const value = ResponseValues.get(body, balance.path);
+    if (!Money.isValid(value)) {
+      throw new Error(`${setting}: balance at ${balance.path} is not an amount: ${JSON.stringify(value)}`);
+    }
+    return Money.parse(value);
+  }
+}
+
+module.exports = ResponseValues;
@@ -0,0 +1,147 @@
+/**
+ * Retry Policy
+ * Decides whether a failed API call is retried, and after how long
+ *
+ * A call is retried when the network failed with a transient error code, when the response
+ * says error.retryable: true, or when its status is a transient one (502, 503, ...) and the body
+ * does not say error.retryable: false. It is never retried when the status is the one the
+ * fixture expects, or when the method is not idempotent and there is no idempotency key.
+ *
+ * The delay is Retry-After when the response sends one, otherwise exponential backoff with
+ * jitter. Defaults live in api-tests/config/retry-policy.js.
+ */
+
+const defaults = require('../config/retry-policy');
+
+class RetryPolicy {
+  /**
+   * @param {Object|boolean} options - Fixture "retryPolicy": overrides, or false for no retries
+   */
+  constructor(options = {}) {
+    this.options = { ...defaults };
+    if (process.env.API_RETRY_MAX !== undefined && process.env.API_RETRY_MAX.trim() !== '') {
+      this.options.maxRetries = RetryPolicy.parseMaxRetries(process.env.API_RETRY_MAX, 'API_RETRY_MAX');
+    }
+    if (options === false) {
+      this.options.maxRetries = 0;
+    } else if (options && typeof options === 'object') {
+      Object.assign(this.options, options);
+      if (options.maxRetries !== undefined) {
+        this.options.maxRetries = RetryPolicy.parseMaxRetries(options.maxRetries, 'retryPolicy.maxRetries');
+      }
+    }
+  }
+
+  /**
+   * Parse a retry count. NaN would make `attempt > maxRetries` never true and retry forever,
+   * so anything but a non-negative integer is rejected
+   * @param {string|number} value - Setting value
+   * @param {string} name - Setting name, for the error message
+   * @returns {number} Number of retries
+   */
+  static parseMaxRetries(value, name) {
+    if (!/^\d+$/.test(String(value).trim())) {
+      throw new Error(`${name} must be a non-negative integer (0 = no retries), got ${JSON.stringify(value)}`);
+    }
+    return parseInt(value, 10);
+  }
+
+  /**
+   * Decide what to do after an attempt
+   * @param {Object} attempt
+   * @param {string} attempt.method - HTTP method
+   * @param {Object} attempt.headers - Request headers
+   * @param {Object|null} attempt.response - Axios response, if one arrived
+   * @param {Error|null} attempt.error - Network error, if no response arrived
+   * @param {number} attempt.attempt - Number of the attempt that just finished (1-based)
+   * @param {boolean} attempt.expected - Whether the status is the one the fixture expects
+   * @returns {Object} { retry, reason, delayMs }
+   */
+  evaluate({ method, headers = {}, response = null, error = null, attempt, expected = false }) {
+    const reason = this.getReason(response, error, expected);
+    if (!reason) {
+      return { retry: false, reason: null, delayMs: 0 };
+    }
+    if (attempt > this.options.maxRetries) {
+      return { retry: false, reason: `${reason}; gave up after ${attempt} attempt${attempt === 1 ? '' : 's'}`, delayMs: 0 };
+    }
+    if (!this.isSafeToRepeat(method, headers)) {
+      return { retry: false, reason: `${reason}; ${method.toUpperCase()} without ${this.options.idempotencyHeader} is not retried`, delayMs: 0 };
+    }
+    return { retry: true, reason, delayMs: this.getDelay(response, attempt) };
+  }
+
+  /**
+   * Why an attempt is worth retrying
+   * @param {Object|null} response - Axios response
+   * @param {Error|null} error - Network error
+   * @param {boolean} expected - Whether the status is the expected one
+   * @returns {string|null} Reason, or null when it is not retryable
+   */
+  getReason(response, error, expected) {
+    if (!response) {
+      const code = error && error.code;
+      return code && this.options.retryOnErrors.includes(code) ? `network error ${code}` : null;
+    }
+    if (expected) {
+      return null;
+    }
+
+    const retryable = response.data && response.data.error ? response.data.error.retryable : undefined;
+    if (retryable === true) {
+      return `status ${response.status} with error.retryable: true`;
+    }
+    if (retryable !== false && this.options.retryOnStatus.includes(response.status)) {
+      return `status ${response.status}`;
+    }
+    return null;
+  }
+
+  /**
+   * Whether repeating the request cannot cause a second side effect
+   * @param {string} method - HTTP method
+   * @param {Object} headers - Request headers
+   * @returns {boolean} True for idempotent methods or requests with an idempotency key
+   */
+  isSafeToRepeat(method, headers) {
+    if (this.options.idempotentMethods.includes(String(method).toUpperCase())) {
+      return true;
+    }
+    const header = this.options.idempotencyHeader.toLowerCase();
+    return Object.keys(headers).some(name => name.toLowerCase() === header && headers[name]);
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {Object|null} response - Axios response
+   * @param {number} attempt - Number of the attempt that just finished (1-based)
+   * @returns {number} Delay in ms
+   */
+  getDelay(response, attempt) {
+    const retryAfter = response ? RetryPolicy.parseRetryAfter(response.headers && response.headers['retry-after']) : null;
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.options.maxRetryAfterMs);
+    }
+
+    const backoff = Math.min(this.options.baseDelayMs * 2 ** (attempt - 1), this.options.maxDelayMs);
+    return Math.round(backoff * (1 - this.options.jitter * Math.random()));
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or an HTTP date)
+   * @param {string} value - Header value
+   * @returns {number|null} Delay in ms, or null when absent or invalid
+   */
+  static parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (/^\d+$/.test(String(value).trim())) {
+      return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,93 @@
+/**
+ * Run Recorder
+ * Per-worker NDJSON records that global teardown reads back into one report
+ *
+ * Each worker appends to its own <name>.<pid>.ndjson file under api-tests/reports/<directory>,
+ * so parallel workers never write to the same file. Global setup clears the directory with reset().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPORTS_DIR = path.join(__dirname, '../reports');
+
+class RunRecorder {
+  /**
+   * @param {string} directory - Directory under api-tests/reports (e.g. 'latency')
+   * @param {string} name - Default file name of the records (e.g. 'samples')
+   */
+  constructor(directory, name) {
+    this.directory = path.join(REPORTS_DIR, directory);
+    this.name = name;
+  }
+
+  /**
+   * Remove records from a previous run
+   */
+  reset() {
+    fs.rmSync(this.directory, { recursive: true, force: true });
+  }
+
+  /**
+   * Append one record to this worker's file
+   * @param {Object} record - JSON-serialisable record
+   * @param {string} name - File name, to group records (e.g. per cassette)
+   */
+  record(record, name = this.name) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.appendFileSync(path.join(this.directory, `${name}.${process.pid}.ndjson`), `${JSON.stringify(record)}\n`);
+  }
+
+  /**
+   * Read the records of every worker, grouped by file name
+   * @returns {Object} Name → records, in file order
+   */
+  readByName() {
+    if (!fs.existsSync(this.directory)) {
+      return {};
+    }
+
+    const records = {};
+    fs.readdirSync(this.directory).filter(file => file.endsWith('.ndjson')).sort().forEach(file => {
+      const name = file.replace(/\.\d+\.ndjson$/, '');
+      const lines = fs.readFileSync(path.join(this.directory, file), 'utf8').split('\n').filter(line => line.trim() !== '');
+      records[name] = [...(records[name] || []), ...lines.map(line => JSON.parse(line))];
+    });
+    return records;
+  }
+
+  /**
+   * Read the records of every worker
+   * @returns {Array<Object>} Records
+   */
+  read() {
+    return Object.values(this.readByName()).flat();
+  }
+
+  /**
+   * Write a summary to api-tests/reports and print it as a table; an empty summary only
+   * removes the report of a previous run
+   * @param {string} file - File name under api-tests/reports (e.g. 'latency-summary.json')
+   * @param {string} title - Console heading
+   * @param {Object} summary - Summary to write
+   * @param {Object} table - Rows to print (default: the summary)
+   * @returns {Object} Summary
+   */
+  static writeSummary(file, title, summary, table = summary) {
+    const summaryFile = path.join(REPORTS_DIR, file);
+    fs.rmSync(summaryFile, { force: true });
+    if (Object.keys(summary).length === 0) {
+      return summary;
+    }
+
+    fs.mkdirSync(REPORTS_DIR, { recursive: true });
+    fs.writeFileSync(summaryFile, JSON.stringify(summary, null, 2));
+
+    console.log(`\n${title}`);
+    console.table(table);
+    console.log(`📄 Written to ${path.relative(process.cwd(), summaryFile)}`);
+    return summary;
+  }
+}
+
+module.exports = RunRecorder;
@@ -0,0 +1,274 @@
+/**
+ * Scenario Runner
+ * Runs multi-step API journeys described in api-tests/scenarios/*.json
+ * Each scenario becomes one Playwright test and each step a test.step
+ *
+ * Scenario format:
+ *   {
+ *     "name": "Signup journey",
+ *     "service": "auth-service",            // default service for fixture steps
+ *     "environments": ["dev"],              // optional, default all
+ *     "variables": { "channel": "WEB" },    // optional, seeded as {{stored.*}}
+ *     "role": "admin",                      // optional, role whose token steps use (default admin)
+ *     "skip" | "only" | "tags" | "jiraKey"  // same metadata as fixtures
+ *     "steps": [
+ *       { "name": "Send OTP", "fixture": "Validate send otp functionality with valid data",
+ *         "overrides": { "requestBody": { "channel": "APP" } }, "capture": { "otpSession": "data.otpSession" } },
+ *       { "fixture": "Get payout status", "service": "payment-service", "role": "enduser",
+ *         "retry": { "attempts": 5, "delayMs": 2000, "until": { "path": "data.status", "in": ["SUCCESS", "FAILED"] } } },
+ *       { "fixture": "Get payout status", "waitForStatus": { "product": "payout", "expected": "SUCCESS" } },
+ *       { "name": "Only for new users", "when": { "stored": "isNewUser", "equals": true }, "request": { ... } },
+ *       { "branch": { "when": { ... }, "then": [ ...steps ], "else": [ ...steps ] } }
+ *     ]
+ *   }
+ *
+ * Conditions read either stored data ({ "stored": "path" }) or the last response body ({ "path": "data.x" })
+ * and support equals, notEquals, in and exists. Only GET and HEAD steps may retry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { test } = require('@playwright/test');
+const FintechApiHelper = require('./FintechApiHelper');
+const FixtureRunner = require('./FixtureRunner');
+
+const SCENARIOS_DIR = path.join(__dirname, '../scenarios');
+
+class ScenarioRunner {
+  /**
+   * Load every scenario file
+   * @param {string} directory - Scenario directory
+   * @returns {Array<Object>} Scenarios with their file name
+   */
+  static loadScenarios(directory = SCENARIOS_DIR) {
+    if (!fs.existsSync(directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(directory)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')) }));
+  }
+
+  /**
+   * Register one test per scenario that applies to the environment
+   * @param {Object} options
+   * @param {string} options.title - Describe title
+   * @param {string} options.environment - Environment (default: TEST_ENV)
+   */
+  static register({ title = '🧭 API Journeys', environment = FixtureRunner.getEnvironment() } = {}) {
+    const scenarios = ScenarioRunner.loadScenarios()
+      .filter(scenario => !scenario.environments || scenario.environments.includes(environment));
+
+    test.describe(title, () => {
+      scenarios.forEach(scenario => {
+        const details = FixtureRunner.getTestDetails(scenario);
+        const declare = scenario.skip ? test.skip : (scenario.only ? test.only : test);
+
+        declare(scenario.name || scenario.file, details, async () => {
+          const apiHelper = new FintechApiHelper(environment);
+          apiHelper.useCassette(`scenario-${path.basename(scenario.file, '.json')}`);
+          try {
+            await ScenarioRunner.run(apiHelper, scenario, environment);
+          } finally {
+            await apiHelper.attachHar();
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Run every step of a scenario with one helper, so captures flow between steps
+   * @param {FintechApiHelper} apiHelper - Helper instance
+   * @param {Object} scenario - Scenario definition
+   * @param {string} environment - Environment used to load fixtures
+   * @returns {Promise<Object>} Stored test data after the last step
+   */
+  static async run(apiHelper, scenario, environment = FixtureRunner.getEnvironment()) {
+    console.log(`\n${'='.repeat(80)}`);
+    console.log(`🧭 SCENARIO: ${scenario.name || scenario.file}`);
+    console.log(`${'='.repeat(80)}`);
+
+    Object.assign(apiHelper.getStoredTestData(), scenario.variables);
+
+    const context = {
+      environment,
+      defaultService: scenario.service,
+      fixturesByService: {},
+      lastResponse: undefined,
+      apiHelper: scenario.role ? apiHelper.asRole(scenario.role) : apiHelper,
+    };
+    await ScenarioRunner.runSteps(scenario.steps || [], context, '');
+
+    console.log(`\n✅ [PASSED] Scenario completed`);
+    console.log(`${'='.repeat(80)}\n`);
+    return apiHelper.getStoredTestData();
+  }
+
+  /**
+   * Run a list of steps in order
+   * @param {Array<Object>} steps - Steps
+   * @param {Object} context - Scenario context
+   * @param {string} prefix - Step number prefix for nested branches
+   */
+  static async runSteps(steps, context, prefix) {
+    for (let index = 0; index < steps.length; index++) {
+      const step = steps[index];
+      const number = `${prefix}${index + 1}`;
+
+      if (step.branch) {
+        const matched = ScenarioRunner.evaluateCondition(step.branch.when, context);
+        const taken = matched ? 'then' : 'else';
+        await context.apiHelper.step(`${number}. Branch → ${taken}: ${ScenarioRunner.describeCondition(step.branch.when)}`, async () => {
+          await ScenarioRunner.runSteps(step.branch[taken] || [], context, `${number}.`);
+        });
+        continue;
+      }
+
+      const name = step.name || step.fixture || 'Inline request';
+      if (step.when && !ScenarioRunner.evaluateCondition(step.when, context)) {
+        await context.apiHelper.step(`${number}. ${name} (skipped: ${ScenarioRunner.describeCondition(step.when)} not met)`, async () => {});
+        continue;
+      }
+
+      await context.apiHelper.step(`${number}. ${name}`, async () => {
+        context.lastResponse = await ScenarioRunner.runStep(step, context);
+      });
+    }
+  }
+
+  /**
+   * Run one request step, polling or retrying when configured
+   * @param {Object} step - Step definition
+   * @param {Object} context - Scenario context
+   * @returns {Promise<Object>} Response body
+   */
+  static async runStep(step, context) {
+    const testData = ScenarioRunner.buildStepData(step, context);
+    if (testData.waitForStatus) {
+      return (await context.apiHelper.waitForStatus(testData)).body;
+    }
+
+    const { attempts = 1, delayMs = 1000, until } = step.retry || {};
+    const method = (testData.method || 'GET').toUpperCase();
+    if (attempts > 1 && !['GET', 'HEAD'].includes(method)) {
+      // A repeated POST sends another OTP or moves money again
+      throw new Error(`Step '${step.name || step.fixture || 'Inline request'}' retries a ${method} request; only GET and HEAD steps may retry`);
+    }
+    let lastError;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        const responseBody = await context.apiHelper.makeApiRequest(testData);
+        if (!until || ScenarioRunner.evaluateCondition(until, { ...context, lastResponse: responseBody })) {
+          return responseBody;
+        }
+        lastError = new Error(`Condition ${ScenarioRunner.describeCondition(until)} not met`);
+      } catch (error) {
+        lastError = error;
+      }
+
+      if (attempt < attempts) {
+        console.log(`🔁 Attempt ${attempt}/${attempts} did not succeed (${lastError.message.split('\n')[0]}); retrying in ${delayMs}ms`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+
+    if (attempts > 1) {
+      lastError.message = `Step failed after ${attempts} attempts: ${lastError.message}`;
+    }
+    throw lastError;
+  }
+
+  /**
+   * Build the test data for a step from a fixture reference or an inline request
+   * @param {Object} step - Step definition
+   * @param {Object} context - Scenario context
+   * @returns {Object} Test data for makeApiRequest
+   */
+  static buildStepData(step, context) {
+    let base;
+    if (step.fixture) {
+      const service = step.service || context.defaultService;
+      if (!service) {
+        throw new Error(`Step '${step.fixture}' needs a service (on the step or the scenario)`);
+      }
+      if (!context.fixturesByService[service]) {
+        context.fixturesByService[service] = FixtureRunner.loadFixtures(service, context.environment);
+        context.apiHelper.useContract(service);
+      }
+      base = context.fixturesByService[service][step.fixture];
+      if (!base) {
+        throw new Error(`Fixture '${step.fixture}' not found in ${service}-${context.environment}.json`);
+      }
+    } else if (step.request) {
+      base = step.request;
+    } else {
+      throw new Error(`Step '${step.name || '(unnamed)'}' needs either 'fixture' or 'request'`);
+    }
+
+    const testData = ScenarioRunner.deepMerge(base, step.overrides || {});
+    if (step.capture) {
+      testData.capture = { ...base.capture, ...step.capture };
+    }
+    if (step.role) {
+      testData.role = step.role;
+    }
+    if (step.waitForStatus) {
+      testData.waitForStatus = { ...base.waitForStatus, ...step.waitForStatus };
+    }
+    return testData;
+  }
+
+  /**
+   * Evaluate a condition against stored data or the last response body
+   * @param {Object} condition - { stored | path, equals | notEquals | in | exists }
+   * @param {Object} context - Scenario context
+   * @returns {boolean} True if the condition holds
+   */
+  static evaluateCondition(condition, context) {
+    const { apiHelper } = context;
+    const value = condition.stored !== undefined
+      ? apiHelper.getNestedProperty(apiHelper.getStoredTestData(), condition.stored)
+      : apiHelper.getNestedProperty(context.lastResponse, condition.path);
+
+    if ('equals' in condition) return value === condition.equals;
+    if ('notEquals' in condition) return value !== condition.notEquals;
+    if ('in' in condition) return condition.in.includes(value);
+    if ('exists' in condition) return (value !== undefined && value !== null) === condition.exists;
+    throw new Error(`Condition ${JSON.stringify(condition)} needs equals, notEquals, in or exists`);
+  }
+
+  /**
+   * Human-readable condition for step titles
+   * @param {Object} condition - Condition
+   * @returns {string} Description
+   */
+  static describeCondition(condition) {
+    const subject = condition.stored !== undefined ? `stored.${condition.stored}` : condition.path;
+    if ('equals' in condition) return `${subject} == ${JSON.stringify(condition.equals)}`;
+    if ('notEquals' in condition) return `${subject} != ${JSON.stringify(condition.notEquals)}`;
+    if ('in' in condition) return `${subject} in ${JSON.stringify(condition.in)}`;
+    return `${subject} ${condition.exists ? 'exists' : 'is absent'}`;
+  }
+
+  /**
+   * Deep-merge overrides onto a copy of the base (objects merge, everything else replaces)
+   * @param {Object} base - Base object
+   * @param {Object} overrides - Overrides
+   * @returns {Object} Merged copy
+   */
+  static deepMerge(base, overrides) {
+    const result = JSON.parse(JSON.stringify(base));
+    Object.keys(overrides).forEach(key => {
+      const value = overrides[key];
+      const isObject = item => item && typeof item === 'object' && !Array.isArray(item);
+      result[key] = isObject(value) && isObject(result[key]) ? ScenarioRunner.deepMerge(result[key], value) : value;
+    });
+    return result;
+  }
+}
+
+module.exports = ScenarioRunner;
@@ -0,0 +1,53 @@
+/**
+ * Start Barrier
+ * Holds concurrent requests until every one of them is ready to be sent, then releases them together
+ *
+ * Each party calls arrive() once its request is resolved and authenticated; the promise resolves
+ * when the last party arrives. A party that fails before arriving calls leave(), so the others
+ * are not held forever.
+ */
+
+class StartBarrier {
+  /**
+   * @param {number} parties - Number of requests to wait for
+   */
+  constructor(parties) {
+    this.parties = parties;
+    this.arrived = 0;
+    this.releasedAt = null;
+    this.released = new Promise(resolve => { this.release = resolve; });
+  }
+
+  /**
+   * Wait until every party has arrived
+   * @returns {Promise<void>} Resolves when the barrier opens
+   */
+  arrive() {
+    this.arrived += 1;
+    this.openIfReady();
+    return this.released;
+  }
+
+  /**
+   * Stop waiting for a party that failed before arriving
+   */
+  leave() {
+    if (this.releasedAt === null) {
+      this.parties -= 1;
+      this.openIfReady();
+    }
+  }
+
+  /**
+   * Open the barrier once the arrived parties are all there are
+   */
+  openIfReady() {
+    if (this.releasedAt === null && this.arrived >= this.parties) {
+      this.releasedAt = Date.now();
+      console.log(`🏁 Releasing ${this.arrived} requests at once`);
+      this.release();
+    }
+  }
+}
+
+module.exports = StartBarrier;
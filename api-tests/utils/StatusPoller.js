@@ -0,0 +1,197 @@
+/**
+ * Status Poller
+ * Polls a status endpoint with backoff until a terminal status, and checks every observed change
+ * against the product's state machine in config/state-machines.js
+ *
+ * Fixture format (on the status fixture, or a scenario step):
+ *   "waitForStatus": {
+ *     "product": "payout",            // state machine to use
+ *     "statusPath": "data.status",    // default: the state machine's statusPath
+ *     "expected": ["SUCCESS"],        // terminal statuses that pass (default: any terminal status)
+ *     "timeout": 120,                 // seconds before giving up
+ *     "initialDelayMs": 1000,         // delay before the second poll, multiplied by factor after each poll
+ *     "factor": 2,
+ *     "maxDelayMs": 10000
+ *   }
+ *
+ * Each poll is a normal makeApiRequest, so the fixture's own expectations apply to every response.
+ * The observed history is attached to the test as `status-history`, and polling stops early when
+ * a status is unknown or cannot be reached from the previous one.
+ */
+
+const { test } = require('@playwright/test');
+const ResponseValues = require('./ResponseValues');
+const STATE_MACHINES = require('../config/state-machines');
+
+const DEFAULTS = { expected: undefined, timeout: 120, initialDelayMs: 1000, factor: 2, maxDelayMs: 10000 };
+
+class StatusPoller {
+  /**
+   * @param {FintechApiHelper} apiHelper - Helper instance
+   */
+  constructor(apiHelper) {
+    this.apiHelper = apiHelper;
+  }
+
+  /**
+   * State machine of a product
+   * @param {string} product - Product name (payout, deposit, refund)
+   * @returns {Object} { statusPath, terminal, transitions }
+   */
+  static getMachine(product) {
+    if (!STATE_MACHINES[product]) {
+      throw new Error(`Unknown state machine '${product}'. Available: ${Object.keys(STATE_MACHINES).join(', ')}`);
+    }
+    return STATE_MACHINES[product];
+  }
+
+  /**
+   * Shortest chain of transitions from one status to another
+   * @param {Object} machine - State machine
+   * @param {string} from - Previous status
+   * @param {string} to - New status
+   * @returns {Array<string>|null} Statuses from `from` to `to` inclusive, or null if unreachable
+   */
+  static findPath(machine, from, to) {
+    const queue = [[from]];
+    const seen = new Set([from]);
+    while (queue.length > 0) {
+      const chain = queue.shift();
+      for (const next of machine.transitions[chain[chain.length - 1]] || []) {
+        if (next === to) {
+          return [...chain, next];
+        }
+        if (!seen.has(next)) {
+          seen.add(next);
+          queue.push([...chain, next]);
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check one observed status change
+   * @param {Object} machine - State machine
+   * @param {string|undefined} previous - Previous distinct status (none for the first poll)
+   * @param {*} current - Newly observed status
+   * @returns {Object} { valid, path, message }
+   */
+  static checkTransition(machine, previous, current) {
+    if (!Object.prototype.hasOwnProperty.call(machine.transitions, current)) {
+      return { valid: false, message: `unknown status ${JSON.stringify(current)} (known: ${Object.keys(machine.transitions).join(', ')})` };
+    }
+    if (!previous || previous === current) {
+      return { valid: true, path: [current] };
+    }
+
+    const path = StatusPoller.findPath(machine, previous, current);
+    if (!path) {
+      return { valid: false, message: `invalid transition ${previous} → ${current}` };
+    }
+    return { valid: true, path };
+  }
+
+  /**
+   * Check a whole status history (e.g. one recorded elsewhere)
+   * @param {string} product - Product name
+   * @param {Array<string>} statuses - Statuses in the order they were observed
+   * @returns {Array<string>} Findings, empty when the history is valid
+   */
+  static validateHistory(product, statuses) {
+    const machine = StatusPoller.getMachine(product);
+    const findings = [];
+    statuses.reduce((previous, current) => {
+      const { valid, message } = StatusPoller.checkTransition(machine, previous, current);
+      if (!valid) {
+        findings.push(message);
+      }
+      return valid ? current : previous;
+    }, undefined);
+    return findings;
+  }
+
+  /**
+   * Poll until a terminal status, a broken transition or the timeout
+   * @param {Object} testData - Status fixture with testName and waitForStatus
+   * @param {Object} options - Overrides for testData.waitForStatus
+   * @returns {Promise<Object>} { status, body, history, transitions, elapsedMs }
+   */
+  async waitForStatus(testData, options = {}) {
+    const settings = { ...DEFAULTS, ...testData.waitForStatus, ...options };
+    const machine = StatusPoller.getMachine(settings.product);
+    const statusPath = settings.statusPath || machine.statusPath;
+    const expected = [].concat(settings.expected || machine.terminal);
+    const timeoutMs = settings.timeout * 1000;
+
+    StatusPoller.extendTestTimeout(timeoutMs);
+    console.log(`\n⏳ Waiting up to ${settings.timeout}s for ${settings.product} status ${expected.join(' or ')} at ${statusPath}`);
+
+    const startedAt = Date.now();
+    const report = { product: settings.product, expected, history: [], transitions: [], status: undefined, elapsedMs: 0 };
+    let delayMs = settings.initialDelayMs;
+    let body;
+    let failure;
+
+    for (let poll = 1; ; poll++) {
+      body = await this.apiHelper.makeApiRequest({ ...testData, testName: `${testData.testName} (poll ${poll})` });
+      const status = ResponseValues.get(body, statusPath);
+      const elapsedMs = Date.now() - startedAt;
+      report.history.push({ poll, status, elapsedMs });
+
+      const previous = report.status;
+      const { valid, path, message } = StatusPoller.checkTransition(machine, previous, status);
+      if (!valid) {
+        failure = message;
+        break;
+      }
+      if (status !== previous) {
+        report.transitions.push({ from: previous || null, to: status, elapsedMs, via: path.slice(1, -1) });
+        console.log(`🔄 ${previous ? `${previous} → ` : ''}${status}${path.length > 2 ? ` (via ${path.slice(1, -1).join(' → ')})` : ''} after ${elapsedMs}ms`);
+      }
+      report.status = status;
+
+      if (machine.terminal.includes(status)) {
+        if (!expected.includes(status)) {
+          failure = `ended in ${status}, expected ${expected.join(' or ')}`;
+        }
+        break;
+      }
+
+      const remainingMs = timeoutMs - (Date.now() - startedAt);
+      if (remainingMs <= 0) {
+        failure = `still ${status} after ${settings.timeout}s`;
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(delayMs, remainingMs)));
+      delayMs = Math.min(delayMs * settings.factor, settings.maxDelayMs);
+    }
+
+    report.elapsedMs = Date.now() - startedAt;
+    await this.apiHelper.attachToReport('status-history', report);
+
+    if (failure) {
+      const history = report.history.map(entry => `${entry.status} (${entry.elapsedMs}ms)`).join(', ');
+      throw new Error(`Status check failed for ${testData.testName}: ${failure}\n  Observed: ${history}`);
+    }
+    console.log(`✅ Reached ${report.status} after ${report.history.length} poll${report.history.length === 1 ? '' : 's'} in ${report.elapsedMs}ms`);
+    return { ...report, body };
+  }
+
+  /**
+   * Give the running test at least the polling timeout on top of what it already has
+   * @param {number} timeoutMs - Polling timeout
+   */
+  static extendTestTimeout(timeoutMs) {
+    try {
+      const testInfo = test.info();
+      if (testInfo.timeout > 0) {
+        testInfo.setTimeout(testInfo.timeout + timeoutMs);
+      }
+    } catch (error) {
+      // Not inside a running test
+    }
+  }
+}
+
+module.exports = StatusPoller;
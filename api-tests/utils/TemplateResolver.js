@@ -0,0 +1,213 @@
+/**
+ * Template Resolver
+ * Resolves {{...}} placeholders inside fixture JSON at request time
+ *
+ * Supported placeholders:
+ *   {{gen.mobile}}          - generated value (same value for every use within one request)
+ *   {{stored.otpSession}}   - value stored by an earlier request (dot notation supported)
+ *   {{env.AUTH_OTP}}        - environment variable
+ *   {{now}}, {{now+300s}}   - ISO timestamp with optional offset (s, m, h, d); one clock reading per resolver
+ *   {{now+1d|date}}         - timestamp formats: iso (default), date, epoch, epochMs
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const SINGLE_PLACEHOLDER_PATTERN = /^\{\{\s*([^{}]+?)\s*\}\}$/;
+const NOW_PATTERN = /^now(?:\s*([+-])\s*(\d+)\s*([smhd]))?(?:\s*\|\s*(\w+))?$/;
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+const GENERATORS = {
+  mobile: () => {
+    let mobile = '9';
+    for (let i = 0; i < 9; i++) {
+      mobile += Math.floor(Math.random() * 10);
+    }
+    return mobile;
+  },
+  uuid: () => uuidv4(),
+  email: () => `test_${Date.now()}_${Math.random().toString(36).substring(2, 7)}@yobo.com`,
+  transactionId: () => `TXN_${Date.now()}_${Math.random().toString(36).substring(2, 11).toUpperCase()}`,
+  orderId: () => `ORD_${Date.now()}_${Math.random().toString(36).substring(2, 11).toUpperCase()}`,
+  string: () => Math.random().toString(36).substring(2, 12).toUpperCase(),
+  number: () => Math.floor(Math.random() * 1000) + 1,
+  timestamp: () => Date.now(),
+};
+
+class TemplateResolver {
+  /**
+   * @param {Object} options
+   * @param {Object} options.stored - Stored test data exposed as {{stored.*}}
+   * @param {Object} options.env - Environment variables exposed as {{env.*}}
+   */
+  constructor({ stored = {}, env = process.env } = {}) {
+    this.stored = stored;
+    this.env = env;
+    this.generated = {}; // Generated values are reused within one resolver so request and expectation agree
+    this.now = undefined; // Clock reading shared by every {{now...}} of this resolver, for the same reason
+    this.resolvedValues = {}; // Placeholder expression → resolved value, for reporting (env.* left out)
+  }
+
+  /**
+   * Check whether a value contains any placeholder
+   * @param {*} value - Any JSON value
+   * @returns {boolean} True if a placeholder is present
+   */
+  static hasPlaceholders(value) {
+    if (typeof value === 'string') {
+      return new RegExp(PLACEHOLDER_PATTERN.source).test(value);
+    }
+    if (value && typeof value === 'object') {
+      return Object.values(value).some(item => TemplateResolver.hasPlaceholders(item));
+    }
+    return false;
+  }
+
+  /**
+   * Deep-resolve placeholders in any JSON value (the input is never mutated)
+   * @param {*} value - Value to resolve
+   * @returns {*} Resolved copy
+   */
+  resolve(value) {
+    if (typeof value === 'string') {
+      return this.resolveString(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolve(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).reduce((result, key) => {
+        result[key] = this.resolve(value[key]);
+        return result;
+      }, {});
+    }
+    return value;
+  }
+
+  /**
+   * Resolve placeholders inside a string
+   * A string that is exactly one placeholder keeps the type of the resolved value
+   * @param {string} text - Template string
+   * @returns {*} Resolved value
+   */
+  resolveString(text) {
+    const single = text.match(SINGLE_PLACEHOLDER_PATTERN);
+    if (single) {
+      return this.evaluate(single[1]);
+    }
+
+    return text.replace(PLACEHOLDER_PATTERN, (match, expression) => {
+      const value = this.evaluate(expression);
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  /**
+   * Evaluate a single placeholder expression
+   * @param {string} expression - Expression without braces (e.g. 'gen.mobile')
+   * @returns {*} Resolved value
+   */
+  evaluate(expression) {
+    let value;
+
+    if (expression.startsWith('gen.')) {
+      value = this.generate(expression.substring(4));
+    } else if (expression.startsWith('stored.')) {
+      value = this.lookup(this.stored, expression.substring(7), expression);
+    } else if (expression.startsWith('env.')) {
+      const name = expression.substring(4);
+      if (this.env[name] === undefined) {
+        throw new Error(`Unresolved placeholder {{${expression}}}: environment variable '${name}' is not set`);
+      }
+      value = this.env[name];
+    } else if (NOW_PATTERN.test(expression)) {
+      value = this.resolveTime(expression);
+    } else {
+      throw new Error(`Unknown placeholder {{${expression}}}`);
+    }
+
+    // Environment values are often secrets (e.g. AUTH_OTP), so they are never reported
+    if (!expression.startsWith('env.')) {
+      this.resolvedValues[expression] = value;
+    }
+    return value;
+  }
+
+  /**
+   * Produce a generated value, memoised per resolver
+   * @param {string} name - Generator name
+   * @returns {*} Generated value
+   */
+  generate(name) {
+    if (!(name in this.generated)) {
+      const generator = GENERATORS[name];
+      if (!generator) {
+        throw new Error(`Unknown generator {{gen.${name}}}. Available: ${Object.keys(GENERATORS).join(', ')}`);
+      }
+      this.generated[name] = generator();
+    }
+    return this.generated[name];
+  }
+
+  /**
+   * Look up a dot-notation path in a source object
+   * @param {Object} source - Object to search
+   * @param {string} path - Dot notation path
+   * @param {string} expression - Original expression (for error messages)
+   * @returns {*} Value at path
+   */
+  lookup(source, path, expression) {
+    const value = path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), source);
+    if (value === undefined) {
+      throw new Error(`Unresolved placeholder {{${expression}}}: no stored value at '${path}'`);
+    }
+    return value;
+  }
+
+  /**
+   * Resolve a {{now...}} expression
+   * @param {string} expression - e.g. 'now', 'now+300s', 'now-1d|date'
+   * @returns {string|number} Formatted timestamp
+   */
+  resolveTime(expression) {
+    const [, sign, amount, unit, format = 'iso'] = expression.match(NOW_PATTERN);
+    if (this.now === undefined) {
+      this.now = Date.now();
+    }
+    let time = this.now;
+    if (sign) {
+      const offset = parseInt(amount, 10) * UNIT_MS[unit];
+      time += sign === '+' ? offset : -offset;
+    }
+
+    const date = new Date(time);
+    switch (format) {
+      case 'iso':
+        return date.toISOString();
+      case 'date':
+        return date.toISOString().substring(0, 10);
+      case 'epoch':
+        return Math.floor(time / 1000);
+      case 'epochMs':
+        return time;
+      default:
+        throw new Error(`Unknown time format '${format}' in {{${expression}}}`);
+    }
+  }
+
+  /**
+   * Get every placeholder resolved so far, except {{env.*}}
+   * @returns {Object} Placeholder expression → resolved value
+   */
+  getResolvedValues() {
+    return this.resolvedValues;
+  }
+}
+
+module.exports = TemplateResolver;
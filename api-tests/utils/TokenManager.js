@@ -0,0 +1,217 @@
+/**
+ * Token Manager
+ * Access tokens per role (admin, enduser, roles from api-tests/config/auth-roles.js)
+ *
+ * A role logs in the first time its token is asked for. The token's expiry is read from the
+ * JWT 'exp' claim (API_TOKEN_TTL seconds for opaque tokens), and it is refreshed by logging in
+ * again API_TOKEN_REFRESH_MARGIN seconds before it expires.
+ *
+ * Tokens are cached in memory and in .auth/tokens-<env>-<role>.json, so Playwright workers
+ * (and consecutive local runs) share one login per role. A lock file keeps workers from
+ * logging in at the same time. Each cache entry is tied to the base URL it was issued for.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const AUTH_DIR = path.join(__dirname, '../../.auth');
+const LOCK_TIMEOUT_MS = 60000; // Give up waiting for another worker's login
+const LOCK_STALE_MS = 30000; // Lock left behind by a crashed worker
+const LOCK_POLL_MS = 200;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class TokenManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.environment - Environment name (part of the cache file name)
+   * @param {string} options.baseUrl - API base URL the tokens are issued for
+   * @param {Function} options.getCredentials - role → { phone, password, otp }
+   * @param {Function} options.login - credentials → Promise<string> access token
+   */
+  constructor({ environment, baseUrl, getCredentials, login }) {
+    this.environment = environment;
+    this.baseUrl = baseUrl;
+    this.getCredentials = getCredentials;
+    this.login = login;
+    this.tokens = {}; // Role → { token, expiresAt, baseUrl }
+  }
+
+  /**
+   * Refresh margin in milliseconds
+   * @returns {number} Margin before expiry at which a token is renewed
+   */
+  static getRefreshMargin() {
+    return parseInt(process.env.API_TOKEN_REFRESH_MARGIN || 60, 10) * 1000;
+  }
+
+  /**
+   * Lifetime assumed for tokens without an 'exp' claim, in milliseconds
+   * @returns {number} Lifetime
+   */
+  static getDefaultTtl() {
+    return parseInt(process.env.API_TOKEN_TTL || 900, 10) * 1000;
+  }
+
+  /**
+   * Read the expiry of a JWT
+   * @param {string} token - Access token
+   * @returns {number|null} Expiry as epoch milliseconds, or null for opaque tokens
+   */
+  static getExpiry(token) {
+    const parts = String(token).replace(/^Bearer\s+/i, '').split('.');
+    if (parts.length !== 3) {
+      return null;
+    }
+    try {
+      const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+      return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a cache entry can still be used
+   * @param {Object} entry - { token, expiresAt, baseUrl }
+   * @returns {boolean} True if issued for this base URL and not about to expire
+   */
+  isFresh(entry) {
+    return Boolean(entry && entry.token && entry.baseUrl === this.baseUrl &&
+      entry.expiresAt - TokenManager.getRefreshMargin() > Date.now());
+  }
+
+  /**
+   * Get a valid token for a role, logging in if needed
+   * @param {string} role - Role name
+   * @returns {Promise<string>} Access token
+   */
+  async getToken(role = 'admin') {
+    if (this.isFresh(this.tokens[role])) {
+      return this.tokens[role].token;
+    }
+
+    const cached = this.readCache(role);
+    if (this.isFresh(cached)) {
+      this.tokens[role] = cached;
+      return cached.token;
+    }
+
+    return this.withLock(role, async () => {
+      // Another worker may have logged in while we waited for the lock
+      const shared = this.readCache(role);
+      if (this.isFresh(shared)) {
+        this.tokens[role] = shared;
+        return shared.token;
+      }
+
+      console.log(`\n👤 Logging in as ${role}${shared ? ' (token expired or about to)' : ''}`);
+      const token = await this.login(this.getCredentials(role));
+      const entry = {
+        token,
+        expiresAt: TokenManager.getExpiry(token) || Date.now() + TokenManager.getDefaultTtl(),
+        baseUrl: this.baseUrl,
+      };
+      this.tokens[role] = entry;
+      this.writeCache(role, entry);
+      console.log(`⏳ ${role} token valid until ${new Date(entry.expiresAt).toISOString()}`);
+      return token;
+    });
+  }
+
+  /**
+   * Drop a role's token (e.g. after the API rejected it), so the next request logs in again
+   * @param {string} role - Role name
+   * @param {string} token - The rejected token; a newer one another worker cached is kept
+   */
+  invalidate(role, token = null) {
+    if (!token || (this.tokens[role] && this.tokens[role].token === token)) {
+      delete this.tokens[role];
+    }
+    const cached = this.readCache(role);
+    if (cached && (!token || cached.token === token)) {
+      fs.rmSync(this.getCacheFile(role), { force: true });
+    }
+  }
+
+  /**
+   * Cache file of a role
+   * @param {string} role - Role name
+   * @returns {string} File path
+   */
+  getCacheFile(role) {
+    return path.join(AUTH_DIR, `tokens-${this.environment}-${role}.json`);
+  }
+
+  /**
+   * Read a role's cache entry
+   * @param {string} role - Role name
+   * @returns {Object|null} Entry, or null when missing or unreadable
+   */
+  readCache(role) {
+    try {
+      return JSON.parse(fs.readFileSync(this.getCacheFile(role), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Write a role's cache entry (rename keeps readers from seeing a half-written file)
+   * @param {string} role - Role name
+   * @param {Object} entry - { token, expiresAt, baseUrl }
+   */
+  writeCache(role, entry) {
+    fs.mkdirSync(AUTH_DIR, { recursive: true });
+    const file = this.getCacheFile(role);
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(entry, null, 2), { mode: 0o600 });
+    fs.renameSync(temporary, file);
+  }
+
+  /**
+   * Run a function while holding a role's lock file
+   * @param {string} role - Role name
+   * @param {Function} fn - Async function
+   * @returns {Promise<*>} Result of fn
+   */
+  async withLock(role, fn) {
+    fs.mkdirSync(AUTH_DIR, { recursive: true });
+    const lockFile = `${this.getCacheFile(role)}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      let lockAge = 0;
+      try {
+        lockAge = Date.now() - fs.statSync(lockFile).mtimeMs;
+      } catch (error) {
+        continue; // Released between our attempt and the stat
+      }
+      if (lockAge > LOCK_STALE_MS) {
+        fs.rmSync(lockFile, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for another worker to log in as ${role} (${lockFile})`);
+      }
+      await sleep(LOCK_POLL_MS);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      fs.rmSync(lockFile, { force: true });
+    }
+  }
+}
+
+module.exports = TokenManager;
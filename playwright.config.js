@@ -1,4 +1,18 @@
 const { defineConfig, devices } = require('@playwright/test');
+const EnvironmentConfig = require('./api-tests/config/EnvironmentConfig');
+const Redactor = require('./api-tests/utils/Redactor');
+
+/* Mask secrets and PII in console output (this file is loaded by the runner and every worker) */
+Redactor.installConsole();
+
+/* API_CASSETTE_MODE=replay serves recorded cassettes locally instead of calling the real API */
+const replay = (process.env.API_CASSETTE_MODE || '').trim().toLowerCase() === 'replay';
+const replayPort = process.env.API_REPLAY_PORT || '4010';
+if (replay) {
+  // Keep the recorded base path (e.g. /api/v1) so recorded request paths match
+  const basePath = new URL(new EnvironmentConfig().getApiBaseUrl()).pathname.replace(/\/$/, '');
+  process.env.API_BASE_URL = `http://127.0.0.1:${replayPort}${basePath}`;
+}
 
 module.exports = defineConfig({
   testDir: '.',
@@ -16,6 +30,10 @@ module.exports = defineConfig({
   /* Opt out of parallel tests on CI */
   workers: process.env.CI ? 1 : undefined,
 
+  /* Clear run-scoped artifacts before the run and summarise them after it */
+  globalSetup: require.resolve('./api-tests/config/global-setup.js'),
+  globalTeardown: require.resolve('./api-tests/config/global-teardown.js'),
+
   /* Reporter to use */
   reporter: [
     ['html', { outputFolder: 'api-tests/reports/html' }],
@@ -86,10 +104,10 @@ module.exports = defineConfig({
     // },
   ],
 
-  /* Run your local dev server before starting the tests */
-  // webServer: {
-  //   command: 'npm run start',
-  //   url: 'http://127.0.0.1:3000',
-  //   reuseExistingServer: !process.env.CI,
-  // },
+  /* Start the cassette replay server in replay mode */
+  webServer: replay ? {
+    command: `node api-tests/tools/replay-server.js --port ${replayPort}`,
+    url: `http://127.0.0.1:${replayPort}/__cassettes`,
+    reuseExistingServer: !process.env.CI,
+  } : undefined,
 });